@@ -0,0 +1,21 @@
+CREATE TABLE IF NOT EXISTS sites (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  company_id  INT           NOT NULL,
+  name        VARCHAR(200)  NOT NULL,
+  activity    VARCHAR(200)  NULL,       -- NULL = usa companies.activity
+  address     VARCHAR(255)  NULL,
+  lat         DECIMAL(10,7) NOT NULL,
+  lon         DECIMAL(10,7) NOT NULL,
+  timezone    VARCHAR(64)   NULL,       -- IANA; NULL = se deduce de lat/lon
+  created_at  TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_sites_company (company_id),
+  CONSTRAINT fk_sites_company
+    FOREIGN KEY (company_id) REFERENCES companies(id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE historial
+  ADD COLUMN site_id INT NULL AFTER company_id,
+  ADD CONSTRAINT fk_hist_site
+    FOREIGN KEY (site_id) REFERENCES sites(id)
+    ON DELETE SET NULL ON UPDATE CASCADE;
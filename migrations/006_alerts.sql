@@ -0,0 +1,46 @@
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id             INT AUTO_INCREMENT PRIMARY KEY,
+  user_id        INT           NOT NULL,
+  company_id     INT           NOT NULL,
+  site_id        INT           NULL,       -- NULL = punto por defecto de la empresa
+  name           VARCHAR(120)  NULL,
+  metric         VARCHAR(30)   NOT NULL,   -- gust_kmh, wind_kmh, uv, precip_prob, precip_mm, temp, visibility_km
+  operator       VARCHAR(2)    NOT NULL,   -- '>', '>=', '<', '<='
+  threshold      DECIMAL(10,2) NOT NULL,
+  horizon_hours  SMALLINT UNSIGNED NOT NULL DEFAULT 12,
+  active         TINYINT(1)    NOT NULL DEFAULT 1,
+  created_at     TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_alert_rules_company (company_id),
+  INDEX idx_alert_rules_active (active),
+  CONSTRAINT fk_alert_rules_user
+    FOREIGN KEY (user_id)    REFERENCES users(id)
+    ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_alert_rules_company
+    FOREIGN KEY (company_id) REFERENCES companies(id)
+    ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_alert_rules_site
+    FOREIGN KEY (site_id)    REFERENCES sites(id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Un evento por episodio: mientras la regla siga disparada se actualiza
+-- last_seen_at; al dejar de cumplirse se marca resolved_at.
+CREATE TABLE IF NOT EXISTS alert_events (
+  id             BIGINT AUTO_INCREMENT PRIMARY KEY,
+  rule_id        INT           NOT NULL,
+  company_id     INT           NOT NULL,
+  triggered_at   DATETIME(3)   NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  last_seen_at   DATETIME(3)   NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  resolved_at    DATETIME(3)   NULL,
+  forecast_time  DATETIME      NULL,       -- primera hora (UTC) que supera el umbral
+  value          DECIMAL(10,2) NULL,       -- valor pico dentro del horizonte
+  message        VARCHAR(255)  NOT NULL,
+  INDEX idx_alert_events_company_ts (company_id, triggered_at),
+  INDEX idx_alert_events_rule_open (rule_id, resolved_at),
+  CONSTRAINT fk_alert_events_rule
+    FOREIGN KEY (rule_id)    REFERENCES alert_rules(id)
+    ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_alert_events_company
+    FOREIGN KEY (company_id) REFERENCES companies(id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
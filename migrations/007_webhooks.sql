@@ -0,0 +1,30 @@
+CREATE TABLE IF NOT EXISTS webhooks (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  user_id     INT           NOT NULL,
+  url         VARCHAR(500)  NOT NULL,
+  secret      VARCHAR(128)  NOT NULL,   -- clave HMAC (se muestra solo al crear)
+  events      VARCHAR(255)  NULL,       -- lista separada por comas; NULL = todos
+  active      TINYINT(1)    NOT NULL DEFAULT 1,
+  created_at  TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_webhooks_user (user_id),
+  CONSTRAINT fk_webhooks_user
+    FOREIGN KEY (user_id) REFERENCES users(id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id              BIGINT AUTO_INCREMENT PRIMARY KEY,
+  webhook_id      INT           NOT NULL,
+  event           VARCHAR(60)   NOT NULL,
+  payload         JSON          NOT NULL,
+  status          VARCHAR(10)   NOT NULL DEFAULT 'pending',  -- pending | success | failed
+  attempts        TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  response_status SMALLINT      NULL,
+  last_error      VARCHAR(255)  NULL,
+  created_at      DATETIME(3)   NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  delivered_at    DATETIME(3)   NULL,
+  INDEX idx_wh_deliveries_webhook (webhook_id, created_at),
+  CONSTRAINT fk_wh_deliveries_webhook
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
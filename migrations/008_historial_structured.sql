@@ -0,0 +1,3 @@
+-- Recomendación estructurada (JSON validado) junto al texto de historial.response
+ALTER TABLE historial
+  ADD COLUMN response_json JSON NULL AFTER response;
@@ -0,0 +1,26 @@
+CREATE TABLE IF NOT EXISTS conversation_threads (
+  id          BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id     INT           NOT NULL,
+  company_id  INT           NOT NULL,
+  site_id     INT           NULL,
+  title       VARCHAR(200)  NOT NULL,
+  created_at  DATETIME(3)   NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at  DATETIME(3)   NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+  INDEX idx_threads_user_company (user_id, company_id, updated_at),
+  CONSTRAINT fk_threads_user
+    FOREIGN KEY (user_id)    REFERENCES users(id)
+    ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_threads_company
+    FOREIGN KEY (company_id) REFERENCES companies(id)
+    ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_threads_site
+    FOREIGN KEY (site_id)    REFERENCES sites(id)
+    ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE historial
+  ADD COLUMN thread_id BIGINT NULL AFTER site_id,
+  ADD INDEX idx_hist_thread_ts (thread_id, ts),
+  ADD CONSTRAINT fk_hist_thread
+    FOREIGN KEY (thread_id) REFERENCES conversation_threads(id)
+    ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- Idioma preferido del usuario (es | en | pt); NULL = negociar por Accept-Language
+ALTER TABLE users
+  ADD COLUMN locale VARCHAR(5) NULL AFTER role_id;
@@ -0,0 +1,6 @@
+-- Sistema de unidades preferido (metric | imperial); NULL = heredar (empresa → usuario → metric)
+ALTER TABLE users
+  ADD COLUMN units ENUM('metric','imperial') NULL AFTER locale;
+
+ALTER TABLE companies
+  ADD COLUMN units ENUM('metric','imperial') NULL AFTER lon;
@@ -0,0 +1,10 @@
+-- Caché compartida de respuestas de proveedores meteorológicos (WEATHER_CACHE=mysql).
+-- Las filas vencidas se conservan un tiempo para servirlas si todos los proveedores fallan.
+CREATE TABLE IF NOT EXISTS weather_cache (
+  cache_key   VARCHAR(255)  NOT NULL PRIMARY KEY,
+  provider    VARCHAR(32)   NULL,
+  data        JSON          NOT NULL,
+  expires_at  DATETIME(3)   NOT NULL,
+  updated_at  DATETIME(3)   NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+  INDEX idx_weather_cache_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
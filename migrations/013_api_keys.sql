@@ -0,0 +1,18 @@
+-- API keys por usuario para clientes máquina (header X-API-Key).
+-- Solo se guarda el SHA-256 de la clave; `prefix` identifica la clave en listados.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id            INT AUTO_INCREMENT PRIMARY KEY,
+  user_id       INT           NOT NULL,
+  name          VARCHAR(100)  NOT NULL,
+  prefix        VARCHAR(16)   NOT NULL,
+  key_hash      CHAR(64)      NOT NULL,
+  scope         ENUM('read','write') NOT NULL DEFAULT 'read',
+  last_used_at  DATETIME(3)   NULL,
+  revoked_at    DATETIME(3)   NULL,
+  created_at    TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_api_keys_hash (key_hash),
+  INDEX idx_api_keys_user (user_id),
+  CONSTRAINT fk_api_keys_user
+    FOREIGN KEY (user_id) REFERENCES users(id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
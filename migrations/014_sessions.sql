@@ -0,0 +1,19 @@
+-- Sesiones de login: refresh token opaco y rotativo (solo se guarda su SHA-256).
+-- `previous_hash` es el token anterior de la misma sesión: si alguien lo reutiliza
+-- tras la rotación, se asume robo y la sesión se revoca.
+CREATE TABLE IF NOT EXISTS sessions (
+  id             INT AUTO_INCREMENT PRIMARY KEY,
+  user_id        INT           NOT NULL,
+  token_hash     CHAR(64)      NOT NULL,
+  previous_hash  CHAR(64)      NULL,
+  expires_at     DATETIME(3)   NOT NULL,
+  last_used_at   DATETIME(3)   NULL,
+  revoked_at     DATETIME(3)   NULL,
+  created_at     TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_sessions_token (token_hash),
+  INDEX idx_sessions_previous (previous_hash),
+  INDEX idx_sessions_user (user_id),
+  CONSTRAINT fk_sessions_user
+    FOREIGN KEY (user_id) REFERENCES users(id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
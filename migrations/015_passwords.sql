@@ -0,0 +1,18 @@
+-- Rotación obligatoria: los usuarios creados por un admin deben fijar su contraseña
+ALTER TABLE users
+  ADD COLUMN must_change_password TINYINT(1) NOT NULL DEFAULT 0 AFTER password_hash;
+
+-- Tokens de recuperación de contraseña: un solo uso, con vencimiento (solo se guarda el SHA-256)
+CREATE TABLE IF NOT EXISTS password_resets (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  user_id     INT           NOT NULL,
+  token_hash  CHAR(64)      NOT NULL,
+  expires_at  DATETIME(3)   NOT NULL,
+  used_at     DATETIME(3)   NULL,
+  created_at  TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_password_resets_token (token_hash),
+  INDEX idx_password_resets_user (user_id),
+  CONSTRAINT fk_password_resets_user
+    FOREIGN KEY (user_id) REFERENCES users(id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
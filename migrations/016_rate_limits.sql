@@ -0,0 +1,32 @@
+-- Bloqueo progresivo por logins fallidos
+ALTER TABLE users
+  ADD COLUMN failed_logins  SMALLINT UNSIGNED NOT NULL DEFAULT 0 AFTER must_change_password,
+  ADD COLUMN lockout_count  SMALLINT UNSIGNED NOT NULL DEFAULT 0 AFTER failed_logins,
+  ADD COLUMN locked_until   DATETIME(3)       NULL AFTER lockout_count;
+
+-- Auditoría de autenticación (user_id NULL si el email no existe)
+CREATE TABLE IF NOT EXISTS auth_events (
+  id          BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id     INT           NULL,
+  email       VARCHAR(150)  NULL,
+  ip          VARCHAR(45)   NULL,
+  event       VARCHAR(30)   NOT NULL,   -- login_success | login_failed | lockout | locked_attempt
+  created_at  DATETIME(3)   NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_auth_events_user (user_id, created_at),
+  INDEX idx_auth_events_created (created_at),
+  CONSTRAINT fk_auth_events_user
+    FOREIGN KEY (user_id) REFERENCES users(id)
+    ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Cupos diarios por usuario y función (día UTC)
+CREATE TABLE IF NOT EXISTS usage_counters (
+  user_id  INT          NOT NULL,
+  feature  VARCHAR(40)  NOT NULL,
+  day      DATE         NOT NULL,
+  count    INT UNSIGNED NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, feature, day),
+  CONSTRAINT fk_usage_counters_user
+    FOREIGN KEY (user_id) REFERENCES users(id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
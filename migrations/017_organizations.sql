@@ -0,0 +1,75 @@
+-- Organizaciones: equipos con miembros y roles que son dueños de las empresas.
+-- companies.user_id pasa a ser solo quien creó la empresa.
+CREATE TABLE IF NOT EXISTS organizations (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  name        VARCHAR(200)  NOT NULL,
+  created_by  INT           NULL,
+  created_at  TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_organizations_creator
+    FOREIGN KEY (created_by) REFERENCES users(id)
+    ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id  INT          NOT NULL,
+  user_id          INT          NOT NULL,
+  role             ENUM('owner','manager','viewer') NOT NULL DEFAULT 'viewer',
+  created_at       TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (organization_id, user_id),
+  INDEX idx_org_members_user (user_id),
+  CONSTRAINT fk_org_members_org
+    FOREIGN KEY (organization_id) REFERENCES organizations(id)
+    ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_org_members_user
+    FOREIGN KEY (user_id) REFERENCES users(id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Invitaciones por email: token de un solo uso (solo se guarda el SHA-256)
+CREATE TABLE IF NOT EXISTS organization_invitations (
+  id               INT AUTO_INCREMENT PRIMARY KEY,
+  organization_id  INT           NOT NULL,
+  email            VARCHAR(150)  NOT NULL,
+  role             ENUM('owner','manager','viewer') NOT NULL DEFAULT 'viewer',
+  token_hash       CHAR(64)      NOT NULL,
+  invited_by       INT           NULL,
+  expires_at       DATETIME(3)   NOT NULL,
+  accepted_at      DATETIME(3)   NULL,
+  revoked_at       DATETIME(3)   NULL,
+  created_at       TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_org_invitations_token (token_hash),
+  INDEX idx_org_invitations_org (organization_id),
+  CONSTRAINT fk_org_invitations_org
+    FOREIGN KEY (organization_id) REFERENCES organizations(id)
+    ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_org_invitations_inviter
+    FOREIGN KEY (invited_by) REFERENCES users(id)
+    ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE companies
+  ADD COLUMN organization_id INT NULL AFTER user_id,
+  ADD INDEX idx_companies_org (organization_id),
+  ADD CONSTRAINT fk_companies_org
+    FOREIGN KEY (organization_id) REFERENCES organizations(id)
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Borrar a quien creó una empresa ya no borra la empresa del equipo
+ALTER TABLE companies DROP FOREIGN KEY fk_companies_user;
+ALTER TABLE companies
+  MODIFY user_id INT NULL,
+  ADD CONSTRAINT fk_companies_user
+    FOREIGN KEY (user_id) REFERENCES users(id)
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Datos existentes: una organización personal por usuario con empresas, que queda como owner
+INSERT INTO organizations (name, created_by)
+SELECT u.name, u.id FROM users u
+ WHERE EXISTS (SELECT 1 FROM companies c WHERE c.user_id = u.id);
+
+INSERT INTO organization_members (organization_id, user_id, role)
+SELECT o.id, o.created_by, 'owner' FROM organizations o;
+
+UPDATE companies c
+  JOIN organizations o ON o.created_by = c.user_id
+   SET c.organization_id = o.id;
@@ -0,0 +1,7 @@
+-- Las reglas de alerta son del equipo: borrar a quien la creó ya no borra la regla
+ALTER TABLE alert_rules DROP FOREIGN KEY fk_alert_rules_user;
+ALTER TABLE alert_rules
+  MODIFY user_id INT NULL,
+  ADD CONSTRAINT fk_alert_rules_user
+    FOREIGN KEY (user_id) REFERENCES users(id)
+    ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- Presupuesto de llamadas por proveedor meteorológico compartido entre instancias
+-- (WEATHER_QUOTA=mysql): un token bucket por proveedor y periodo.
+CREATE TABLE IF NOT EXISTS weather_quota (
+  provider      VARCHAR(32)   NOT NULL,
+  period        ENUM('hourly','daily') NOT NULL,
+  tokens        DOUBLE        NOT NULL,
+  updated_at    DATETIME(3)   NOT NULL,
+  throttled_at  DATETIME(3)   NULL,       -- último 429 del proveedor (solo en la fila hourly)
+  PRIMARY KEY (provider, period)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
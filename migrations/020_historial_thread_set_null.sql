@@ -0,0 +1,7 @@
+-- Borrar un hilo no borra el historial: sus entradas quedan sin hilo (thread_id NULL)
+ALTER TABLE historial DROP FOREIGN KEY fk_hist_thread;
+
+ALTER TABLE historial
+  ADD CONSTRAINT fk_hist_thread
+    FOREIGN KEY (thread_id) REFERENCES conversation_threads(id)
+    ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- Los reintentos de webhooks se programan en la propia entrega y los recoge el scheduler
+ALTER TABLE webhook_deliveries
+  ADD COLUMN next_attempt_at DATETIME(3) NULL AFTER last_error,
+  ADD INDEX idx_wh_deliveries_due (status, next_attempt_at);
+
+-- Las pendientes de antes de la migración (reintentos en memoria perdidos) se retoman ya
+UPDATE webhook_deliveries SET next_attempt_at = CURRENT_TIMESTAMP(3) WHERE status = 'pending';
@@ -0,0 +1,195 @@
+// src/lib/alerts.js
+// Evaluador de reglas de alerta: consulta el forecast horario de cada punto
+// suscrito, evalúa las reglas activas y registra un evento por episodio.
+// Umbrales y valores se guardan en la unidad métrica de la métrica; el mensaje y los
+// webhooks se expresan en las unidades de la empresa (o de cada miembro).
+import { query } from './db.js'
+import { getForecast } from './weather.js'
+import { notify } from './webhooks.js'
+import { companyMembers } from './organizations.js'
+import { DEFAULT_UNITS, normalizeUnits, convertValue, formatQuantity, unitLabel } from './units.js'
+
+const INTERVAL_MS = Number(process.env.ALERTS_INTERVAL_MS || 15 * 60 * 1000)
+
+// Métrica → extractor sobre `values` horario (forma Tomorrow.io, unidades métricas)
+export const METRICS = {
+  gust_kmh:      { label: 'Rachas de viento', unit: 'km/h', pick: v => (v.windGust  != null ? v.windGust  * 3.6 : null) },
+  wind_kmh:      { label: 'Viento',           unit: 'km/h', pick: v => (v.windSpeed != null ? v.windSpeed * 3.6 : null) },
+  uv:            { label: 'Índice UV',        unit: '',     pick: v => v.uvIndex ?? null },
+  precip_prob:   { label: 'Prob. de lluvia',  unit: '%',    pick: v => v.precipitationProbability ?? null },
+  precip_mm:     { label: 'Lluvia',           unit: 'mm/h', pick: v => v.rainAccumulation ?? v.rainIntensity ?? null },
+  temp:          { label: 'Temperatura',      unit: '°C',   pick: v => v.temperature ?? null },
+  visibility_km: { label: 'Visibilidad',      unit: 'km',   pick: v => v.visibility ?? null }
+}
+
+export const OPERATORS = {
+  '>':  (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<':  (a, b) => a < b,
+  '<=': (a, b) => a <= b
+}
+
+/** Umbral (métrico) de la regla en `units`. */
+export const ruleThreshold = (rule, units = DEFAULT_UNITS) =>
+  convertValue(Number(rule.threshold), METRICS[rule.metric]?.unit, units)
+
+// "Rachas de viento 52.8 mph (> 50) desde 2025-03-15T10:00:00Z"
+export function alertMessage(rule, value, forecastTime, units = DEFAULT_UNITS) {
+  const metric = METRICS[rule.metric]
+  const name = rule.name ? `${rule.name}: ` : ''
+  const message = `${name}${metric.label} ${formatQuantity(value, metric.unit, units)} (${rule.operator} ${ruleThreshold(rule, units)}) desde ${forecastTime}`
+  return message.slice(0, 255)
+}
+
+/**
+ * Evalúa una regla sobre la serie horaria dentro de [now, now + horizon_hours].
+ * Devuelve null si no se cumple; si se cumple, la primera hora que la dispara
+ * y el valor más extremo del horizonte (métrico; el mensaje, en `units`).
+ */
+export function evaluateRule(rule, hourly, now = new Date(), units = DEFAULT_UNITS) {
+  const metric = METRICS[rule.metric]
+  const cmp = OPERATORS[rule.operator]
+  if (!metric || !cmp) return null
+
+  const fromISO = now.toISOString()
+  const toISO = new Date(now.getTime() + Number(rule.horizon_hours) * 3600 * 1000).toISOString()
+  const threshold = Number(rule.threshold)
+  const wantsMax = rule.operator.startsWith('>')
+
+  let first = null
+  let peak = null
+  for (const h of hourly) {
+    // fromISO recortado a la hora para incluir la hora en curso
+    if (h.time < fromISO.slice(0, 13) || h.time > toISO) continue
+    const value = metric.pick(h.values || {})
+    if (value == null || !cmp(Number(value), threshold)) continue
+    if (!first) first = h.time
+    if (peak == null || (wantsMax ? value > peak : value < peak)) peak = Number(value)
+  }
+  if (!first) return null
+
+  return { forecastTime: first, value: +peak.toFixed(2), message: alertMessage(rule, peak, first, units) }
+}
+
+// Payload de alert.triggered en `units`
+function alertPayload(rule, ev, units) {
+  const unit = METRICS[rule.metric]?.unit
+  return {
+    eventId: ev.id,
+    companyId: rule.company_id,
+    siteId: rule.site_id,
+    rule: { id: rule.id, name: rule.name, metric: rule.metric, operator: rule.operator, threshold: ruleThreshold(rule, units) },
+    forecastTime: ev.forecastTime,
+    value: convertValue(ev.value, unit, units),
+    unit: unitLabel(unit, units),
+    units,
+    message: alertMessage(rule, ev.value, ev.forecastTime, units)
+  }
+}
+
+async function recordResult(rule, hit) {
+  const [open] = await query(
+    'SELECT id FROM alert_events WHERE rule_id = :rid AND resolved_at IS NULL ORDER BY id DESC LIMIT 1',
+    { rid: rule.id }
+  )
+  if (hit && open) {
+    // Mismo episodio: no se duplica, solo se refresca
+    await query(
+      'UPDATE alert_events SET last_seen_at = CURRENT_TIMESTAMP(3), value = :value WHERE id = :id',
+      { id: open.id, value: hit.value }
+    )
+    return null
+  }
+  if (hit) {
+    const r = await query(
+      `INSERT INTO alert_events (rule_id, company_id, forecast_time, value, message)
+       VALUES (:rid, :cid, :ft, :value, :message)`,
+      {
+        rid: rule.id, cid: rule.company_id,
+        ft: hit.forecastTime.slice(0, 19).replace('T', ' '),
+        value: hit.value, message: hit.message
+      }
+    )
+    return { id: r.insertId, rule, ...hit }
+  }
+  if (open) {
+    await query('UPDATE alert_events SET resolved_at = CURRENT_TIMESTAMP(3) WHERE id = :id', { id: open.id })
+  }
+  return null
+}
+
+// Una pasada completa: agrupa reglas por coordenadas para pedir un solo forecast por punto
+export async function runAlertEvaluation(now = new Date()) {
+  const rules = await query(
+    `SELECT r.*, COALESCE(s.lat, c.lat) AS lat, COALESCE(s.lon, c.lon) AS lon, c.units AS company_units
+       FROM alert_rules r
+       JOIN companies c ON c.id = r.company_id
+       LEFT JOIN sites s ON s.id = r.site_id
+      WHERE r.active = 1`
+  )
+
+  const byPoint = new Map()
+  for (const rule of rules) {
+    const k = `${rule.lat},${rule.lon}`
+    if (!byPoint.has(k)) byPoint.set(k, [])
+    byPoint.get(k).push(rule)
+  }
+
+  const triggered = []
+  for (const group of byPoint.values()) {
+    const { lat, lon } = group[0]
+    let hourly
+    try {
+      const raw = await getForecast({ lat, lon, units: 'metric', timesteps: '1h', priority: 'alerts' })
+      hourly = raw?.timelines?.hourly || raw?.data?.timelines?.hourly || []
+    } catch (e) {
+      console.warn('ALERTS_FORECAST_WARN:', e?.message || e)
+      continue
+    }
+    for (const rule of group) {
+      try {
+        const companyUnits = normalizeUnits(rule.company_units)
+        const ev = await recordResult(rule, evaluateRule(rule, hourly, now, companyUnits ?? DEFAULT_UNITS))
+        if (ev) {
+          triggered.push(ev)
+          // Se avisa a los miembros actuales de la organización de la empresa, no a quien
+          // creó la regla (puede haber salido del equipo), cada uno en sus unidades
+          for (const m of await companyMembers(rule.company_id)) {
+            const units = companyUnits ?? normalizeUnits(m.units) ?? DEFAULT_UNITS
+            notify(m.id, 'alert.triggered', alertPayload(rule, ev, units))
+          }
+        }
+      } catch (e) {
+        console.warn('ALERTS_RULE_WARN:', rule.id, e?.message || e)
+      }
+    }
+  }
+  return { rules: rules.length, points: byPoint.size, triggered }
+}
+
+let timer = null
+let running = false
+
+export function startAlertScheduler() {
+  if (timer || INTERVAL_MS <= 0) return
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      const { triggered } = await runAlertEvaluation()
+      if (triggered.length) console.log(`[alerts] ${triggered.length} alerta(s) nuevas`)
+    } catch (e) {
+      console.error('ALERTS_RUN_ERROR:', e?.message || e)
+    } finally {
+      running = false
+    }
+  }
+  timer = setInterval(tick, INTERVAL_MS)
+  timer.unref?.()
+  setTimeout(tick, 5000).unref?.()
+}
+
+export function stopAlertScheduler() {
+  if (timer) clearInterval(timer)
+  timer = null
+}
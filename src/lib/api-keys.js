@@ -0,0 +1,40 @@
+// src/lib/api-keys.js
+// API keys por usuario para clientes máquina. La clave completa solo se muestra al
+// crearla; en la base queda su SHA-256 (la clave es aleatoria, no hace falta bcrypt).
+import crypto from 'node:crypto'
+import { query } from './db.js'
+
+export const API_KEY_SCOPES = ['read', 'write']
+
+// Métodos permitidos con scope `read`
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex')
+
+// "sky_" + 32 bytes aleatorios; el prefijo (12 caracteres) sirve para reconocerla en listados
+export function generateApiKey() {
+  const key = 'sky_' + crypto.randomBytes(32).toString('base64url')
+  return { key, prefix: key.slice(0, 12), hash: hashApiKey(key) }
+}
+
+/** Clave activa + su usuario (con rol), o null si no existe o está revocada. */
+export async function findApiKey(key) {
+  if (!key) return null
+  const [row] = await query(
+    `SELECT k.id AS key_id, k.scope, u.id, u.name, u.email, u.locale, u.units, u.must_change_password, r.slug AS role
+       FROM api_keys k
+       JOIN users u ON u.id = k.user_id
+       JOIN roles r ON r.id = u.role_id
+      WHERE k.key_hash = :hash AND k.revoked_at IS NULL`,
+    { hash: hashApiKey(key) }
+  )
+  return row || null
+}
+
+export const scopeAllows = (scope, method) => scope === 'write' || READ_METHODS.includes(String(method).toUpperCase())
+
+// Último uso: no bloquea la petición y un fallo solo se avisa
+export function touchApiKey(id) {
+  query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP(3) WHERE id = :id', { id })
+    .catch(err => console.warn('API_KEY_TOUCH_WARN:', err?.message || err))
+}
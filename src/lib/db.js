@@ -27,3 +27,22 @@ export async function query(sql, params = {}) {
   const [rows] = await getPool().execute(sql, params)
   return rows
 }
+
+/**
+ * Ejecuta `fn(q)` dentro de una transacción; `q(sql, params)` funciona como query()
+ * sobre la misma conexión. Commit si `fn` termina, rollback si lanza.
+ */
+export async function withTransaction(fn) {
+  const conn = await getPool().getConnection()
+  try {
+    await conn.beginTransaction()
+    const result = await fn(async (sql, params = {}) => (await conn.execute(sql, params))[0])
+    await conn.commit()
+    return result
+  } catch (err) {
+    await conn.rollback().catch(() => {})
+    throw err
+  } finally {
+    conn.release()
+  }
+}
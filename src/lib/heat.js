@@ -0,0 +1,128 @@
+// src/lib/heat.js
+// Estrés térmico: índice de calor (NWS), WBGT estimado y sensación por viento
+// (wind chill), más ciclos trabajo/descanso e hidratación por carga de trabajo.
+// Entradas en unidades métricas: °C, % humedad, viento en m/s.
+
+const round1 = (v) => (v == null ? null : +v.toFixed(1))
+const cToF = (c) => c * 9 / 5 + 32
+const fToC = (f) => (f - 32) * 5 / 9
+
+/** Índice de calor (Rothfusz/NWS con ajustes). Devuelve °C, o la temperatura si no aplica. */
+export function heatIndex(tC, rh) {
+  if (tC == null || rh == null) return null
+  const T = cToF(tC)
+  const simple = 0.5 * (T + 61 + (T - 68) * 1.2 + rh * 0.094)
+  if ((simple + T) / 2 < 80) return round1(fToC(simple))
+
+  let hi = -42.379 + 2.04901523 * T + 10.14333127 * rh - 0.22475541 * T * rh
+    - 0.00683783 * T * T - 0.05481717 * rh * rh + 0.00122874 * T * T * rh
+    + 0.00085282 * T * rh * rh - 0.00000199 * T * T * rh * rh
+  if (rh < 13 && T >= 80 && T <= 112) hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17)
+  else if (rh > 85 && T >= 80 && T <= 87) hi += ((rh - 85) / 10) * ((87 - T) / 5)
+  return round1(fToC(hi))
+}
+
+/** Sensación por viento (fórmula canadiense/NWS). Solo aplica con T ≤ 10 °C y viento > 4.8 km/h. */
+export function windChill(tC, windMs) {
+  if (tC == null || windMs == null) return null
+  const v = windMs * 3.6
+  if (tC > 10 || v <= 4.8) return round1(tC)
+  const p = Math.pow(v, 0.16)
+  return round1(13.12 + 0.6215 * tC - 11.37 * p + 0.3965 * tC * p)
+}
+
+/** Temperatura de bulbo húmedo (Stull 2011), °C. */
+export function wetBulb(tC, rh) {
+  if (tC == null || rh == null) return null
+  return tC * Math.atan(0.151977 * Math.sqrt(rh + 8.313659)) + Math.atan(tC + rh)
+    - Math.atan(rh - 1.676331) + 0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh) - 4.686035
+}
+
+/**
+ * WBGT exterior estimado: 0.7·Tw + 0.2·Tg + 0.1·T, con Tw de Stull y la
+ * temperatura de globo (Tg) aproximada desde el UV (radiación) atenuado por viento.
+ * Es una estimación sin medición de globo negro; úsese como orientación.
+ */
+export function estimateWBGT(tC, rh, windMs = 0, uv = 0) {
+  if (tC == null || rh == null) return null
+  const windKmh = Math.max(0, Number(windMs) || 0) * 3.6
+  const solar = Math.min(13, 1.3 * Math.max(0, Number(uv) || 0)) / (1 + 0.05 * windKmh)
+  const tg = tC + solar
+  return round1(0.7 * wetBulb(tC, rh) + 0.2 * tg + 0.1 * tC)
+}
+
+// TLV de ACGIH (trabajadores aclimatados), WBGT °C por régimen trabajo/descanso en cada hora
+export const WORKLOADS = ['ligera', 'moderada', 'pesada', 'muy_pesada']
+const TLV = [
+  { trabajo: 60, descanso: 0,  limits: { ligera: 31.0, moderada: 28.0, pesada: 26.5, muy_pesada: null } },
+  { trabajo: 45, descanso: 15, limits: { ligera: 31.0, moderada: 29.0, pesada: 27.5, muy_pesada: null } },
+  { trabajo: 30, descanso: 30, limits: { ligera: 32.0, moderada: 30.0, pesada: 29.0, muy_pesada: 28.0 } },
+  { trabajo: 15, descanso: 45, limits: { ligera: 32.5, moderada: 31.5, pesada: 30.5, muy_pesada: 30.0 } }
+]
+
+function hydrationFor(wbgt, suspender) {
+  if (suspender) return 'Suspender trabajo físico en exteriores; hidratación y sombra para todo el personal.'
+  if (wbgt >= 28) return 'Beber 250 ml de agua cada 15 min aunque no haya sed; reponer electrolitos si el turno supera 2 h.'
+  if (wbgt >= 25) return 'Beber 250 ml de agua cada 20 min; puntos de hidratación a la sombra cerca del frente.'
+  return 'Hidratación habitual: 250 ml cada 30 min.'
+}
+
+/** Ciclo trabajo/descanso e hidratación por carga de trabajo para un WBGT dado. */
+export function workRestGuidance(wbgt) {
+  if (wbgt == null) return []
+  return WORKLOADS.map(carga => {
+    const regime = TLV.find(r => r.limits[carga] != null && wbgt <= r.limits[carga])
+    const suspender = !regime
+    return {
+      carga,
+      trabajoMin: regime?.trabajo ?? 0,
+      descansoMin: regime?.descanso ?? 60,
+      ciclo: suspender
+        ? 'Suspender: WBGT por encima del límite para esta carga'
+        : (regime.descanso ? `${regime.trabajo} min trabajo / ${regime.descanso} min descanso por hora` : 'Trabajo continuo'),
+      suspender,
+      hidratacion: hydrationFor(wbgt, suspender)
+    }
+  })
+}
+
+// Índices de una hora a partir de values en forma Tomorrow.io
+export function heatIndicesFromValues(v = {}) {
+  const t = v.temperature ?? null
+  const rh = v.humidity ?? null
+  return {
+    temperatura: t,
+    humedad: rh,
+    indiceCalor: heatIndex(t, rh),
+    wbgt: estimateWBGT(t, rh, v.windSpeed ?? 0, v.uvIndex ?? 0),
+    sensacionViento: windChill(t, v.windSpeed ?? null)
+  }
+}
+
+/**
+ * Serie horaria + máximos + pautas para una lista de horas [{ time, values }].
+ * Las pautas se calculan sobre el peor WBGT de la serie.
+ */
+export function heatStressFromHours(hours = []) {
+  const horas = hours.map(h => ({ t: h.time, ...heatIndicesFromValues(h.values || h.value || {}) }))
+  const pick = (k, fn) => {
+    const vals = horas.map(h => h[k]).filter(v => v != null)
+    return vals.length ? fn(...vals) : null
+  }
+  const wbgtMax = pick('wbgt', Math.max)
+  return {
+    horas,
+    indiceCalorMax: pick('indiceCalor', Math.max),
+    wbgtMax,
+    sensacionVientoMin: pick('sensacionViento', Math.min),
+    pautas: workRestGuidance(wbgtMax)
+  }
+}
+
+/** Igual que heatStressFromHours para el payload de normalizeRealtimePayload. */
+export function heatStressFromRealtime(n = {}) {
+  return heatStressFromHours([{
+    time: n.at,
+    values: { temperature: n.temperatura, humidity: n.humedad, windSpeed: n.viento, uvIndex: n.uv }
+  }])
+}
@@ -0,0 +1,77 @@
+// src/lib/i18n.js
+// Idioma de las respuestas (es | en | pt). Se negocia en este orden:
+// ?lang=, preferencia del usuario (users.locale, viaja en el JWT) y Accept-Language;
+// si nada coincide, español.
+export const LOCALES = ['es', 'en', 'pt']
+export const DEFAULT_LOCALE = 'es'
+
+// "pt-BR" → "pt", "EN" → "en"; null si no es un idioma soportado
+export function normalizeLocale(v) {
+  const base = String(v || '').trim().toLowerCase().split(/[-_]/)[0]
+  return LOCALES.includes(base) ? base : null
+}
+
+// Accept-Language: "pt-BR,pt;q=0.9,en;q=0.8" → el soportado con mayor q
+export function negotiateLocale(header) {
+  const ranked = String(header || '')
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';')
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='))
+      return { locale: normalizeLocale(tag), q: q ? Number(q.slice(2)) : 1, i }
+    })
+    .filter(x => x.locale && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+  return ranked[0]?.locale ?? null
+}
+
+export function getLocale(req) {
+  return normalizeLocale(req.query?.lang)
+    ?? normalizeLocale(req.user?.locale)
+    ?? negotiateLocale(req.get?.('accept-language'))
+    ?? DEFAULT_LOCALE
+}
+
+// Tabla { es, en, pt } → la del idioma pedido (o la española)
+export const localized = (table, locale) => table[locale] ?? table[DEFAULT_LOCALE]
+
+// Textos sueltos de la API
+const MESSAGES = {
+  es: {
+    emptyMessage: 'Mensaje vacío',
+    noRecommendation: 'No se pudo generar recomendaciones.',
+    engineAdjusted: 'Ajustado por el motor de reglas'
+  },
+  en: {
+    emptyMessage: 'Empty message',
+    noRecommendation: 'Could not generate recommendations.',
+    engineAdjusted: 'Adjusted by the rule engine'
+  },
+  pt: {
+    emptyMessage: 'Mensagem vazia',
+    noRecommendation: 'Não foi possível gerar recomendações.',
+    engineAdjusted: 'Ajustado pelo motor de regras'
+  }
+}
+
+export const t = (locale, key) => localized(MESSAGES, locale)[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key
+
+// Niveles de riesgo: internamente siempre Bajo/Medio/Alto; solo cambia cómo se muestran
+const LEVEL_NAMES = {
+  es: { Bajo: 'Bajo', Medio: 'Medio', Alto: 'Alto' },
+  en: { Bajo: 'Low', Medio: 'Medium', Alto: 'High' },
+  pt: { Bajo: 'Baixo', Medio: 'Médio', Alto: 'Alto' }
+}
+
+export const levelName = (nivel, locale) => localized(LEVEL_NAMES, locale)[nivel] ?? nivel
+
+// Nombre de nivel en cualquier idioma → Bajo | Medio | Alto (o null)
+export function levelFromName(word) {
+  const w = String(word || '').trim().toLowerCase().normalize('NFD').replace(/\p{Diacritic}/gu, '')
+  for (const names of Object.values(LEVEL_NAMES)) {
+    for (const [nivel, name] of Object.entries(names)) {
+      if (name.toLowerCase().normalize('NFD').replace(/\p{Diacritic}/gu, '') === w) return nivel
+    }
+  }
+  return null
+}
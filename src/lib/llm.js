@@ -0,0 +1,91 @@
+// src/lib/llm.js
+// Backend LLM elegido por LLM_PROVIDER:
+//  - openai:     API de OpenAI (OPENAI_API_KEY)
+//  - compatible: cualquier servidor con API compatible con OpenAI (LLM_BASE_URL; LLM_API_KEY opcional),
+//                p. ej. un servidor de modelos local
+//  - offline:    generador determinista por plantillas, sin red (offline-llm.js)
+// Sin LLM_PROVIDER: openai si hay OPENAI_API_KEY; si no, offline (solo fuera de producción:
+// con NODE_ENV=production el servidor no arranca sin un backend explícito, ver assertLLMConfig).
+import OpenAI from 'openai'
+
+export const LLM_PROVIDERS = ['openai', 'compatible', 'offline']
+
+let client = null
+const warned = new Set()
+
+function warnOnce(msg) {
+  if (warned.has(msg)) return
+  warned.add(msg)
+  console.warn(msg)
+}
+
+export function llmProvider() {
+  const name = String(process.env.LLM_PROVIDER || '').trim().toLowerCase()
+  if (LLM_PROVIDERS.includes(name)) return name
+  if (name) warnOnce(`LLM_PROVIDER desconocido: ${name}`)
+  if (process.env.OPENAI_API_KEY) return 'openai'
+  warnOnce('OPENAI_API_KEY no configurada: se usa el generador offline (LLM_PROVIDER=offline)')
+  return 'offline'
+}
+
+// Al arrancar: en producción el generador offline solo con LLM_PROVIDER=offline explícito
+export function assertLLMConfig() {
+  const name = String(process.env.LLM_PROVIDER || '').trim().toLowerCase()
+  const production = process.env.NODE_ENV === 'production'
+  if (name && !LLM_PROVIDERS.includes(name)) {
+    if (production) throw new Error(`LLM_PROVIDER desconocido: ${process.env.LLM_PROVIDER}`)
+    return
+  }
+  if (name === 'compatible' && !process.env.LLM_BASE_URL) throw new Error('LLM_PROVIDER=compatible requiere LLM_BASE_URL')
+  if (name === 'openai' && !process.env.OPENAI_API_KEY) throw new Error('LLM_PROVIDER=openai requiere OPENAI_API_KEY')
+  if (production && !name && !process.env.OPENAI_API_KEY) {
+    throw new Error('Sin OPENAI_API_KEY con NODE_ENV=production: configura el LLM o LLM_PROVIDER=offline')
+  }
+}
+
+export const isOfflineLLM = () => llmProvider() === 'offline'
+
+/**
+ * Ajustes comunes a todas las llamadas:
+ * LLM_MODEL (gpt-4o-mini), LLM_TIMEOUT_MS (30000), LLM_MAX_RETRIES (2),
+ * LLM_JSON_MODE=off para servidores que no soportan response_format.
+ */
+export function llmSettings() {
+  return {
+    provider: llmProvider(),
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    timeoutMs: Number(process.env.LLM_TIMEOUT_MS || 30000),
+    maxRetries: Number(process.env.LLM_MAX_RETRIES ?? 2),
+    jsonMode: String(process.env.LLM_JSON_MODE || 'on').toLowerCase() !== 'off'
+  }
+}
+
+// LLM_TEMPERATURE fija la temperatura de todas las llamadas; si no, la de cada una
+export function llmTemperature(fallback) {
+  const t = process.env.LLM_TEMPERATURE
+  return t != null && t !== '' && Number.isFinite(Number(t)) ? Number(t) : fallback
+}
+
+// Parámetros de petición según el modo JSON del backend
+export function jsonFormat() {
+  return llmSettings().jsonMode ? { response_format: { type: 'json_object' } } : {}
+}
+
+export function getLLMClient() {
+  if (client) return client
+  const { provider, timeoutMs, maxRetries } = llmSettings()
+
+  if (provider === 'offline') throw new Error('LLM_PROVIDER=offline no usa cliente remoto')
+  if (provider === 'compatible') {
+    const baseURL = process.env.LLM_BASE_URL
+    if (!baseURL) throw new Error('LLM_BASE_URL no configurada')
+    // Los servidores locales suelen ignorar la clave, pero el SDK exige una
+    client = new OpenAI({ baseURL, apiKey: process.env.LLM_API_KEY || 'not-needed', timeout: timeoutMs, maxRetries })
+    return client
+  }
+
+  const apiKey = process.env.OPENAI_API_KEY
+  if (!apiKey) throw new Error('OPENAI_API_KEY no configurada')
+  client = new OpenAI({ apiKey, timeout: timeoutMs, maxRetries })
+  return client
+}
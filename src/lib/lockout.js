@@ -0,0 +1,67 @@
+// src/lib/lockout.js
+// Bloqueo progresivo de cuentas por logins fallidos y registro de auditoría (auth_events).
+// Tras LOGIN_LOCKOUT_THRESHOLD fallos seguidos la cuenta se bloquea LOGIN_LOCKOUT_BASE_MS;
+// cada bloqueo siguiente sin un login correcto entre medio dura el doble, hasta
+// LOGIN_LOCKOUT_MAX_MS. Un login correcto pone los contadores a cero.
+import { query } from './db.js'
+
+const THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5)
+const BASE_MS   = Number(process.env.LOGIN_LOCKOUT_BASE_MS || 60 * 1000)
+const MAX_MS    = Number(process.env.LOGIN_LOCKOUT_MAX_MS || 60 * 60 * 1000)
+
+export const AUTH_EVENTS = ['login_success', 'login_failed', 'lockout', 'locked_attempt']
+
+// Auditoría: nunca rompe el login si falla la escritura
+export async function recordAuthEvent(event, { userId = null, email = null, ip = null } = {}) {
+  try {
+    await query(
+      'INSERT INTO auth_events (user_id, email, ip, event) VALUES (:uid, :email, :ip, :event)',
+      { uid: userId, email, ip, event }
+    )
+  } catch (err) {
+    console.warn('AUTH_EVENT_WARN:', event, err?.message || err)
+  }
+}
+
+/** Segundos que le quedan al bloqueo de la cuenta (0 si no está bloqueada). */
+export function lockedFor(user, now = Date.now()) {
+  const until = user?.locked_until ? new Date(user.locked_until).getTime() : 0
+  return until > now ? (until - now) / 1000 : 0
+}
+
+/**
+ * Cuenta un fallo → { seconds, lockedNow }: segundos de bloqueo (0 si no) y si este fallo lo provocó.
+ * El contador se incrementa en la base (no desde la fila leída en /login), así que los
+ * intentos en paralelo también suman; el bloqueo es un UPDATE condicional que gana uno solo.
+ */
+export async function registerFailedLogin(user, q = query) {
+  await q('UPDATE users SET failed_logins = failed_logins + 1 WHERE id = :id', { id: user.id })
+  const [row] = await q(
+    'SELECT failed_logins, lockout_count, locked_until FROM users WHERE id = :id',
+    { id: user.id }
+  )
+  if (!row) return { seconds: 0, lockedNow: false }
+  if (Number(row.failed_logins) < THRESHOLD) return { seconds: lockedFor(row), lockedNow: false }
+
+  const lockouts = Number(row.lockout_count || 0)
+  const ms = Math.min(BASE_MS * 2 ** lockouts, MAX_MS)
+  const r = await q(
+    `UPDATE users
+        SET failed_logins = 0, lockout_count = lockout_count + 1, locked_until = :until
+      WHERE id = :id AND failed_logins >= :threshold AND lockout_count = :lockouts`,
+    { until: new Date(Date.now() + ms), id: user.id, threshold: THRESHOLD, lockouts }
+  )
+  if (r.affectedRows) return { seconds: ms / 1000, lockedNow: true }
+
+  // Otro intento concurrente ya bloqueó la cuenta
+  const [after] = await q('SELECT locked_until FROM users WHERE id = :id', { id: user.id })
+  return { seconds: lockedFor(after), lockedNow: false }
+}
+
+export async function resetFailedLogins(user) {
+  if (!user.failed_logins && !user.lockout_count && !user.locked_until) return
+  await query(
+    'UPDATE users SET failed_logins = 0, lockout_count = 0, locked_until = NULL WHERE id = :id',
+    { id: user.id }
+  )
+}
@@ -0,0 +1,213 @@
+// src/lib/offline-llm.js
+// Backend "offline" (LLM_PROVIDER=offline): misma interfaz que las llamadas al
+// LLM de openai.js pero con reglas y plantillas deterministas, sin red.
+// Pensado para desarrollo y CI: mismas entradas → misma salida.
+import { quickRules } from './recommendations.js'
+import { assessRisk, describeHazards, hazardLabel, profileForActivity } from './risk.js'
+import { parseSchedule } from './schedule-parser.js'
+import { DEFAULT_LOCALE, localized, levelName } from './i18n.js'
+import { DEFAULT_UNITS, convertAssessment, convertQuantity, convertValue, formatQuantity } from './units.js'
+
+// ===================== Extracción de horario =====================
+// El mismo parser determinista que usa advanced-query antes de recurrir al LLM
+export function extractSchedule(message, company, { previousSchedule = null, locale } = {}) {
+  const { confianza, ...parsed } = parseSchedule(message, { tz: company?.timezone || 'UTC', previous: previousSchedule, locale })
+  return { ...parsed, actividad: parsed.actividad ?? company?.activity ?? null }
+}
+
+// ===================== Recomendaciones =====================
+const stripEmoji = (s) => s.replace(/^[^\p{L}\p{N}]+/u, '').trim()
+
+// Plantillas por idioma; los niveles llegan ya traducidos (levelName)
+const TEXT = {
+  es: {
+    activity: 'la actividad',
+    slot: (f, a, b) => `el ${f} de ${a} a ${b}`,
+    anySlot: 'la franja consultada',
+    shifts: (n) => `${n} turnos`,
+    summary: (act, slot, where, nivel) => `Para ${act} ${slot} en ${where}: riesgo ${nivel}.`,
+    forecast: 'Pronóstico',
+    worstShift: (f, a, b) => `Turno más crítico: ${f} de ${a} a ${b}.`,
+    range: (a, b) => `${a} a ${b}`,
+    risk: 'riesgo',
+    level: 'nivel',
+    safer: 'Franjas más seguras',
+    noHazards: 'Sin peligros meteorológicos relevantes para la actividad en la franja consultada.',
+    heatCycle: (wbgt, p) => `Carga moderada (WBGT ${wbgt}): ${p.ciclo}. ${p.hidratacion}`,
+    reschedule: (a, b) => `Reprogramar a la franja ${a} – ${b}.`,
+    justify: (act, motivo) => `Según umbrales para ${act}: ${motivo}.`,
+    withinLimits: 'Valores dentro de los umbrales seguros para la actividad.',
+    facts: {
+      temp: 'temperatura', gust: 'rachas hasta', wind: 'viento hasta', uv: 'UV máx.',
+      rainProb: 'prob. de lluvia', rain: 'lluvia', none: 'sin datos meteorológicos detallados'
+    },
+    actions: {
+      gust: 'Suspender izajes y trabajos en altura; asegurar materiales sueltos.',
+      heat: 'Aplicar ciclo trabajo/descanso y reforzar hidratación.',
+      uv: 'Trabajar a la sombra y usar protección solar y ropa de manga larga.',
+      rain: 'Postergar excavaciones, trabajos eléctricos y soldadura.'
+    }
+  },
+  en: {
+    activity: 'the activity',
+    slot: (f, a, b) => `on ${f} from ${a} to ${b}`,
+    anySlot: 'in the requested time slot',
+    shifts: (n) => `${n} shifts`,
+    summary: (act, slot, where, nivel) => `For ${act} ${slot} at ${where}: ${nivel} risk.`,
+    forecast: 'Forecast',
+    worstShift: (f, a, b) => `Most critical shift: ${f} from ${a} to ${b}.`,
+    range: (a, b) => `${a} to ${b}`,
+    risk: 'risk',
+    level: 'level',
+    safer: 'Safer time slots',
+    noHazards: 'No relevant weather hazards for the activity in the requested time slot.',
+    heatCycle: (wbgt, p) => `Moderate workload (WBGT ${wbgt}): ${p.suspender
+      ? 'stop physical outdoor work'
+      : (p.descansoMin ? `${p.trabajoMin} min work / ${p.descansoMin} min rest per hour` : 'continuous work')}; keep water and shade close to the work area.`,
+    reschedule: (a, b) => `Reschedule to ${a} – ${b}.`,
+    justify: (act, motivo) => `Based on the thresholds for ${act}: ${motivo}.`,
+    withinLimits: 'Values within the safe thresholds for the activity.',
+    facts: {
+      temp: 'temperature', gust: 'gusts up to', wind: 'wind up to', uv: 'max UV',
+      rainProb: 'chance of rain', rain: 'rain', none: 'no detailed weather data'
+    },
+    actions: {
+      gust: 'Suspend lifting and work at height; secure loose materials.',
+      heat: 'Apply a work/rest cycle and increase hydration.',
+      uv: 'Work in the shade and use sunscreen and long-sleeved clothing.',
+      rain: 'Postpone excavation, electrical work and welding.'
+    }
+  },
+  pt: {
+    activity: 'a atividade',
+    slot: (f, a, b) => `em ${f} das ${a} às ${b}`,
+    anySlot: 'no horário consultado',
+    shifts: (n) => `${n} turnos`,
+    summary: (act, slot, where, nivel) => `Para ${act} ${slot} em ${where}: risco ${nivel}.`,
+    forecast: 'Previsão',
+    worstShift: (f, a, b) => `Turno mais crítico: ${f} das ${a} às ${b}.`,
+    range: (a, b) => `${a} às ${b}`,
+    risk: 'risco',
+    level: 'nível',
+    safer: 'Horários mais seguros',
+    noHazards: 'Sem perigos meteorológicos relevantes para a atividade no horário consultado.',
+    heatCycle: (wbgt, p) => `Carga moderada (WBGT ${wbgt}): ${p.suspender
+      ? 'suspender o trabalho físico em áreas externas'
+      : (p.descansoMin ? `${p.trabajoMin} min de trabalho / ${p.descansoMin} min de descanso por hora` : 'trabalho contínuo')}; manter água e sombra perto da frente de trabalho.`,
+    reschedule: (a, b) => `Remarcar para o horário ${a} – ${b}.`,
+    justify: (act, motivo) => `Segundo os limites para ${act}: ${motivo}.`,
+    withinLimits: 'Valores dentro dos limites seguros para a atividade.',
+    facts: {
+      temp: 'temperatura', gust: 'rajadas até', wind: 'vento até', uv: 'UV máx.',
+      rainProb: 'prob. de chuva', rain: 'chuva', none: 'sem dados meteorológicos detalhados'
+    },
+    actions: {
+      gust: 'Suspender içamentos e trabalhos em altura; fixar materiais soltos.',
+      heat: 'Aplicar ciclo trabalho/descanso e reforçar a hidratação.',
+      uv: 'Trabalhar à sombra e usar protetor solar e roupa de manga longa.',
+      rain: 'Adiar escavações, trabalhos elétricos e soldagem.'
+    }
+  }
+}
+
+// Resumen métrico (summarizeForecastWindow) en una línea, con las cifras en `units`
+function factsLine(f = {}, words, units) {
+  const q = (v, unit) => formatQuantity(v, unit, units)
+  const parts = [
+    f.tempMin != null && f.tempMax != null ? `${words.temp} ${+Number(convertValue(f.tempMin, '°C', units)).toFixed(1)}–${q(f.tempMax, '°C')}` : null,
+    f.gustMax_kmh != null ? `${words.gust} ${q(f.gustMax_kmh, 'km/h')}` : (f.windMax_kmh != null ? `${words.wind} ${q(f.windMax_kmh, 'km/h')}` : null),
+    f.uvMax != null ? `${words.uv} ${+Number(f.uvMax).toFixed(1)}` : null,
+    f.precipProbMax != null ? `${words.rainProb} ${+Number(f.precipProbMax).toFixed(1)}%` : null,
+    f.precipMmTotal ? `${words.rain} ${q(f.precipMmTotal, 'mm')}` : null
+  ].filter(Boolean)
+  return parts.length ? parts.join(', ') : words.none
+}
+
+/**
+ * Recomendación con la forma de RecommendationSchema a partir de los mismos
+ * argumentos que generateStructuredRecommendations (incluidos `locale` y `units`).
+ * `weatherFacts` llega en métrico; las cifras del texto y los umbrales salen en `units`.
+ */
+export function recommend({ company, site, schedule, weatherFacts, alternatives, locale = DEFAULT_LOCALE, units = DEFAULT_UNITS }) {
+  const tx = localized(TEXT, locale)
+  const lvl = (n) => levelName(n, locale)
+  const actividad = schedule?.actividad || company?.activity || tx.activity
+  const lat = Number(company?.lat)
+  const lon = Number(company?.lon)
+  const assessment = assessRisk(weatherFacts, actividad)
+  const nivel = assessment.nivel ?? 'Bajo'
+  const f = weatherFacts || {}
+
+  // Respuesta directa: franja consultada, resumen y, si hay varios turnos, el peor
+  const turnos = schedule?.turnos || []
+  const franja = schedule?.fecha
+    ? tx.slot(schedule.fecha, schedule.horaInicio ?? '?', schedule.horaFin ?? '?')
+    : tx.anySlot
+  const where = `${site?.name ? site.name + ' ' : ''}[${lat}, ${lon}]`
+  const lines = [
+    tx.summary(actividad, `${franja}${turnos.length > 1 ? ` (${tx.shifts(turnos.length)})` : ''}`, where, lvl(nivel)),
+    `${tx.forecast}: ${factsLine(f, tx.facts, units)}.`
+  ]
+  const worst = turnos.find(t => t.riesgo === nivel && nivel !== 'Bajo')
+  if (turnos.length > 1 && worst) lines.push(tx.worstShift(worst.fecha, worst.horaInicio, worst.horaFin))
+  if (alternatives?.length) {
+    const alt = alternatives.map(w => `${tx.range(w.start, w.end)} (${tx.risk} ${lvl(w.riesgo)})`).join('; ')
+    lines.push(`${tx.safer}: ${alt}.`)
+  }
+
+  const shown = convertAssessment(assessment, units)
+  const relevant = shown.hazards.filter(h => h.nivel !== 'Bajo')
+  const riesgos = relevant.length
+    ? relevant.map(h => {
+      const label = hazardLabel(h, locale)
+      const level = `(${tx.level} ${lvl(h.nivel)})`
+      return h.threshold == null ? `${label} ${level}` : `${label}: ${h.value}${h.unit ? ' ' + h.unit : ''} ${level}`
+    })
+    : [tx.noHazards]
+
+  // quickRules recibe los valores en las mismas unidades en que responde
+  const medidas = quickRules({
+    temperatura: convertValue(f.tempMax, '°C', units),
+    uv: f.uvMax,
+    viento: convertValue(f.windMax_ms ?? (f.windMax_kmh != null ? f.windMax_kmh / 3.6 : 0), 'm/s', units),
+    precipitacion: convertValue(f.precipMmTotal, 'mm/h', units)
+  }, locale, units).map(stripEmoji)
+  const pauta = f.heatStress?.pautas?.find(p => p.carga === 'moderada')
+  if (pauta && f.heatStress.wbgtMax >= 25) medidas.push(tx.heatCycle(formatQuantity(f.heatStress.wbgtMax, '°C', units), pauta))
+  if (alternatives?.length) medidas.push(tx.reschedule(alternatives[0].start, alternatives[0].end))
+
+  const { thresholds } = profileForActivity(actividad)
+  const umbrales = ['gust', 'heat', 'uv', 'rain'].map(k => {
+    const t = thresholds[k]
+    const { value, unit } = convertQuantity(t.alto ?? t.medio, t.unit, units)
+    return {
+      variable: hazardLabel({ hazard: k, label: t.label }, locale),
+      operador: t.dir === 'below' ? '<=' : '>=',
+      valor: value,
+      unidad: unit,
+      accion: tx.actions[k]
+    }
+  })
+
+  const motivo = describeHazards(shown, nivel, locale)
+  return {
+    respuestaDirecta: lines.join(' '),
+    riesgos: riesgos.slice(0, 8),
+    medidas: medidas.slice(0, 10),
+    umbrales,
+    nivelRiesgo: {
+      nivel,
+      justificacion: motivo ? tx.justify(actividad, motivo) : tx.withinLimits
+    }
+  }
+}
+
+// Emite el texto en fragmentos (palabra a palabra) para imitar el streaming del LLM
+export async function streamText(text, { onToken, signal } = {}) {
+  for (const piece of text.match(/\S+\s*/g) || []) {
+    if (signal?.aborted) break
+    onToken?.(piece)
+    await new Promise(r => setImmediate(r))
+  }
+  return text
+}
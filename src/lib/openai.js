@@ -1,73 +1,56 @@
 // src/lib/openai.js
-import OpenAI from 'openai'
+import { z } from 'zod'
 import { DateTime } from 'luxon'
 import {
   forecastFactsForSchedule,
   getForecast,
   summarizeForecastWindow,
   getRealtime,
+  providerLabel,
 } from './weather.js'
+import { normalizeShiftHours } from './schedule.js'
+import { parseSchedule } from './schedule-parser.js'
+import { getLLMClient, isOfflineLLM, jsonFormat, llmSettings, llmTemperature } from './llm.js'
+import * as offline from './offline-llm.js'
+import { DEFAULT_LOCALE, localized, levelName, t } from './i18n.js'
+import { DEFAULT_UNITS, convertFacts, unitLabel } from './units.js'
 
-// ===================== OpenAI client =====================
-export function getOpenAI() {
-  const apiKey = process.env.OPENAI_API_KEY
-  if (!apiKey) throw new Error('OPENAI_API_KEY no configurada')
-  return new OpenAI({ apiKey })
-}
-
-// ===================== Utilidades de fecha "natural" (ES) =====================
-const DOW = ['domingo','lunes','martes','miércoles','miercoles','jueves','viernes','sábado','sabado']
-
-function nextWeekday(base, targetDow, inclusive = false) {
-  const cur = base.weekday % 7 // luxon: 1=lunes..7=domingo
-  const tgt = targetDow % 7    // 0=domingo..6=sábado
-  let delta = tgt - (cur % 7)
-  if (delta < 0 || (!inclusive && delta === 0)) delta += 7
-  return base.plus({ days: delta })
-}
-
-/**
- * Resuelve fecha relativa en español dentro de `msg`.
- * Devuelve "YYYY-MM-DD" o null si no detecta nada.
- */
-function resolveRelativeDateSpanish(msg, tz = 'UTC') {
-  const s = String(msg || '').toLowerCase().normalize('NFD').replace(/\p{Diacritic}/gu,'')
-  const now = DateTime.now().setZone(tz)
-
-  // Hoy / mañana / pasado mañana
-  if (/\bhoy\b/.test(s)) return now.toISODate()
-  if (/\bmanana\b/.test(s)) return now.plus({ days: 1 }).toISODate()
-  if (/\bpasado\s+manana\b/.test(s)) return now.plus({ days: 2 }).toISODate()
-
-  // Este/próximo <día>
-  const m = s.match(/\b(este|proximo|prox|pr[oó]x|el)?\s*(domingo|lunes|martes|miercoles|miércoles|jueves|viernes|sabado|sábado)\b/)
-  if (m) {
-    const word = m[2]
-    const idx = DOW.findIndex(d => d === word)
-    if (idx >= 0) {
-      // si dice "este" y el día aún no pasó, usa esta semana; si dice "próximo", siempre la siguiente
-      const wantsNext = /\bproximo|prox|pr[oó]x\b/.test(m[1] || '')
-      const base = wantsNext ? now.plus({ days: 1 }) : now
-      const dt = nextWeekday(base, idx, !wantsNext)
-      return dt.toISODate()
-    }
+// ===================== Extracción de horario =====================
+// Horario previo del hilo reducido a lo que el extractor puede reutilizar
+function compactSchedule(schedule) {
+  if (!schedule) return null
+  return {
+    actividad: schedule.actividad ?? null,
+    fecha: schedule.fecha ?? null,
+    zonaHoraria: schedule.zonaHoraria ?? null,
+    turnos: (schedule.turnos || []).map(t => ({ fecha: t.fecha, horaInicio: t.horaInicio, horaFin: t.horaFin }))
   }
-  return null
 }
 
-// ===================== Extracción de horario =====================
-export async function extractScheduleFromMessage(message, company) {
-  const openai = getOpenAI()
-  const system = `Eres un extractor de horario en español.
-Devuelve SOLO un JSON con: { "actividad": string, "fecha": "YYYY-MM-DD"|null, "horaInicio": "HH:mm"|null, "horaFin": "HH:mm"|null, "zonaHoraria": string|null }.
-- Acepta referencias relativas como "mañana", "pasado mañana", "este viernes", "próximo lunes".
-- Si falta actividad, usa: ${company?.activity ?? 'actividad'}.`
-  const user = `Mensaje: """${message}"""`
+export async function extractScheduleFromMessage(message, company, { history = [], previousSchedule = null, today = null, locale = DEFAULT_LOCALE } = {}) {
+  if (isOfflineLLM()) return offline.extractSchedule(message, company, { previousSchedule: compactSchedule(previousSchedule), locale })
+
+  const openai = getLLMClient()
+  const system = `Eres un extractor de horario. El mensaje puede estar en español, inglés o portugués.
+Devuelve SOLO un JSON con: { "actividad": string, "fecha": "YYYY-MM-DD"|null, "fechaFin": "YYYY-MM-DD"|null, "diasSemana": number[]|null, "turnos": [{ "horaInicio": "HH:mm", "horaFin": "HH:mm" }], "zonaHoraria": string|null }.
+- Acepta referencias relativas como "mañana", "pasado mañana", "este viernes", "próximo lunes" (o "tomorrow", "next monday", "amanhã", "próxima segunda")${today ? ` (hoy es ${today})` : ''}.
+- "fecha" es el primer día; "fechaFin" solo si el usuario pide un rango de fechas.
+- "diasSemana" usa 1=lunes … 7=domingo (p. ej. "lunes a viernes" → [1,2,3,4,5]); null si es un solo día.
+- Devuelve un elemento en "turnos" por cada franja del día ("de 6 a 14 y de 14 a 22" → dos turnos).
+- Un turno nocturno que cruza medianoche se expresa tal cual (p. ej. 22:00 a 06:00); no lo partas.
+- Si falta actividad, usa: ${company?.activity ?? 'actividad'}.
+- Si se incluye un horario previo de la conversación, parte de él y aplica solo los cambios que pida el usuario (p. ej. "¿y si empezamos a las 9?" cambia la hora de inicio y conserva fecha, actividad y resto de turnos).`
+  const previous = compactSchedule(previousSchedule)
+  const user = [
+    history.length ? `Mensajes previos: ${JSON.stringify(history.map(h => h.prompt))}` : null,
+    previous ? `Horario previo: ${JSON.stringify(previous)}` : null,
+    `Mensaje: """${message}"""`
+  ].filter(Boolean).join('\n')
 
   const resp = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    temperature: 0.1,
-    response_format: { type: 'json_object' },
+    model: llmSettings().model,
+    temperature: llmTemperature(0.1),
+    ...jsonFormat(),
     messages: [
       { role: 'system', content: system },
       { role: 'user', content: user }
@@ -76,36 +59,57 @@ Devuelve SOLO un JSON con: { "actividad": string, "fecha": "YYYY-MM-DD"|null, "h
 
   const content = resp.choices?.[0]?.message?.content || '{}'
   try { return JSON.parse(content) }
-  catch { return { actividad: company?.activity ?? null, fecha: null, horaInicio: null, horaFin: null, zonaHoraria: null } }
+  catch { return { actividad: company?.activity ?? null, fecha: null, fechaFin: null, diasSemana: null, turnos: [], zonaHoraria: null } }
 }
 
 // ===================== Recomendaciones via LLM =====================
-// src/lib/openai.js  ➜ reemplaza SOLO esta función
-export async function generateCompanyRecommendations({ company, schedule, weatherFacts, userQuery }) {
-  const openai = getOpenAI()
+const SECTION_HEADINGS = {
+  es: ['Respuesta directa:', 'Riesgos principales:', 'Medidas preventivas:', 'Umbrales y triggers:', 'Nivel de riesgo:'],
+  en: ['Direct answer:', 'Main risks:', 'Preventive measures:', 'Thresholds and triggers:', 'Risk level:'],
+  pt: ['Resposta direta:', 'Riscos principais:', 'Medidas preventivas:', 'Limites e gatilhos:', 'Nível de risco:']
+}
+
+// Línea "Nivel de riesgo:" en cualquiera de los idiomas
+const RISK_LINE_RE = new RegExp(`^(?:${Object.values(SECTION_HEADINGS).map(h => h[4]).join('|')}).*$`, 'm')
+
+const LANGUAGE_NAMES = { es: 'español', en: 'inglés', pt: 'portugués' }
+const languageName = (locale) => localized(LANGUAGE_NAMES, locale)
+
+// Contexto común a las variantes texto/JSON
+const HISTORY_ANSWER_CHARS = 600
+
+// Unidades de los datos del contexto, para que umbrales y textos usen las mismas
+function unitsContext(units) {
+  return {
+    sistema: units,
+    temperatura: unitLabel('°C', units),
+    viento: units === 'imperial' ? 'mph' : 'km/h (sufijo _kmh) y m/s (sufijo _ms)',
+    precipitacion: unitLabel('mm', units),
+    visibilidad: unitLabel('km', units)
+  }
+}
+
+// Ejemplo de umbrales en las unidades pedidas
+const THRESHOLD_EXAMPLE = {
+  metric: 'rachas > 45 km/h, UV > 8, lluvia > 5 mm/h',
+  imperial: 'rachas > 28 mph, UV > 8, lluvia > 0.2 in/h, calor > 95 °F'
+}
+
+function recommendationContext({ company, site, schedule, weatherFacts, userQuery, provider, alternatives, history, units = DEFAULT_UNITS }) {
+  // La serie hora a hora de estrés térmico no aporta al prompt: solo máximos y pautas.
+  // Los datos llegan en métrico y se convierten a `units` con campos etiquetados (_f, _mph, ...)
+  const { heatStress, ...facts } = convertFacts(weatherFacts || {}, units)
   const actividadEmpresa  = company?.activity || ''
   const actividadUsuario  = schedule?.actividad || actividadEmpresa
   const lat = Number(company?.lat)
   const lon = Number(company?.lon)
 
-  const system = `Eres un asistente que genera recomendaciones climáticas claras y concisas en español.
-Reglas:
-- Sin asteriscos ni emojis.
-- La ubicación ESPECÍFICA es [lat, lon] y corresponde a la empresa. No inventes otra ciudad ni muevas la ubicación.
-- Usa EXCLUSIVAMENTE los datos de Tomorrow.io provistos en "tomorrowData".
-- Responde SIEMPRE con estos apartados EXACTOS y en este orden:
-Respuesta directa:
-Riesgos principales:
-Medidas preventivas:
-Umbrales y triggers:
-Nivel de riesgo:
-- "Nivel de riesgo:" debe ser "Bajo", "Medio" o "Alto" con una justificación de 1 línea.`
-
   const ctx = {
     empresa: {
       nombre: company?.name || '',
       actividad: actividadEmpresa,
       direccion: company?.address || '',
+      sede: site?.name || null,
       lat, lon
     },
     consultaUsuario: String(userQuery || '').trim(),
@@ -114,38 +118,282 @@ Nivel de riesgo:
       horaInicio: schedule?.horaInicio || null,
       horaFin: schedule?.horaFin || null,
       zonaHoraria: schedule?.zonaHoraria || null,
-      actividad: actividadUsuario
+      actividad: actividadUsuario,
+      // Un elemento por turno con su propio resumen y nivel de riesgo preliminar
+      turnos: (schedule?.turnos || []).map(t => ({
+        fecha: t.fecha, horaInicio: t.horaInicio, horaFin: t.horaFin, nocturno: t.nocturno,
+        riesgo: t.riesgo, datos: convertFacts(t.facts, units)
+      }))
     },
-    fuente: 'Tomorrow.io',
-    // Resumen ya calculado a partir de Tomorrow.io (forecast/realtime)
-    tomorrowData: weatherFacts   // hours, tempMin/tempMax, windMax_ms, gustMax_ms, uvMax, visMin_km, precipProbMax, precipMmTotal, codes[]
+    unidades: unitsContext(units),
+    fuente: providerLabel(provider || weatherFacts?.provider) || 'Tomorrow.io',
+    // Resumen ya calculado a partir del proveedor que respondió (forecast/realtime)
+    tomorrowData: {
+      ...facts,
+      estresTermico: heatStress
+        ? { indiceCalorMax: heatStress.indiceCalorMax, wbgtMax: heatStress.wbgtMax, sensacionVientoMin: heatStress.sensacionVientoMin, pautas: heatStress.pautas }
+        : null
+    },   // métrico: tempMin/tempMax, windMax_ms/_kmh, visMin_km, precipMmTotal; imperial: tempMax_f, windMax_mph, visMin_mi, precipInTotal
+    // Franjas más seguras (hora local) calculadas por el motor de reglas; solo si el riesgo es Alto
+    alternativas: alternatives?.length
+      ? alternatives.map(w => ({ inicio: w.start, fin: w.end, riesgo: w.riesgo, datos: convertFacts(w.facts, units) }))
+      : null,
+    // Turnos anteriores del hilo (más antiguo primero), con la respuesta recortada
+    conversacionPrevia: history?.length
+      ? history.map(h => ({ pregunta: h.prompt, respuesta: String(h.response || '').slice(0, HISTORY_ANSWER_CHARS) }))
+      : null
   }
+  return { ctx, lat, lon, actividadUsuario, thresholdExample: THRESHOLD_EXAMPLE[units] ?? THRESHOLD_EXAMPLE.metric }
+}
+
+const MULTI_SHIFT_NOTE = 'Si "horario.turnos" tiene más de un turno, menciona en la respuesta directa y en los riesgos los turnos más críticos (fecha y franja); el nivel de riesgo global es el del peor turno.'
+const ALTERNATIVES_NOTE = 'Si "alternativas" no es null, propone en la respuesta directa y en las medidas reprogramar a esas franjas (cita fecha y hora local de inicio y fin, y su nivel de riesgo); no inventes otras.'
+const HISTORY_NOTE = 'Si "conversacionPrevia" no es null, la consulta es un seguimiento: responde al cambio pedido comparándolo con lo anterior, sin repetir lo que no cambia.'
+const languageNote = (locale) => `Escribe todo el texto en ${languageName(locale)}, aunque el contexto esté en español.`
+const UNITS_NOTE = 'Los datos están en las unidades indicadas en "unidades"; usa esas mismas unidades en los textos y en los umbrales (no conviertas a otro sistema).'
+
+// Mensajes de la variante texto (con los apartados de SECTION_HEADINGS)
+function textRecommendationMessages(args) {
+  const { ctx, lat, lon, actividadUsuario, thresholdExample } = recommendationContext(args)
+  const locale = args.locale || DEFAULT_LOCALE
+  const headings = localized(SECTION_HEADINGS, locale)
+  const [bajo, medio, alto] = RISK_LEVELS.map(n => levelName(n, locale))
+
+  const system = `Eres un asistente que genera recomendaciones climáticas claras y concisas en ${languageName(locale)}.
+Reglas:
+- Sin asteriscos ni emojis.
+- La ubicación ESPECÍFICA es [lat, lon] y corresponde a la empresa (o a su sede, si se indica). No inventes otra ciudad ni muevas la ubicación.
+- Usa EXCLUSIVAMENTE los datos meteorológicos provistos en "tomorrowData" (proveedor indicado en "fuente").
+- Responde SIEMPRE con estos apartados EXACTOS y en este orden:
+${headings.join('\n')}
+- "${headings[4]}" debe ser "${bajo}", "${medio}" o "${alto}" con una justificación de 1 línea.`
 
   const user = `Contexto JSON:
 ${JSON.stringify(ctx)}
 
 Instrucciones de contenido:
-1) "Respuesta directa:": 2–4 líneas que contesten EXACTAMENTE lo pedido por el usuario, mencionando fecha, horario y ubicación así: "[${lat}, ${lon}]" y basándote solo en "tomorrowData".
-2) "Riesgos principales:": 3–5 líneas; incluye calor, lluvia, viento, UV o visibilidad SOLO si los valores de "tomorrowData" lo justifican.
-3) "Medidas preventivas:": 3–6 líneas con acciones concretas y aplicables al clima (hidratación, pausas, EPP, resguardo, reprogramar).
-4) "Umbrales y triggers:": 2–4 líneas con valores numéricos coherentes (p. ej., rachas > 45 km/h, UV > 8, lluvia > 5 mm/h).
-5) "Nivel de riesgo:": una sola línea con Bajo/Medio/Alto y justificación muy breve.
+1) "${headings[0]}": 2–4 líneas que contesten EXACTAMENTE lo pedido por el usuario, mencionando fecha, horario y ubicación así: "[${lat}, ${lon}]" y basándote solo en "tomorrowData".
+2) "${headings[1]}": 3–5 líneas; incluye calor, lluvia, viento, UV o visibilidad SOLO si los valores de "tomorrowData" lo justifican.
+3) "${headings[2]}": 3–6 líneas con acciones concretas y aplicables al clima (hidratación, pausas, EPP, resguardo, reprogramar); si "tomorrowData.estresTermico" trae pautas, usa el ciclo trabajo/descanso de la carga que corresponda a la actividad.
+4) "${headings[3]}": 2–4 líneas con valores numéricos coherentes (p. ej., ${thresholdExample}).
+5) "${headings[4]}": una sola línea con ${bajo}/${medio}/${alto} y justificación muy breve.
+${MULTI_SHIFT_NOTE}
+${ALTERNATIVES_NOTE}
+${HISTORY_NOTE}
+${UNITS_NOTE}
+${languageNote(locale)}
 Adapta el tono a la actividad indicada: ${actividadUsuario}. No agregues otros apartados.`
 
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ]
+}
+
+export async function generateCompanyRecommendations(args) {
+  if (isOfflineLLM()) return recommendationToText(offline.recommend(args), args.locale)
+
+  const openai = getLLMClient()
   const resp = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    temperature: 0.2,
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user', content: user }
-    ]
+    model: llmSettings().model,
+    temperature: llmTemperature(0.2),
+    messages: textRecommendationMessages(args)
+  })
+
+  return resp.choices?.[0]?.message?.content?.trim() || t(args.locale, 'noRecommendation')
+}
+
+/**
+ * Igual que generateCompanyRecommendations pero en streaming: llama a onToken
+ * con cada fragmento y devuelve el texto completo. `signal` aborta la petición
+ * (p. ej. cuando el cliente SSE se desconecta).
+ */
+export async function streamCompanyRecommendations(args, { onToken, signal } = {}) {
+  if (isOfflineLLM()) return offline.streamText(recommendationToText(offline.recommend(args), args.locale), { onToken, signal })
+
+  const openai = getLLMClient()
+  const stream = await openai.chat.completions.create({
+    model: llmSettings().model,
+    temperature: llmTemperature(0.2),
+    stream: true,
+    messages: textRecommendationMessages(args)
+  }, { signal })
+
+  let text = ''
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta?.content
+    if (!delta) continue
+    text += delta
+    onToken?.(delta)
+  }
+  return text.trim() || t(args.locale, 'noRecommendation')
+}
+
+// ===================== Recomendaciones estructuradas (JSON) =====================
+export const RISK_LEVELS = ['Bajo', 'Medio', 'Alto']
+
+export const RecommendationSchema = z.object({
+  respuestaDirecta: z.string().min(1),
+  riesgos: z.array(z.string().min(1)).min(1).max(8),
+  medidas: z.array(z.string().min(1)).min(1).max(10),
+  umbrales: z.array(z.object({
+    variable: z.string().min(1),
+    operador: z.enum(['>', '>=', '<', '<=']),
+    valor: z.number(),
+    unidad: z.string(),
+    accion: z.string().min(1)
+  })).min(1).max(8),
+  nivelRiesgo: z.object({
+    nivel: z.enum(RISK_LEVELS),
+    justificacion: z.string().min(1)
   })
+})
+
+const MAX_REPAIRS = Number(process.env.OPENAI_JSON_REPAIRS || 2)
 
-  return resp.choices?.[0]?.message?.content?.trim() || 'No se pudo generar recomendaciones.'
+// Forma del JSON que se pide al modelo (prompt de sistema de las variantes estructuradas)
+const RECOMMENDATION_JSON_SHAPE = `{
+  "respuestaDirecta": string,            // 2–4 líneas
+  "riesgos": string[],                   // 3–5 elementos
+  "medidas": string[],                   // 3–6 elementos
+  "umbrales": [{ "variable": string, "operador": ">"|">="|"<"|"<=", "valor": number, "unidad": string, "accion": string }],  // 2–4 elementos
+  "nivelRiesgo": { "nivel": "Bajo"|"Medio"|"Alto", "justificacion": string }
 }
+- Las claves del JSON y "nivelRiesgo.nivel" (Bajo/Medio/Alto) no se traducen.`
 
+// Texto con los apartados clásicos a partir del objeto validado
+export function recommendationToText(rec, locale = DEFAULT_LOCALE) {
+  const headings = localized(SECTION_HEADINGS, locale)
+  const lines = (arr) => arr.map(s => `- ${s}`).join('\n')
+  const umbrales = rec.umbrales.map(u => `- ${u.variable} ${u.operador} ${u.valor}${u.unidad ? ' ' + u.unidad : ''}: ${u.accion}`)
+  return [
+    `${headings[0]}\n${rec.respuestaDirecta}`,
+    `${headings[1]}\n${lines(rec.riesgos)}`,
+    `${headings[2]}\n${lines(rec.medidas)}`,
+    `${headings[3]}\n${umbrales.join('\n')}`,
+    `${headings[4]} ${levelName(rec.nivelRiesgo.nivel, locale)}. ${rec.nivelRiesgo.justificacion}`
+  ].join('\n\n')
+}
 
+/**
+ * Sustituye el nivel de riesgo de una recomendación ({ text, structured }),
+ * p. ej. cuando el motor de reglas lo corrige; `nota` se añade a la justificación.
+ */
+export function overrideRiskLevel({ text, structured }, nivel, nota = '', locale = DEFAULT_LOCALE) {
+  if (structured) {
+    const justificacion = `${structured.nivelRiesgo.justificacion} ${nota}`.trim()
+    const rec = { ...structured, nivelRiesgo: { nivel, justificacion } }
+    return { text: recommendationToText(rec, locale), structured: rec }
+  }
+  const line = `${localized(SECTION_HEADINGS, locale)[4]} ${levelName(nivel, locale)}. ${nota}`.trim()
+  return { text: RISK_LINE_RE.test(text) ? text.replace(RISK_LINE_RE, line) : `${text}\n\n${line}`, structured: null }
+}
+
+function parseRecommendation(content) {
+  let json
+  try { json = JSON.parse(content) } catch (e) { return { error: `JSON inválido: ${e.message}` } }
+  const parsed = RecommendationSchema.safeParse(json)
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(i => `${i.path.join('.') || '(raíz)'}: ${i.message}`)
+    return { error: issues.slice(0, 10).join('; ') }
+  }
+  return { data: parsed.data }
+}
 
+/**
+ * Igual que generateCompanyRecommendations pero pide un JSON validado con zod.
+ * Si la salida no valida, se devuelve el error al modelo para que la repare
+ * (hasta OPENAI_JSON_REPAIRS veces); como último recurso cae a la versión texto.
+ * Devuelve { text, structured } (structured = null en el fallback).
+ */
+export async function generateStructuredRecommendations(args) {
+  const locale = args.locale || DEFAULT_LOCALE
+  if (isOfflineLLM()) {
+    const structured = offline.recommend(args)
+    return { text: recommendationToText(structured, locale), structured }
+  }
+
+  const { ctx, lat, lon, actividadUsuario, thresholdExample } = recommendationContext(args)
+
+  const system = `Eres un asistente que genera recomendaciones climáticas claras y concisas en ${languageName(locale)}.
+Reglas:
+- Sin asteriscos ni emojis.
+- La ubicación ESPECÍFICA es [lat, lon] y corresponde a la empresa (o a su sede, si se indica). No inventes otra ciudad ni muevas la ubicación.
+- Usa EXCLUSIVAMENTE los datos meteorológicos provistos en "tomorrowData" (proveedor indicado en "fuente").
+- Devuelve SOLO un objeto JSON con esta forma exacta:
+${RECOMMENDATION_JSON_SHAPE}`
+
+  const user = `Contexto JSON:
+${JSON.stringify(ctx)}
+
+Instrucciones de contenido:
+1) "respuestaDirecta": contesta EXACTAMENTE lo pedido por el usuario, mencionando fecha, horario y ubicación así: "[${lat}, ${lon}]" y basándote solo en "tomorrowData".
+2) "riesgos": incluye calor, lluvia, viento, UV o visibilidad SOLO si los valores de "tomorrowData" lo justifican.
+3) "medidas": acciones concretas y aplicables al clima (hidratación, pausas, EPP, resguardo, reprogramar); si "tomorrowData.estresTermico" trae pautas, usa el ciclo trabajo/descanso de la carga que corresponda a la actividad.
+4) "umbrales": valores numéricos coherentes (p. ej., ${thresholdExample}); "valor" es un número sin unidades y "unidad" la del sistema de "unidades".
+5) "nivelRiesgo": Bajo/Medio/Alto y una justificación de una línea.
+${MULTI_SHIFT_NOTE}
+${ALTERNATIVES_NOTE}
+${HISTORY_NOTE}
+${UNITS_NOTE}
+${languageNote(locale)}
+Adapta el tono a la actividad indicada: ${actividadUsuario}.`
+
+  const data = await requestRecommendationJSON([
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ])
+  if (data) return { text: recommendationToText(data, locale), structured: data }
+  return { text: await generateCompanyRecommendations(args), structured: null }
+}
+
+// Pide el JSON y, si no valida con RecommendationSchema, devuelve el error al modelo para
+// que lo repare (hasta OPENAI_JSON_REPAIRS veces) → objeto validado, o null si no lo logra
+async function requestRecommendationJSON(messages, { temperature = 0.2, signal } = {}) {
+  const openai = getLLMClient()
+  for (let attempt = 0; attempt <= MAX_REPAIRS; attempt++) {
+    const resp = await openai.chat.completions.create({
+      model: llmSettings().model,
+      // Las reparaciones van a temperatura 0 salvo que LLM_TEMPERATURE fije otra
+      temperature: llmTemperature(attempt ? 0 : temperature),
+      ...jsonFormat(),
+      messages
+    }, signal ? { signal } : undefined)
+    const content = resp.choices?.[0]?.message?.content || ''
+    const { data, error } = parseRecommendation(content)
+    if (data) return data
+
+    console.warn(`RECOMMENDATION_JSON_INVALID (intento ${attempt + 1}):`, error)
+    messages.push(
+      { role: 'assistant', content },
+      { role: 'user', content: `La respuesta no cumple el esquema: ${error}. Devuelve de nuevo SOLO el objeto JSON corregido.` }
+    )
+  }
+  return null
+}
+
+/**
+ * Versión estructurada de una recomendación ya generada en texto (p. ej. la emitida por
+ * streamCompanyRecommendations), validada con el mismo RecommendationSchema que
+ * generateStructuredRecommendations. null si el modelo no produce un JSON válido.
+ */
+export async function structureRecommendationText(text, args, { signal } = {}) {
+  const locale = args.locale || DEFAULT_LOCALE
+  if (isOfflineLLM()) return offline.recommend(args)
+
+  const system = `Conviertes recomendaciones climáticas escritas en ${languageName(locale)} a JSON, sin añadir, quitar ni cambiar información.
+Devuelve SOLO un objeto JSON con esta forma exacta:
+${RECOMMENDATION_JSON_SHAPE}`
+  const user = `Recomendación:
+${text}
+
+Cada apartado va a su clave; los umbrales con "valor" numérico sin unidades y su "unidad" tal como aparece en el texto. Escribe los textos en ${languageName(locale)}.`
+
+  return requestRecommendationJSON([
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ], { temperature: 0, signal })
+}
 
 // ===================== Orquestación principal =====================
 export async function planAndRecommendFromMessage({ message, company, units = 'metric' }) {
@@ -158,16 +406,11 @@ export async function planAndRecommendFromMessage({ message, company, units = 'm
   const tz = extracted.zonaHoraria || 'UTC'
   const today = DateTime.now().setZone(tz).startOf('day')
 
-  let fechaStr = extracted.fecha
-  if (!fechaStr) {
-    const rel = resolveRelativeDateSpanish(message, tz)
-    fechaStr = rel || today.toISODate()
-  }
+  const fechaStr = extracted.fecha || parseSchedule(message, { tz }).fecha || today.toISODate()
   let fecha = DateTime.fromISO(fechaStr, { zone: tz })
   if (!fecha.isValid || fecha < today) fecha = today // evita pasado
 
-  const horaInicio = extracted.horaInicio || '08:00'
-  const horaFin    = extracted.horaFin    || '17:00'
+  const [{ horaInicio, horaFin }] = normalizeShiftHours(extracted)
 
   const schedule = {
     actividad: extracted.actividad ?? company?.activity ?? null,
@@ -177,12 +420,12 @@ export async function planAndRecommendFromMessage({ message, company, units = 'm
     zonaHoraria: extracted.zonaHoraria ?? null
   }
 
-  // 3) Tomorrow.io: resumen del intervalo solicitado
+  // 3) Tomorrow.io: resumen del intervalo solicitado (siempre en métrico; `units` solo afecta a la respuesta)
   let weatherFacts = await forecastFactsForSchedule({
     lat: company.lat,
     lon: company.lon,
     schedule,
-    units
+    units: 'metric'
   })
 
   // 4) Fallbacks para garantizar contenido
@@ -190,15 +433,16 @@ export async function planAndRecommendFromMessage({ message, company, units = 'm
     const now = DateTime.now().setZone(tz)
     const startISO = now.toUTC().toISO()
     const endISO   = now.plus({ hours: 6 }).toUTC().toISO()
-    const raw = await getForecast({ lat: company.lat, lon: company.lon, units, timesteps: '1h', startTime: startISO, endTime: endISO })
+    const raw = await getForecast({ lat: company.lat, lon: company.lon, units: 'metric', timesteps: '1h', startTime: startISO, endTime: endISO })
     const sum = summarizeForecastWindow(raw, startISO, endISO)
-    weatherFacts = { tz, ...sum }
+    weatherFacts = { tz, provider: raw?.provider ?? null, ...sum }
 
     if (!weatherFacts?.hours) {
-      const rt = await getRealtime({ lat: company.lat, lon: company.lon, units })
+      const rt = await getRealtime({ lat: company.lat, lon: company.lon, units: 'metric' })
       const v = rt?.data?.values || {}
       weatherFacts = {
         tz,
+        provider: rt?.provider ?? null,
         hours: 1,
         tempMin: v.temperature ?? null,
         tempMax: v.temperature ?? null,
@@ -220,7 +464,8 @@ export async function planAndRecommendFromMessage({ message, company, units = 'm
     company,
     schedule,
     weatherFacts,
-    userQuery: message
+    userQuery: message,
+    units
   })
 
   return { schedule, weatherFacts, recommendation }
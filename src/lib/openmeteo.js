@@ -0,0 +1,136 @@
+// src/lib/openmeteo.js
+// Adaptador Open-Meteo (sin API key). Traduce sus respuestas a la forma de
+// Tomorrow.io ({ data: { time, values } } / { timelines: { hourly, daily } })
+// para que el resto del backend no distinga el proveedor.
+import axios from 'axios'
+
+const API_BASE = process.env.OPENMETEO_BASE || 'https://api.open-meteo.com'
+
+const http = axios.create({
+  baseURL: API_BASE,
+  timeout: 10000,
+  headers: { 'accept-encoding': 'gzip, deflate, br', 'user-agent': 'skycare-backend' },
+  decompress: true
+})
+
+export const name = 'openmeteo'
+export const label = 'Open-Meteo'
+
+const HOURLY_VARS = [
+  'temperature_2m', 'apparent_temperature', 'relative_humidity_2m',
+  'wind_speed_10m', 'wind_gusts_10m', 'wind_direction_10m',
+  'surface_pressure', 'visibility', 'uv_index', 'cloud_cover',
+  'precipitation', 'rain', 'precipitation_probability', 'weather_code'
+]
+const DAILY_VARS = [
+  'temperature_2m_max', 'temperature_2m_min', 'wind_speed_10m_max', 'wind_gusts_10m_max',
+  'uv_index_max', 'precipitation_probability_max', 'rain_sum', 'weather_code'
+]
+
+// WMO (Open-Meteo) → códigos Tomorrow.io (ver codeToText en weather.js)
+const WMO_TO_TOMORROW = {
+  0: 1000, 1: 1100, 2: 1101, 3: 1001,
+  45: 2000, 48: 2000,
+  51: 4000, 53: 4000, 55: 4000, 56: 6200, 57: 6000,
+  61: 4200, 63: 4001, 65: 4201, 66: 6200, 67: 6001,
+  71: 5100, 73: 5000, 75: 5101, 77: 5000,
+  80: 4200, 81: 4001, 82: 4201, 85: 5100, 86: 5101,
+  95: 8000, 96: 8000, 99: 8000
+}
+const wmoToCode = (c) => (c == null ? null : (WMO_TO_TOMORROW[c] ?? null))
+
+function unitParams(units) {
+  return units === 'imperial'
+    ? { temperature_unit: 'fahrenheit', wind_speed_unit: 'mph', precipitation_unit: 'inch' }
+    : { temperature_unit: 'celsius', wind_speed_unit: 'ms', precipitation_unit: 'mm' }
+}
+
+// Open-Meteo entrega visibilidad en metros; Tomorrow.io en km (metric) o millas (imperial)
+const visibilityFrom = (m, units) =>
+  m == null ? null : +(units === 'imperial' ? m / 1609.344 : m / 1000).toFixed(2)
+
+// "2025-01-31T13:00" (GMT) → "2025-01-31T13:00:00Z"
+const toISO = (t) => (t.length === 10 ? `${t}T00:00:00Z` : `${t}:00Z`)
+// ISO → "YYYY-MM-DDTHH:mm" en UTC, formato de start_hour/end_hour
+const toHourParam = (iso) => new Date(iso).toISOString().slice(0, 16)
+
+function valuesFrom(src, i, units) {
+  const at = (k) => (Array.isArray(src[k]) ? src[k][i] : src[k]) ?? null
+  return {
+    temperature: at('temperature_2m'),
+    temperatureApparent: at('apparent_temperature'),
+    humidity: at('relative_humidity_2m'),
+    windSpeed: at('wind_speed_10m'),
+    windGust: at('wind_gusts_10m'),
+    windDirection: at('wind_direction_10m'),
+    pressureSurfaceLevel: at('surface_pressure'),
+    visibility: visibilityFrom(at('visibility'), units),
+    uvIndex: at('uv_index'),
+    cloudCover: at('cloud_cover'),
+    precipitationIntensity: at('precipitation'),
+    rainIntensity: at('rain'),
+    rainAccumulation: at('rain'),
+    precipitationProbability: at('precipitation_probability'),
+    weatherCode: wmoToCode(at('weather_code'))
+  }
+}
+
+function dailyValuesFrom(src, i) {
+  const at = (k) => src[k]?.[i] ?? null
+  return {
+    temperatureMax: at('temperature_2m_max'),
+    temperatureMin: at('temperature_2m_min'),
+    windSpeedMax: at('wind_speed_10m_max'),
+    windGustMax: at('wind_gusts_10m_max'),
+    uvIndexMax: at('uv_index_max'),
+    precipitationProbabilityMax: at('precipitation_probability_max'),
+    rainAccumulationSum: at('rain_sum'),
+    weatherCodeMax: wmoToCode(at('weather_code'))
+  }
+}
+
+const locationOf = (data, lat, lon) => ({ lat: data?.latitude ?? Number(lat), lon: data?.longitude ?? Number(lon) })
+
+export async function fetchRealtime({ lat, lon, units = 'metric' }) {
+  const { data } = await http.get('/v1/forecast', {
+    params: { latitude: lat, longitude: lon, current: HOURLY_VARS.join(','), timezone: 'GMT', ...unitParams(units) }
+  })
+  const cur = data?.current || {}
+  return {
+    data: { time: cur.time ? toISO(cur.time) : null, values: valuesFrom(cur, 0, units) },
+    location: locationOf(data, lat, lon)
+  }
+}
+
+export async function fetchForecast({ lat, lon, units = 'metric', timesteps = '1h', startTime, endTime }) {
+  const daily = timesteps === '1d' || timesteps === 'daily'
+  const params = { latitude: lat, longitude: lon, timezone: 'GMT', ...unitParams(units) }
+  if (daily) {
+    params.daily = DAILY_VARS.join(',')
+    if (startTime && endTime) {
+      params.start_date = toHourParam(startTime).slice(0, 10)
+      params.end_date   = toHourParam(endTime).slice(0, 10)
+    }
+  } else {
+    params.hourly = HOURLY_VARS.join(',')
+    if (startTime && endTime) {
+      params.start_hour = toHourParam(startTime)
+      params.end_hour   = toHourParam(endTime)
+    } else {
+      params.forecast_days = 5
+    }
+  }
+
+  const { data } = await http.get('/v1/forecast', { params })
+  const src = daily ? data?.daily : data?.hourly
+  const times = src?.time || []
+  const series = times.map((t, i) => ({
+    time: toISO(t),
+    values: daily ? dailyValuesFrom(src, i) : valuesFrom(src, i, units)
+  }))
+
+  return {
+    timelines: daily ? { daily: series } : { hourly: series },
+    location: locationOf(data, lat, lon)
+  }
+}
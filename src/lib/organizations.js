@@ -0,0 +1,124 @@
+// src/lib/organizations.js
+// Organizaciones (equipos), sus miembros e invitaciones por email.
+// Roles: owner (todo, incluidos miembros), manager (gestiona empresas e invita viewers), viewer.
+import crypto from 'node:crypto'
+import { query } from './db.js'
+import { roleAtLeast } from './ownership.js'
+
+const INVITATION_TTL_MS = Number(process.env.ORG_INVITATION_TTL_DAYS || 7) * 24 * 3600 * 1000
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+/** Rol del usuario en la organización, o null si no es miembro. */
+export async function memberRole(orgId, userId) {
+  const [row] = await query(
+    'SELECT role FROM organization_members WHERE organization_id = :oid AND user_id = :uid',
+    { oid: orgId, uid: userId }
+  )
+  return row?.role ?? null
+}
+
+/** Miembros de la organización dueña de la empresa → [{ id, units }] (units: preferencia del usuario). */
+export async function companyMembers(companyId) {
+  return query(
+    `SELECT u.id, u.units FROM organization_members m
+       JOIN companies c ON c.organization_id = m.organization_id
+       JOIN users u ON u.id = m.user_id
+      WHERE c.id = :cid`,
+    { cid: companyId }
+  )
+}
+
+export async function createOrganization(name, userId) {
+  const r = await query(
+    'INSERT INTO organizations (name, created_by) VALUES (:name, :uid)',
+    { name, uid: userId }
+  )
+  await query(
+    `INSERT INTO organization_members (organization_id, user_id, role) VALUES (:oid, :uid, 'owner')`,
+    { oid: r.insertId, uid: userId }
+  )
+  return r.insertId
+}
+
+/**
+ * Organización donde caen las empresas que el usuario crea sin indicar otra:
+ * la más antigua de la que es owner; si no tiene ninguna, se crea una personal.
+ */
+export async function defaultOrganization(userId) {
+  const [row] = await query(
+    `SELECT organization_id AS id FROM organization_members
+      WHERE user_id = :uid AND role = 'owner'
+      ORDER BY organization_id ASC LIMIT 1`,
+    { uid: userId }
+  )
+  if (row) return row.id
+  const [u] = await query('SELECT name FROM users WHERE id = :uid', { uid: userId })
+  return createOrganization(u?.name || `Usuario ${userId}`, userId)
+}
+
+// owner gestiona cualquier rol; manager solo viewers
+export const canManageRole = (actorRole, targetRole) =>
+  actorRole === 'owner' || (actorRole === 'manager' && targetRole === 'viewer')
+
+/** Quedaría la organización sin owner si `userId` deja de serlo. */
+export async function isLastOwner(orgId, userId) {
+  const owners = await query(
+    `SELECT user_id FROM organization_members WHERE organization_id = :oid AND role = 'owner'`,
+    { oid: orgId }
+  )
+  return owners.length === 1 && Number(owners[0].user_id) === Number(userId)
+}
+
+// ===== Invitaciones =====
+/** Invitación nueva (anula las pendientes para el mismo email) → { id, token, expiresAt }. */
+export async function createInvitation({ orgId, email, role, invitedBy }) {
+  await query(
+    `UPDATE organization_invitations SET revoked_at = CURRENT_TIMESTAMP(3)
+      WHERE organization_id = :oid AND email = :email AND accepted_at IS NULL AND revoked_at IS NULL`,
+    { oid: orgId, email }
+  )
+  const token = crypto.randomBytes(32).toString('base64url')
+  const expires = new Date(Date.now() + INVITATION_TTL_MS)
+  const r = await query(
+    `INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at)
+     VALUES (:oid, :email, :role, :hash, :by, :expires)`,
+    { oid: orgId, email, role, hash: hashToken(token), by: invitedBy, expires }
+  )
+  return { id: r.insertId, token, expiresAt: expires.toISOString() }
+}
+
+/**
+ * Acepta la invitación para `user` (su email debe coincidir) y lo suma a la organización.
+ * → { organizationId, role } | { error }. Si ya era miembro conserva el rol más alto.
+ */
+export async function acceptInvitation(token, user) {
+  const [inv] = await query(
+    `SELECT * FROM organization_invitations
+      WHERE token_hash = :hash AND accepted_at IS NULL AND revoked_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP(3)`,
+    { hash: hashToken(token) }
+  )
+  if (!inv) return { error: 'INVALID_INVITATION' }
+  if (String(inv.email).toLowerCase() !== String(user.email || '').toLowerCase()) return { error: 'INVITATION_EMAIL_MISMATCH' }
+
+  const r = await query(
+    'UPDATE organization_invitations SET accepted_at = CURRENT_TIMESTAMP(3) WHERE id = :id AND accepted_at IS NULL',
+    { id: inv.id }
+  )
+  if (!r.affectedRows) return { error: 'INVALID_INVITATION' }
+
+  const current = await memberRole(inv.organization_id, user.id)
+  if (!current) {
+    await query(
+      'INSERT INTO organization_members (organization_id, user_id, role) VALUES (:oid, :uid, :role)',
+      { oid: inv.organization_id, uid: user.id, role: inv.role }
+    )
+  } else if (!roleAtLeast(current, inv.role)) {
+    await query(
+      'UPDATE organization_members SET role = :role WHERE organization_id = :oid AND user_id = :uid',
+      { oid: inv.organization_id, uid: user.id, role: inv.role }
+    )
+  }
+  return { organizationId: inv.organization_id, role: roleAtLeast(current, inv.role) ? current : inv.role }
+}
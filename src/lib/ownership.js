@@ -0,0 +1,52 @@
+// src/lib/ownership.js
+// Helpers compartidos por las rutas scoped al usuario (companies, sites, ...).
+// Las empresas pertenecen a una organización; lo que cada usuario puede hacer con
+// ellas depende de su rol en esa organización (owner > manager > viewer).
+import { query } from './db.js'
+
+export const ORG_ROLES = ['viewer', 'manager', 'owner']
+
+// Acción sobre una empresa → rol mínimo
+//   read   → ver empresa, clima, sedes, alertas, historial propio
+//   query  → advanced-query (queda a nombre de quien pregunta)
+//   manage → editar la empresa, sus sedes y reglas de alerta; ver el historial del equipo
+//   delete → borrar la empresa
+export const PERMISSIONS = { read: 'viewer', query: 'viewer', manage: 'manager', delete: 'owner' }
+
+export const roleAtLeast = (role, min) =>
+  ORG_ROLES.includes(role) && ORG_ROLES.indexOf(role) >= ORG_ROLES.indexOf(min)
+
+// Siempre el usuario autenticado por el middleware (JWT, API key o x-user-id en modo dev)
+export function getUserId(req) {
+  const n = Number(req.user?.id)
+  return Number.isFinite(n) && n > 0 ? n : null
+}
+
+/** Empresa + rol del usuario en su organización → { company, role }, o null si no es miembro. */
+export async function loadCompanyAccess(id, userId) {
+  const [row] = await query(
+    `SELECT c.*, m.role AS member_role
+       FROM companies c
+       JOIN organization_members m ON m.organization_id = c.organization_id AND m.user_id = :uid
+      WHERE c.id = :id`,
+    { id, uid: userId }
+  )
+  if (!row) return null
+  const { member_role: role, ...company } = row
+  return { company, role }
+}
+
+/**
+ * Resuelve usuario + empresa (req.params.id) con permiso para `permission`.
+ * Responde 401 (sin usuario), 404 (no es miembro) o 403 (rol insuficiente) y devuelve null si falla.
+ * El rol queda en req.memberRole.
+ */
+export async function authorizedCompany(req, res, permission = 'read') {
+  const uid = getUserId(req)
+  if (!uid) { res.status(401).json({ error: 'UNAUTHORIZED' }); return null }
+  const access = await loadCompanyAccess(req.params.id, uid)
+  if (!access) { res.status(404).json({ error: 'NOT_FOUND' }); return null }
+  if (!roleAtLeast(access.role, PERMISSIONS[permission])) { res.status(403).json({ error: 'FORBIDDEN' }); return null }
+  req.memberRole = access.role
+  return access.company
+}
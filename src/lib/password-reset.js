@@ -0,0 +1,42 @@
+// src/lib/password-reset.js
+// Tokens de recuperación de contraseña: aleatorios, de un solo uso y con vencimiento
+// (PASSWORD_RESET_TTL_MINUTES, 60). En la base solo queda su SHA-256.
+import crypto from 'node:crypto'
+import { query } from './db.js'
+
+const TTL_MS = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60) * 60 * 1000
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+/** Token nuevo para el usuario → { token, expiresAt }. Invalida los pendientes anteriores. */
+export async function createResetToken(userId) {
+  await query(
+    'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP(3) WHERE user_id = :uid AND used_at IS NULL',
+    { uid: userId }
+  )
+  const token = crypto.randomBytes(32).toString('base64url')
+  const expires = new Date(Date.now() + TTL_MS)
+  await query(
+    'INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (:uid, :hash, :expires)',
+    { uid: userId, hash: hashToken(token), expires }
+  )
+  return { token, expiresAt: expires.toISOString() }
+}
+
+/** Marca el token como usado y devuelve su user_id; null si no existe, venció o ya se usó. */
+export async function consumeResetToken(token) {
+  if (!token) return null
+  const hash = hashToken(token)
+  const [row] = await query(
+    `SELECT id, user_id FROM password_resets
+      WHERE token_hash = :hash AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP(3)`,
+    { hash }
+  )
+  if (!row) return null
+  // La condición used_at IS NULL evita que dos canjes simultáneos pasen los dos
+  const r = await query(
+    'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP(3) WHERE id = :id AND used_at IS NULL',
+    { id: row.id }
+  )
+  return r.affectedRows ? row.user_id : null
+}
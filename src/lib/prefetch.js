@@ -0,0 +1,87 @@
+// src/lib/prefetch.js
+// Precarga del forecast horario antes de los turnos de mañana: en cada pasada
+// recorre las coordenadas de empresas y sedes y, para las que están dentro de la
+// franja local FORECAST_PREFETCH_WINDOW (por defecto 04:00-08:00), deja en caché el
+// horizonte completo. Va con prioridad `background`, así que nunca se come el
+// presupuesto reservado a consultas interactivas y alertas (ver quota.js).
+import { DateTime } from 'luxon'
+import { query } from './db.js'
+import { getForecast, keyCoords, resolveTimezone } from './weather.js'
+
+const INTERVAL_MS = Number(process.env.FORECAST_PREFETCH_INTERVAL_MS || 15 * 60 * 1000)
+
+// "HH:mm-HH:mm" → minutos desde medianoche; admite franjas que cruzan la medianoche
+function prefetchWindow() {
+  const m = String(process.env.FORECAST_PREFETCH_WINDOW || '04:00-08:00')
+    .match(/^\s*([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)\s*$/)
+  if (!m) return { from: 4 * 60, to: 8 * 60 }
+  return { from: Number(m[1]) * 60 + Number(m[2]), to: Number(m[3]) * 60 + Number(m[4]) }
+}
+
+function inWindow(local, { from, to }) {
+  const min = local.hour * 60 + local.minute
+  return from <= to ? min >= from && min < to : min >= from || min < to
+}
+
+// Puntos distintos (redondeados como la clave de caché) de empresas y sedes
+async function prefetchPoints() {
+  const rows = await query(
+    `SELECT lat, lon, NULL AS timezone FROM companies
+     UNION ALL
+     SELECT lat, lon, timezone FROM sites`
+  )
+  const points = new Map()
+  for (const r of rows) {
+    const k = keyCoords(r.lat, r.lon)
+    if (!points.has(k)) points.set(k, { lat: Number(r.lat), lon: Number(r.lon), tz: resolveTimezone(r.lat, r.lon, r.timezone) })
+  }
+  return [...points.values()]
+}
+
+/**
+ * Una pasada. Solo llama al proveedor si la entrada en caché no existe o vence
+ * antes de la próxima pasada, de modo que el horizonte siga caliente toda la franja.
+ */
+export async function runForecastPrefetch(now = DateTime.utc()) {
+  const window = prefetchWindow()
+  const points = (await prefetchPoints()).filter(p => inWindow(now.setZone(p.tz), window))
+
+  let ok = 0
+  for (const p of points) {
+    try {
+      await getForecast({ lat: p.lat, lon: p.lon, units: 'metric', timesteps: '1h', priority: 'background', refreshWithinMs: INTERVAL_MS })
+      ok++
+    } catch (e) {
+      console.warn('PREFETCH_FORECAST_WARN:', keyCoords(p.lat, p.lon), e?.code || e?.message || e)
+      if (e?.code === 'QUOTA_EXHAUSTED') break
+    }
+  }
+  return { points: points.length, prefetched: ok }
+}
+
+let timer = null
+let running = false
+
+export function startForecastPrefetch() {
+  if (timer || INTERVAL_MS <= 0) return
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      const { prefetched } = await runForecastPrefetch()
+      if (prefetched) console.log(`[prefetch] forecast precargado para ${prefetched} punto(s)`)
+    } catch (e) {
+      console.error('PREFETCH_RUN_ERROR:', e?.message || e)
+    } finally {
+      running = false
+    }
+  }
+  timer = setInterval(tick, INTERVAL_MS)
+  timer.unref?.()
+  setTimeout(tick, 10000).unref?.()
+}
+
+export function stopForecastPrefetch() {
+  if (timer) clearInterval(timer)
+  timer = null
+}
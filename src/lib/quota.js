@@ -0,0 +1,237 @@
+// src/lib/quota.js
+// Presupuesto de llamadas por proveedor meteorológico: dos token buckets (hora y día)
+// que se rellenan de forma continua hasta su tope. Límites por env:
+//   <PROVEEDOR>_HOURLY_LIMIT / <PROVEEDOR>_DAILY_LIMIT (0 = sin límite)
+// Por defecto solo Tomorrow.io tiene tope (plan gratuito: 25/h, 500/día).
+//
+// Clases de prioridad: cada una solo gasta mientras quede por encima de su reserva
+// (fracción del tope), de modo que lo menos urgente se corta antes:
+//   alerts      → sin reserva: puede agotar el presupuesto (protege a las cuadrillas)
+//   interactive → deja WEATHER_QUOTA_RESERVE_INTERACTIVE (0.1) para alertas
+//   background  → deja WEATHER_QUOTA_RESERVE_BACKGROUND (0.5) (precargas, tareas diferibles)
+//
+// Backends (WEATHER_QUOTA, por defecto el mismo que WEATHER_CACHE):
+//  - memory: buckets por proceso
+//  - mysql:  tabla weather_quota compartida entre instancias y reinicios. Si la base
+//            falla, ese proceso sigue con sus buckets en memoria y avisa.
+// Los contadores de uso y rechazos por clase son por proceso.
+import { query, withTransaction } from './db.js'
+
+const HOUR_MS = 3600 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+const DEFAULT_LIMITS = { tomorrow: { hourly: 25, daily: 500 } }
+
+export const PRIORITIES = ['alerts', 'interactive', 'background']
+
+function reserveFor(priority) {
+  const env = {
+    interactive: process.env.WEATHER_QUOTA_RESERVE_INTERACTIVE,
+    background: process.env.WEATHER_QUOTA_RESERVE_BACKGROUND
+  }[priority]
+  const fallback = { alerts: 0, interactive: 0.1, background: 0.5 }[priority] ?? 0.1
+  const n = Number(env)
+  return env != null && env !== '' && n >= 0 && n < 1 ? n : fallback
+}
+
+function limitsFor(provider) {
+  const up = provider.toUpperCase()
+  const def = DEFAULT_LIMITS[provider] || {}
+  const read = (name, fallback) => {
+    const v = process.env[`${up}_${name}_LIMIT`]
+    if (v == null || v === '') return fallback ?? null
+    return Number(v) > 0 ? Number(v) : null
+  }
+  return { hourly: read('HOURLY', def.hourly), daily: read('DAILY', def.daily) }
+}
+
+// Buckets con tope del proveedor → [{ period, capacity, periodMs }]
+function bucketsFor(provider) {
+  const { hourly, daily } = limitsFor(provider)
+  return [
+    hourly && { period: 'hourly', capacity: hourly, periodMs: HOUR_MS },
+    daily && { period: 'daily', capacity: daily, periodMs: DAY_MS }
+  ].filter(Boolean)
+}
+
+// Tokens del bucket en `now` tras rellenar desde `updated`
+const refilled = (b, tokens, updated, now) =>
+  Math.min(b.capacity, tokens + (Math.max(0, now - updated) * b.capacity) / b.periodMs)
+
+// Estado de un bucket para admins
+const view = (b, tokens) => ({ limit: b.capacity, remaining: Math.floor(tokens), used: Math.ceil(b.capacity - tokens) })
+
+// ===== Backends =====
+// Interfaz común: take(provider, buckets, reserve) → bool, drain(provider),
+// status(provider, buckets) → { hourly, daily, throttledAt }
+export function memoryQuota() {
+  const state = new Map()
+  const stateFor = (provider) => {
+    if (!state.has(provider)) state.set(provider, { buckets: {}, throttledAt: null })
+    return state.get(provider)
+  }
+  const current = (s, b, now) => {
+    const x = s.buckets[b.period] ?? { tokens: b.capacity, updated: now }
+    x.tokens = refilled(b, x.tokens, x.updated, now)
+    x.updated = now
+    s.buckets[b.period] = x
+    return x
+  }
+  return {
+    name: 'memory',
+    async take(provider, buckets, reserve) {
+      const s = stateFor(provider)
+      const now = Date.now()
+      const xs = buckets.map(b => current(s, b, now))
+      if (!buckets.every((b, i) => xs[i].tokens - 1 >= b.capacity * reserve)) return false
+      xs.forEach(x => { x.tokens -= 1 })
+      return true
+    },
+    async drain(provider) {
+      const s = stateFor(provider)
+      s.buckets.hourly = { tokens: 0, updated: Date.now() }
+      s.throttledAt = new Date().toISOString()
+    },
+    async status(provider, buckets) {
+      const s = stateFor(provider)
+      const now = Date.now()
+      const out = { hourly: null, daily: null, throttledAt: s.throttledAt }
+      for (const b of buckets) out[b.period] = view(b, current(s, b, now).tokens)
+      return out
+    }
+  }
+}
+
+export function mysqlQuota() {
+  const ms = (d) => new Date(d).getTime()
+  return {
+    name: 'mysql',
+    // Bloquea las filas del proveedor para que dos instancias no gasten el mismo token
+    async take(provider, buckets, reserve) {
+      return withTransaction(async (q) => {
+        for (const b of buckets) {
+          await q(
+            `INSERT IGNORE INTO weather_quota (provider, period, tokens, updated_at)
+             VALUES (:provider, :period, :capacity, CURRENT_TIMESTAMP(3))`,
+            { provider, period: b.period, capacity: b.capacity }
+          )
+        }
+        const rows = await q(
+          `SELECT period, tokens, updated_at, CURRENT_TIMESTAMP(3) AS now
+             FROM weather_quota WHERE provider = :provider FOR UPDATE`,
+          { provider }
+        )
+        const byPeriod = Object.fromEntries(rows.map(r => [r.period, r]))
+        const tokens = buckets.map(b => {
+          const r = byPeriod[b.period]
+          return refilled(b, Number(r.tokens), ms(r.updated_at), ms(r.now))
+        })
+        const ok = buckets.every((b, i) => tokens[i] - 1 >= b.capacity * reserve)
+        for (const [i, b] of buckets.entries()) {
+          await q(
+            `UPDATE weather_quota SET tokens = :tokens, updated_at = :now
+              WHERE provider = :provider AND period = :period`,
+            { provider, period: b.period, tokens: tokens[i] - (ok ? 1 : 0), now: byPeriod[b.period].now }
+          )
+        }
+        return ok
+      })
+    },
+    async drain(provider) {
+      await query(
+        `UPDATE weather_quota SET tokens = 0, updated_at = CURRENT_TIMESTAMP(3), throttled_at = CURRENT_TIMESTAMP(3)
+          WHERE provider = :provider AND period = 'hourly'`,
+        { provider }
+      )
+    },
+    async status(provider, buckets) {
+      const rows = await query(
+        `SELECT period, tokens, updated_at, throttled_at, CURRENT_TIMESTAMP(3) AS now
+           FROM weather_quota WHERE provider = :provider`,
+        { provider }
+      )
+      const byPeriod = Object.fromEntries(rows.map(r => [r.period, r]))
+      const out = { hourly: null, daily: null, throttledAt: null }
+      for (const b of buckets) {
+        const r = byPeriod[b.period]
+        out[b.period] = view(b, r ? refilled(b, Number(r.tokens), ms(r.updated_at), ms(r.now)) : b.capacity)
+      }
+      const throttled = byPeriod.hourly?.throttled_at
+      if (throttled) out.throttledAt = new Date(throttled).toISOString()
+      return out
+    }
+  }
+}
+
+const BACKENDS = { memory: memoryQuota, mysql: mysqlQuota }
+
+function createQuotaStore(name = process.env.WEATHER_QUOTA || process.env.WEATHER_CACHE) {
+  const key = String(name || 'memory').trim().toLowerCase()
+  if (!BACKENDS[key]) console.warn(`WEATHER_QUOTA desconocido: ${name}; se usa memory`)
+  return (BACKENDS[key] || memoryQuota)()
+}
+
+const store = createQuotaStore()
+// Respaldo si el backend compartido falla: el proceso sigue limitado por su cuenta
+const fallback = store.name === 'memory' ? store : memoryQuota()
+
+async function withStore(op, ...args) {
+  try {
+    return await store[op](...args)
+  } catch (err) {
+    console.warn(`WEATHER_QUOTA_FAILED (${store.name}):`, err?.message || err)
+    return fallback[op](...args)
+  }
+}
+
+const counters = () => Object.fromEntries(PRIORITIES.map(p => [p, 0]))
+const usage = new Map()
+
+function usageFor(provider) {
+  if (!usage.has(provider)) usage.set(provider, { used: counters(), rejected: counters() })
+  return usage.get(provider)
+}
+
+/**
+ * Consume una llamada del presupuesto de `provider` para la clase `priority`.
+ * Devuelve false (sin consumir) si dejaría algún bucket por debajo de la reserva de la clase.
+ */
+export async function takeToken(provider, priority = 'interactive') {
+  const cls = PRIORITIES.includes(priority) ? priority : 'interactive'
+  const buckets = bucketsFor(provider)
+  const ok = !buckets.length || await withStore('take', provider, buckets, reserveFor(cls))
+  usageFor(provider)[ok ? 'used' : 'rejected'][cls]++
+  return ok
+}
+
+// El proveedor respondió 429: vaciamos el bucket horario para no insistir hasta que se rellene
+export async function drainBudget(provider) {
+  if (!limitsFor(provider).hourly) return
+  await withStore('drain', provider)
+}
+
+export function quotaError(provider) {
+  const e = new Error('QUOTA_EXHAUSTED')
+  e.code = 'QUOTA_EXHAUSTED'
+  e.status = 429
+  e.provider = provider
+  return e
+}
+
+/** Consumo actual por proveedor (para admins). */
+export async function quotaStatus(providers = []) {
+  const names = [...new Set([...providers, ...usage.keys()])]
+  return Promise.all(names.map(async (name) => {
+    const u = usageFor(name)
+    return {
+      provider: name,
+      ...(await withStore('status', name, bucketsFor(name))),
+      used: { ...u.used },
+      rejected: { ...u.rejected }
+    }
+  }))
+}
+
+export const quotaBackend = () => store.name
+
+export const quotaReserves = () => Object.fromEntries(PRIORITIES.map(p => [p, reserveFor(p)]))
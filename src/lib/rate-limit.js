@@ -0,0 +1,110 @@
+// src/lib/rate-limit.js
+// Límites de peticiones. Todos responden 429 con Retry-After (segundos):
+//  - rateLimit(): ventana fija en memoria por clave (IP, email...), por proceso
+//  - dailyQuota(): cupo diario por usuario y rol, contado en `usage_counters`
+//    para que sea común a todas las instancias y sobreviva a reinicios
+import { query } from './db.js'
+
+export function tooManyRequests(res, retryAfterSec, error = 'RATE_LIMITED') {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterSec))
+  res.set('Retry-After', String(retryAfter))
+  return res.status(429).json({ error, retryAfter })
+}
+
+/**
+ * Middleware: como máximo `max` peticiones por `windowMs` para cada valor de `key(req)`.
+ * Si `key` devuelve null la petición no cuenta (p. ej. sin email en el body).
+ */
+export function rateLimit({ name, windowMs, max, key }) {
+  const hits = new Map()
+  let lastPrune = Date.now()
+
+  return (req, res, next) => {
+    if (!max || max <= 0) return next()
+    const k = key(req)
+    if (k == null || k === '') return next()
+
+    const now = Date.now()
+    if (now - lastPrune > windowMs) {
+      for (const [id, w] of hits) if (w.reset <= now) hits.delete(id)
+      lastPrune = now
+    }
+
+    let w = hits.get(k)
+    if (!w || w.reset <= now) {
+      w = { count: 0, reset: now + windowMs }
+      hits.set(k, w)
+    }
+    if (w.count >= max) {
+      console.warn(`RATE_LIMITED (${name}):`, k)
+      return tooManyRequests(res, (w.reset - now) / 1000)
+    }
+    w.count++
+    next()
+  }
+}
+
+// ===== Cupos diarios (día UTC) =====
+const utcDay = (d = new Date()) => d.toISOString().slice(0, 10)
+
+function secondsToUtcMidnight(now = new Date()) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+  return (next - now.getTime()) / 1000
+}
+
+// Suma 1 si no se llegó al tope; false si ya está lleno
+async function consumeDaily(userId, feature, limit) {
+  const params = { uid: userId, feature, day: utcDay(), limit }
+  const increment = () => query(
+    `UPDATE usage_counters SET count = count + 1
+      WHERE user_id = :uid AND feature = :feature AND day = :day AND count < :limit`,
+    params
+  )
+  if ((await increment()).affectedRows) return true
+  const r = await query(
+    'INSERT IGNORE INTO usage_counters (user_id, feature, day, count) VALUES (:uid, :feature, :day, 1)',
+    params
+  )
+  if (r.affectedRows) return true
+  // Otra petición creó la fila entre medio
+  return (await increment()).affectedRows > 0
+}
+
+/** Uso del día de `feature` para el usuario (para informar del cupo). */
+export async function dailyUsage(userId, feature) {
+  const [row] = await query(
+    'SELECT count FROM usage_counters WHERE user_id = :uid AND feature = :feature AND day = :day',
+    { uid: userId, feature, day: utcDay() }
+  )
+  return Number(row?.count ?? 0)
+}
+
+/**
+ * Cupo diario de `feature` por usuario: `(req, res) → true` si la petición puede seguir
+ * (ya contada); si no, responde 429 y devuelve false. `limitFor(role)` devuelve el tope
+ * del rol (0 o null = sin límite). Un fallo de la base no bloquea la petición.
+ * Para contar solo peticiones válidas se llama desde el handler, tras validarlas.
+ */
+export function dailyQuotaCheck({ feature, limitFor }) {
+  return async (req, res) => {
+    const uid = Number(req.user?.id)
+    const limit = limitFor(String(req.user?.role || 'customer').toLowerCase())
+    if (!uid || !limit) return true
+    try {
+      if (await consumeDaily(uid, feature, limit)) return true
+      tooManyRequests(res, secondsToUtcMidnight(), 'DAILY_QUOTA_EXCEEDED')
+      return false
+    } catch (err) {
+      console.warn(`DAILY_QUOTA_WARN (${feature}):`, err?.message || err)
+      return true
+    }
+  }
+}
+
+/** Middleware con dailyQuotaCheck. */
+export function dailyQuota(opts) {
+  const check = dailyQuotaCheck(opts)
+  return async (req, res, next) => {
+    if (await check(req, res)) next()
+  }
+}
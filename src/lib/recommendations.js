@@ -1,45 +1,100 @@
+import { DEFAULT_LOCALE, localized, levelFromName } from './i18n.js'
+import { DEFAULT_UNITS, formatQuantity, toMetric } from './units.js'
 
-export function quickRules(rec) {
+const RULE_TEXT = {
+  es: {
+    heatExtreme: '🔥 Alerta por calor extremo: reprogramar turnos físicos al amanecer o tarde; priorizar tareas bajo techo; monitorear signos de golpe de calor.',
+    heat: '🌡️ Calor moderado: aumentar pausas, habilitar puntos de hidratación cercanos, rotar al personal en exteriores.',
+    cold: '🥶 Frío severo: reducir exposición en exteriores, implementar pausas activas, garantizar ropa térmica certificada.',
+    uv: '☀️ UV alto: restringir tareas expuestas prolongadas (soldaduras, techos, navegación); dotar de EPP adecuados; trabajar en sombra o bajo toldos.',
+    windExtreme: '🛑 Viento muy fuerte (>{viento}): suspender TODA operación con grúas, izajes o en altura. Replegar personal y asegurar maquinaria.',
+    windStrong: '💨 Viento fuerte: prohibir izajes; usar líneas de vida; asegurar estructuras temporales; revisar amarres.',
+    windModerate: '🌬️ Viento moderado: supervisión reforzada en tareas con herramientas manuales o andamios; revisar toldos y señalización.',
+    rainHeavy: '⛈️ Lluvia intensa: postergar trabajos de excavación, electricidad o soldadura. Proveer iluminación y zonas de resguardo.',
+    rainLight: '🌧️ Lluvia ligera: extremar precaución por superficies resbaladizas; uso obligatorio de calzado antiderrapante; revisar sistemas de drenaje.',
+    normal: '✅ Condiciones normales: aplicar rutina estándar de seguridad, monitoreo continuo y chequeo de clima cada 3 horas.'
+  },
+  en: {
+    heatExtreme: '🔥 Extreme heat alert: move physical shifts to early morning or late afternoon; prioritize indoor tasks; watch for signs of heat stroke.',
+    heat: '🌡️ Moderate heat: increase breaks, set up nearby hydration points, rotate outdoor staff.',
+    cold: '🥶 Severe cold: reduce outdoor exposure, schedule active breaks, ensure certified thermal clothing.',
+    uv: '☀️ High UV: limit prolonged exposed tasks (welding, roofs, navigation); provide suitable PPE; work in shade or under canopies.',
+    windExtreme: '🛑 Very strong wind (>{viento}): suspend ALL crane, lifting and work-at-height operations. Withdraw staff and secure machinery.',
+    windStrong: '💨 Strong wind: no lifting operations; use lifelines; secure temporary structures; check tie-downs.',
+    windModerate: '🌬️ Moderate wind: closer supervision of hand-tool and scaffold work; check canopies and signage.',
+    rainHeavy: '⛈️ Heavy rain: postpone excavation, electrical and welding work. Provide lighting and shelter areas.',
+    rainLight: '🌧️ Light rain: take extra care on slippery surfaces; non-slip footwear required; check drainage systems.',
+    normal: '✅ Normal conditions: apply the standard safety routine, continuous monitoring and a weather check every 3 hours.'
+  },
+  pt: {
+    heatExtreme: '🔥 Alerta de calor extremo: remanejar turnos físicos para o amanhecer ou fim da tarde; priorizar tarefas em local coberto; monitorar sinais de insolação.',
+    heat: '🌡️ Calor moderado: aumentar as pausas, disponibilizar pontos de hidratação próximos, revezar o pessoal em áreas externas.',
+    cold: '🥶 Frio intenso: reduzir a exposição em áreas externas, implementar pausas ativas, garantir roupa térmica certificada.',
+    uv: '☀️ UV alto: restringir tarefas expostas prolongadas (soldagem, telhados, navegação); fornecer EPI adequado; trabalhar à sombra ou sob toldos.',
+    windExtreme: '🛑 Vento muito forte (>{viento}): suspender TODA operação com guindastes, içamentos ou em altura. Recolher o pessoal e fixar o maquinário.',
+    windStrong: '💨 Vento forte: proibir içamentos; usar linhas de vida; fixar estruturas temporárias; revisar amarrações.',
+    windModerate: '🌬️ Vento moderado: supervisão reforçada em tarefas com ferramentas manuais ou andaimes; revisar toldos e sinalização.',
+    rainHeavy: '⛈️ Chuva forte: adiar trabalhos de escavação, elétricos ou de soldagem. Prover iluminação e áreas de abrigo.',
+    rainLight: '🌧️ Chuva fraca: redobrar o cuidado com superfícies escorregadias; uso obrigatório de calçado antiderrapante; revisar a drenagem.',
+    normal: '✅ Condições normais: aplicar a rotina padrão de segurança, monitoramento contínuo e verificação do tempo a cada 3 horas.'
+  }
+}
+
+/**
+ * Reglas rápidas sobre valores normalizados (temperatura, uv, viento, precipitacion)
+ * expresados en `units`: metric (°C, m/s, mm/h) o imperial (°F, mph, in/h).
+ * Los umbrales son métricos; los que se citan en el texto salen en `units`.
+ */
+export function quickRules(rec, locale = DEFAULT_LOCALE, units = DEFAULT_UNITS) {
+  const text = localized(RULE_TEXT, locale)
+  const imperial = units === 'imperial'
   const out = []
-  const t = Number(rec.temperatura ?? 0)
+  const t = Number((imperial ? toMetric(rec.temperatura, '°F') : rec.temperatura) ?? 0)
   const uv = Number(rec.uv ?? 0)
-  const wind = Number(rec.viento ?? 0)
-  const rain = Number(rec.precipitacion ?? 0)
+  const wind = Number((imperial ? toMetric(rec.viento, 'mph') : rec.viento) ?? 0)
+  const rain = Number((imperial ? toMetric(rec.precipitacion, 'in/h') : rec.precipitacion) ?? 0)
 
   if (t >= 35) {
-    out.push('🔥 Alerta por calor extremo: reprogramar turnos físicos al amanecer o tarde; priorizar tareas bajo techo; monitorear signos de golpe de calor.')
+    out.push(text.heatExtreme)
   } else if (t >= 30) {
-    out.push('🌡️ Calor moderado: aumentar pausas, habilitar puntos de hidratación cercanos, rotar al personal en exteriores.')
+    out.push(text.heat)
   } else if (t <= 5) {
-    out.push('🥶 Frío severo: reducir exposición en exteriores, implementar pausas activas, garantizar ropa térmica certificada.')
+    out.push(text.cold)
   }
 
   // Radiación UV
   if (uv >= 6) {
-    out.push('☀️ UV alto: restringir tareas expuestas prolongadas (soldaduras, techos, navegación); dotar de EPP adecuados; trabajar en sombra o bajo toldos.')
+    out.push(text.uv)
   }
 
   // Viento (transformado a km/h)
   const windKmh = wind * 3.6
   if (windKmh >= 60) {
-    out.push('🛑 Viento muy fuerte (>60 km/h): suspender TODA operación con grúas, izajes o en altura. Replegar personal y asegurar maquinaria.')
+    out.push(text.windExtreme.replace('{viento}', formatQuantity(60, 'km/h', units)))
   } else if (windKmh >= 45) {
-    out.push('💨 Viento fuerte: prohibir izajes; usar líneas de vida; asegurar estructuras temporales; revisar amarres.')
+    out.push(text.windStrong)
   } else if (windKmh >= 30) {
-    out.push('🌬️ Viento moderado: supervisión reforzada en tareas con herramientas manuales o andamios; revisar toldos y señalización.')
+    out.push(text.windModerate)
   }
 
   // Lluvia
   if (rain >= 30) {
-    out.push('⛈️ Lluvia intensa: postergar trabajos de excavación, electricidad o soldadura. Proveer iluminación y zonas de resguardo.')
+    out.push(text.rainHeavy)
   } else if (rain > 0) {
-    out.push('🌧️ Lluvia ligera: extremar precaución por superficies resbaladizas; uso obligatorio de calzado antiderrapante; revisar sistemas de drenaje.')
+    out.push(text.rainLight)
   }
 
   // Si todo está dentro de condiciones seguras
   if (!out.length) {
-    out.push('✅ Condiciones normales: aplicar rutina estándar de seguridad, monitoreo continuo y chequeo de clima cada 3 horas.')
+    out.push(text.normal)
   }
 
   return out
 }
+
+// Lee "Nivel de riesgo: Bajo|Medio|Alto" (o "Risk level: High", "Nível de risco: Alto")
+// del texto generado por el LLM; devuelve siempre el nivel canónico Bajo|Medio|Alto
+export function riskLevelFromText(text) {
+  const m = String(text || '').match(/(?:Nivel de riesgo|Risk level|Nível de risco):\s*\**\s*(\p{L}+)/iu)
+  return m ? levelFromName(m[1]) : null
+}
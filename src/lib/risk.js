@@ -0,0 +1,277 @@
+// src/lib/risk.js
+// Motor de riesgo determinista (sin LLM): puntúa un resumen meteorológico por
+// peligro (calor, frío, viento, rachas, UV, lluvia, visibilidad, tormenta) con
+// umbrales ajustados por tipo de actividad, y da un nivel global Bajo/Medio/Alto.
+//
+// Umbrales en unidades métricas (°C, km/h, mm, km). Se pueden ajustar con
+// RISK_RULES (JSON): { "default": { "gust": { "medio": 40 } }, "profiles": { "construccion": { ... } } }
+import { DEFAULT_LOCALE } from './i18n.js'
+import { heatIndex } from './heat.js'
+
+export const LEVELS = ['Bajo', 'Medio', 'Alto']
+const rank = (lvl) => Math.max(0, LEVELS.indexOf(lvl))
+export const maxLevel = (...lvls) => lvls.filter(Boolean).reduce((a, b) => (rank(b) > rank(a) ? b : a), 'Bajo')
+
+// dir 'above': riesgo cuando el valor >= umbral; 'below': cuando <= umbral
+const DEFAULT_THRESHOLDS = {
+  heat:       { dir: 'above', medio: 30,  alto: 35,  unit: '°C',   label: 'Calor' },
+  cold:       { dir: 'below', medio: 5,   alto: 0,   unit: '°C',   label: 'Frío' },
+  wind:       { dir: 'above', medio: 30,  alto: 45,  unit: 'km/h', label: 'Viento' },
+  gust:       { dir: 'above', medio: 45,  alto: 60,  unit: 'km/h', label: 'Rachas' },
+  uv:         { dir: 'above', medio: 6,   alto: 11,  unit: '',     label: 'UV' },
+  rain:       { dir: 'above', medio: 5,   alto: 30,  unit: 'mm',   label: 'Lluvia' },
+  rainProb:   { dir: 'above', medio: 70,  alto: null, unit: '%',   label: 'Prob. de lluvia' },
+  visibility: { dir: 'below', medio: 2,   alto: 0.5, unit: 'km',   label: 'Visibilidad' }
+}
+
+// Perfiles por actividad: solo sobrescriben lo que cambia respecto al default
+const DEFAULT_PROFILES = {
+  construccion: {
+    keywords: ['constru', 'obra', 'altura', 'grua', 'izaje', 'andamio', 'techo', 'soldad', 'montaje'],
+    wind: { medio: 25, alto: 40 },
+    gust: { medio: 40, alto: 50 }
+  },
+  maritimo: {
+    keywords: ['maritim', 'marin', 'naveg', 'pesca', 'puerto', 'buque', 'embarc', 'nautic', 'portuari'],
+    wind: { medio: 20, alto: 35 },
+    gust: { medio: 35, alto: 50 },
+    visibility: { medio: 5, alto: 1 }
+  },
+  agricola: {
+    keywords: ['agric', 'cultivo', 'cosecha', 'campo', 'fumig', 'ganad', 'finca'],
+    heat: { medio: 29, alto: 33 },
+    wind: { medio: 20, alto: 35 }
+  },
+  transporte: {
+    keywords: ['transport', 'logist', 'conduc', 'reparto', 'vial', 'carretera', 'flota', 'domicili'],
+    visibility: { medio: 3, alto: 1 },
+    rain: { medio: 3, alto: 20 }
+  },
+  eventos: {
+    keywords: ['evento', 'concierto', 'feria', 'festival', 'deport', 'turism', 'aventura'],
+    gust: { medio: 40, alto: 55 },
+    rainProb: { medio: 60 }
+  }
+}
+
+// Códigos Tomorrow.io → nivel del peligro "tormenta/precipitación severa"
+const STORM_CODES = {
+  8000: 'Alto',                                   // tormenta eléctrica
+  7000: 'Alto', 7101: 'Alto', 7102: 'Medio',      // granizo
+  6001: 'Alto', 6000: 'Medio', 6200: 'Medio',     // aguanieve / lluvia helada
+  5101: 'Alto', 5001: 'Medio', 5000: 'Medio',     // nieve
+  4201: 'Medio'                                   // lluvia intensa
+}
+
+let config = null
+
+function parseOverrides() {
+  if (!process.env.RISK_RULES) return {}
+  try { return JSON.parse(process.env.RISK_RULES) }
+  catch (e) { console.warn('RISK_RULES inválido, se usan umbrales por defecto:', e.message); return {} }
+}
+
+const normalizeText = (s) => String(s || '').toLowerCase().normalize('NFD').replace(/\p{Diacritic}/gu, '')
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Palabras clave de RISK_RULES: lista de textos no vacíos; se normalizan como el texto de la
+// actividad y se escapan, así "(obra" o "c++" no rompen ni alteran la búsqueda
+function keywordsFrom(name, list, fallback) {
+  if (list === undefined) return fallback
+  if (!Array.isArray(list) || !list.every(k => typeof k === 'string' && k.trim())) {
+    console.warn(`RISK_RULES: keywords de "${name}" inválidas (se esperan textos), se usan las de defecto`)
+    return fallback
+  }
+  return list.map(k => normalizeText(k).trim())
+}
+
+const keywordMatcher = (keywords) =>
+  keywords.length ? new RegExp(`\\b(?:${keywords.map(escapeRegExp).join('|')})`) : null
+
+function mergeThresholds(base, over = {}) {
+  const out = {}
+  for (const [k, v] of Object.entries(base)) out[k] = { ...v, ...(over[k] || {}) }
+  return out
+}
+
+export function getRiskConfig() {
+  if (config) return config
+  const over = parseOverrides()
+  const defaults = mergeThresholds(DEFAULT_THRESHOLDS, over.default)
+  const profiles = {}
+  const names = new Set([...Object.keys(DEFAULT_PROFILES), ...Object.keys(over.profiles || {})])
+  for (const name of names) {
+    const { keywords = [], ...base } = DEFAULT_PROFILES[name] || {}
+    const { keywords: overKeywords, ...extra } = over.profiles?.[name] || {}
+    const merged = mergeThresholds(base, extra)
+    for (const k of Object.keys(extra)) merged[k] ??= extra[k]
+    const words = keywordsFrom(name, overKeywords, keywords)
+    profiles[name] = { keywords: words, matcher: keywordMatcher(words), thresholds: mergeThresholds(defaults, merged) }
+  }
+  config = { defaults, profiles }
+  return config
+}
+
+// Perfil de umbrales según el texto de la actividad (primera coincidencia por palabra clave)
+export function profileForActivity(activity) {
+  const { defaults, profiles } = getRiskConfig()
+  const text = normalizeText(activity)
+  for (const [name, p] of Object.entries(profiles)) {
+    if (p.matcher?.test(text)) return { name, thresholds: p.thresholds }
+  }
+  return { name: 'default', thresholds: defaults }
+}
+
+function levelFor(value, t) {
+  if (value == null || !Number.isFinite(Number(value))) return null
+  const v = Number(value)
+  const hit = (th) => th != null && (t.dir === 'above' ? v >= th : v <= th)
+  if (hit(t.alto)) return { nivel: 'Alto', threshold: t.alto }
+  if (hit(t.medio)) return { nivel: 'Medio', threshold: t.medio }
+  return { nivel: 'Bajo', threshold: t.medio }
+}
+
+// Puntuación numérica para ordenar ventanas: cada peligro suma por su nivel y,
+// para desempatar, por lo cerca que está del umbral "medio" (0..1)
+const LEVEL_POINTS = { Bajo: 0, Medio: 10, Alto: 100 }
+
+function closeness(v, t) {
+  if (t.medio == null) return 0
+  if (t.dir === 'above') return t.medio > 0 ? Math.min(1, Math.max(0, v / t.medio)) : 0
+  // 'below': 1 en el umbral, 0 a partir del doble de distancia respecto a un margen de referencia
+  const margin = Math.max(1, Math.abs(t.medio) * 2)
+  return Math.min(1, Math.max(0, 1 - (v - t.medio) / margin))
+}
+
+/**
+ * Adapta normalizeRealtimePayload (viento en m/s) a la forma de summarizeForecastWindow
+ * para puntuar ambos con el mismo motor.
+ */
+export function factsFromRealtime(n = {}) {
+  const num = (v) => (v == null ? null : Number(v))
+  return {
+    hours: 1,
+    tempMax: num(n.temperatura),
+    tempMin: num(n.temperatura),
+    apparentMax: num(n.sensacionTermica),
+    humidityMax: num(n.humedad),
+    windMax_kmh: n.viento != null ? +(n.viento * 3.6).toFixed(1) : null,
+    gustMax_kmh: n.vientoRafaga != null ? +(n.vientoRafaga * 3.6).toFixed(1) : null,
+    uvMax: num(n.uv),
+    visMin_km: num(n.visibilidad),
+    precipProbMax: num(n.probPrecipitacion),
+    precipMmTotal: num(n.precipitacion),
+    codes: n.weatherCode != null ? [n.weatherCode] : []
+  }
+}
+
+/**
+ * Puntúa un resumen (summarizeForecastWindow o factsFromRealtime) para una actividad.
+ * Devuelve { nivel, profile, hazards: [{ hazard, label, nivel, value, threshold, unit }] }
+ * con un elemento por peligro que tenga datos; nivel = null si no hay datos.
+ */
+export function assessRisk(facts, activity) {
+  if (!facts?.hours) return { nivel: null, profile: null, hazards: [], score: null }
+  const { name, thresholds: t } = profileForActivity(activity)
+  const hazards = []
+  let proximity = 0
+  const push = (hazard, value, th) => {
+    const r = levelFor(value, th)
+    if (!r) return
+    hazards.push({ hazard, label: th.label, nivel: r.nivel, value: +Number(value).toFixed(1), threshold: r.threshold, unit: th.unit })
+    proximity += closeness(Number(value), th)
+  }
+
+  // Calor: la sensación térmica manda si es mayor (humedad alta); si el proveedor no la
+  // da, se estima con el índice de calor de la temperatura y la humedad máximas
+  const apparent = facts.apparentMax ?? heatIndex(facts.tempMax, facts.humidityMax)
+  const heat = [facts.tempMax, apparent].filter(v => v != null)
+  push('heat', heat.length ? Math.max(...heat) : null, t.heat)
+  push('cold', facts.tempMin, t.cold)
+  push('wind', facts.windMax_kmh, t.wind)
+  push('gust', facts.gustMax_kmh, t.gust)
+  push('uv', facts.uvMax, t.uv)
+  push('rain', facts.precipMmTotal, t.rain)
+  push('rainProb', facts.precipProbMax, t.rainProb)
+  push('visibility', facts.visMin_km, t.visibility)
+
+  const codes = Array.isArray(facts.codes) ? facts.codes : []
+  const stormLevels = codes.map(c => STORM_CODES[c]).filter(Boolean)
+  if (codes.length) {
+    const worst = stormLevels.length ? maxLevel(...stormLevels) : 'Bajo'
+    const code = codes.find(c => STORM_CODES[c] === worst) ?? null
+    hazards.push({ hazard: 'storm', label: 'Tormenta / precipitación severa', nivel: worst, value: code, threshold: null, unit: '' })
+  }
+
+  const score = hazards.reduce((acc, h) => acc + LEVEL_POINTS[h.nivel], 0) + proximity
+  return { nivel: maxLevel(...hazards.map(h => h.nivel)), profile: name, hazards, score: +score.toFixed(2) }
+}
+
+const OVERRIDE_MODE = () => (process.env.RISK_OVERRIDE || 'max').toLowerCase()
+
+/**
+ * Contrasta el nivel del LLM con el del motor.
+ * RISK_OVERRIDE: 'max' (default, gana el más alto), 'engine' (gana el motor), 'off' (solo informa).
+ */
+export function reconcileRiskLevel(llmLevel, engineLevel) {
+  const mode = OVERRIDE_MODE()
+  let final = llmLevel || engineLevel || null
+  if (engineLevel && mode === 'engine') final = engineLevel
+  else if (engineLevel && mode === 'max') final = maxLevel(llmLevel, engineLevel)
+  return {
+    llm: llmLevel || null,
+    engine: engineLevel || null,
+    final,
+    agree: !llmLevel || !engineLevel || llmLevel === engineLevel,
+    overridden: Boolean(llmLevel) && final !== llmLevel
+  }
+}
+
+// Etiquetas de peligro en otros idiomas; en español manda `label` (ajustable con RISK_RULES)
+const HAZARD_LABELS = {
+  en: {
+    heat: 'Heat', cold: 'Cold', wind: 'Wind', gust: 'Gusts', uv: 'UV', rain: 'Rain',
+    rainProb: 'Rain probability', visibility: 'Visibility', storm: 'Storm / severe precipitation'
+  },
+  pt: {
+    heat: 'Calor', cold: 'Frio', wind: 'Vento', gust: 'Rajadas', uv: 'UV', rain: 'Chuva',
+    rainProb: 'Prob. de chuva', visibility: 'Visibilidade', storm: 'Tempestade / precipitação severa'
+  }
+}
+
+export const hazardLabel = (h, locale = DEFAULT_LOCALE) => HAZARD_LABELS[locale]?.[h.hazard] ?? h.label
+
+// Mismo resultado de assessRisk con las etiquetas en `locale` (para respuestas de la API)
+export function localizeAssessment(assessment, locale = DEFAULT_LOCALE) {
+  if (!assessment || locale === DEFAULT_LOCALE) return assessment
+  return { ...assessment, hazards: assessment.hazards.map(h => ({ ...h, label: hazardLabel(h, locale) })) }
+}
+
+// "Rachas 52 km/h (≥ 50), Tormenta / precipitación severa" — peligros que explican `nivel`
+export function describeHazards(assessment, nivel = assessment?.nivel, locale = DEFAULT_LOCALE) {
+  return (assessment?.hazards || [])
+    .filter(h => h.nivel === nivel && nivel !== 'Bajo')
+    .map(h => (h.threshold == null
+      ? hazardLabel(h, locale)
+      : `${hazardLabel(h, locale)} ${h.value}${h.unit ? ' ' + h.unit : ''} (${h.hazard === 'cold' || h.hazard === 'visibility' ? '≤' : '≥'} ${h.threshold})`))
+    .join(', ')
+}
+
+// Resumen de un día de forecast (normalizeDailyValues) en la forma de summarizeForecastWindow
+export function factsFromDaily(d = {}) {
+  const num = (v) => (v == null ? null : Number(v))
+  return {
+    hours: 24,
+    tempMax: num(d.temperaturaMax),
+    tempMin: num(d.temperaturaMin),
+    apparentMax: num(d.sensacionTermicaMax),
+    humidityMax: num(d.humedadMax),
+    windMax_kmh: d.vientoMax != null ? +(d.vientoMax * 3.6).toFixed(1) : null,
+    gustMax_kmh: d.vientoRafagaMax != null ? +(d.vientoRafagaMax * 3.6).toFixed(1) : null,
+    uvMax: num(d.uvMax),
+    visMin_km: num(d.visibilidadMin),
+    precipProbMax: num(d.probPrecipitacionMax),
+    precipMmTotal: num(d.precipitacionTotal),
+    codes: d.weatherCode != null ? [d.weatherCode] : []
+  }
+}
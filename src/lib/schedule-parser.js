@@ -0,0 +1,467 @@
+// src/lib/schedule-parser.js
+// Parser determinista de horarios (sin LLM) en español, inglés y portugués:
+// días relativos ("pasado mañana", "next monday", "depois de amanhã"), fechas
+// explícitas ("15 de marzo", "March 15", "15/03"), rangos de días ("de lunes a viernes",
+// "del 15 al 20 de marzo"), horas ("de 7 a 3 de la tarde", "7am-3pm", "das 7h às 15h",
+// "mediodía", "por la tarde"), zona horaria ("hora de Bogotá", "UTC-5", "America/Lima")
+// y actividad ("soldadura en techo", "para izaje con grúa") cuando coincide con un perfil de riesgo.
+//
+// Devuelve la misma forma que el extractor LLM más `confianza` (0–1); advanced-query
+// solo recurre al LLM cuando la confianza queda por debajo de SCHEDULE_PARSER_MIN_CONFIDENCE.
+import { DateTime, IANAZone } from 'luxon'
+import { DEFAULT_SHIFT } from './schedule.js'
+import { DEFAULT_LOCALE } from './i18n.js'
+import { profileForActivity } from './risk.js'
+
+export const MIN_CONFIDENCE = Number(process.env.SCHEDULE_PARSER_MIN_CONFIDENCE || 0.7)
+
+// Franjas para "por la mañana", "this afternoon", "à noite", …
+const PERIODS = {
+  dawn:      { horaInicio: '00:00', horaFin: '06:00' },
+  morning:   { horaInicio: '06:00', horaFin: '12:00' },
+  afternoon: { horaInicio: '12:00', horaFin: '19:00' },
+  night:     { horaInicio: '19:00', horaFin: '23:59' }
+}
+
+/*
+ * Vocabulario por idioma (texto ya en minúsculas y sin tildes). Cada entrada es
+ * una alternativa de regex sin grupos de captura, salvo donde se indica.
+ */
+const VOCAB = {
+  es: {
+    days: { lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6, domingo: 7 },
+    daySuffix: '',
+    months: { enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8, septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12 },
+    monthFirst: false,
+    monthJoin: 'de', yearJoin: 'de|del',
+    from: 'de|desde', to: 'a|hasta', art: 'las?', between: 'entre', and: 'y',
+    startOnly: String.raw`a\s+partir\s+de\s+las?|desde\s+las?|a\s+las?`,
+    am: String.raw`(?:de|por|en)\s+la\s+(?:manana|madrugada)`,
+    pm: String.raw`(?:de|por|en)\s+la\s+(?:tarde|noche)`,
+    noon: String.raw`(?:el\s+)?mediodia`, midnight: String.raw`(?:la\s+)?medianoche`, at: 'al?',
+    periodWords: { madrugada: 'dawn', manana: 'morning', tarde: 'afternoon', noche: 'night' },
+    periodPrefix: String.raw`(?:por|en|de|durante|a)\s+la`, periodThis: 'esta',
+    today: 'hoy', tomorrow: 'manana', dayAfter: String.raw`pasado\s+manana`,
+    inDays: String.raw`(?:dentro\s+de|en)\s+(\d{1,2})\s+dias`,
+    dayPre: 'este|el|la', nextPre: 'proximo|prox|siguiente', nextPost: String.raw`que\s+viene|proximo|siguiente`,
+    rangeFrom: String.raw`de|del|desde(?:\s+el)?`, rangeTo: String.raw`a|al|hasta(?:\s+el)?`, listPre: 'los',
+    weekend: String.raw`(?:el\s+|este\s+)?fin(?:es)?\s+de\s+semana`,
+    weekdays: String.raw`entre\s+semana|dias\s+(?:habiles|laborables)`,
+    everyDay: String.raw`todos\s+los\s+dias|toda\s+la\s+semana|a\s+diario`,
+    nextWeek: String.raw`(?:la\s+)?(?:proxima\s+semana|semana\s+que\s+viene|siguiente\s+semana)`,
+    dateFrom: 'del?', dateTo: String.raw`al?|-|hasta(?:\s+el)?`, until: String.raw`hasta\s+el`,
+    tzPrefix: String.raw`hora(?:rio)?\s+(?:de(?:\s+la)?\s+|del\s+)?`,
+    purpose: 'para', connectors: ['de', 'del', 'en', 'con', 'el', 'la', 'los', 'las', 'y', 'e', 'a', 'al', 'un', 'una']
+  },
+  en: {
+    days: { monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6, sunday: 7 },
+    daySuffix: '',
+    months: { january: 1, february: 2, march: 3, april: 4, may: 5, june: 6, july: 7, august: 8, september: 9, october: 10, november: 11, december: 12 },
+    monthFirst: true,            // "March 15", "3/15"
+    monthJoin: 'of', yearJoin: '',
+    from: 'from', to: 'to|until|till|through', art: '', between: 'between', and: 'and',
+    startOnly: String.raw`starting\s+at|from|at`,
+    am: String.raw`in\s+the\s+morning`,
+    pm: String.raw`in\s+the\s+(?:afternoon|evening)|at\s+night`,
+    noon: 'noon|midday', midnight: 'midnight', at: 'at',
+    periodWords: { morning: 'morning', afternoon: 'afternoon', evening: 'night', night: 'night' },
+    // "friday afternoon", "tomorrow morning": la franja va pegada al día
+    periodPrefix: String.raw`(?:in|during)\s+the|(?<=day|tomorrow)`, periodThis: 'this',
+    today: 'today|tonight', tomorrow: 'tomorrow', dayAfter: String.raw`(?:the\s+)?day\s+after\s+tomorrow`,
+    inDays: String.raw`in\s+(\d{1,2})\s+days`,
+    dayPre: 'this|on', nextPre: 'next', nextPost: '',
+    rangeFrom: 'from', rangeTo: 'to|through|-', listPre: 'on',
+    weekend: String.raw`(?:the\s+|this\s+)?weekend`,
+    weekdays: String.raw`weekdays|on\s+business\s+days`,
+    everyDay: String.raw`every\s+day|daily|all\s+week`,
+    nextWeek: String.raw`next\s+week`,
+    dateFrom: 'from', dateTo: String.raw`to|through|-`, until: String.raw`until|through`,
+    tzPrefix: '',
+    purpose: 'for', connectors: ['of', 'in', 'on', 'at', 'with', 'the', 'a', 'an', 'and', 'to']
+  },
+  pt: {
+    days: { segunda: 1, terca: 2, quarta: 3, quinta: 4, sexta: 5, sabado: 6, domingo: 7 },
+    daySuffix: String.raw`(?:-feira|\s+feira)?`,
+    months: { janeiro: 1, fevereiro: 2, marco: 3, abril: 4, maio: 5, junho: 6, julho: 7, agosto: 8, setembro: 9, outubro: 10, novembro: 11, dezembro: 12 },
+    monthFirst: false,
+    monthJoin: 'de', yearJoin: 'de',
+    from: 'das?|dos?|de|desde', to: 'as?|ate', art: 'as?|os?', between: 'entre', and: 'e',
+    startOnly: String.raw`a\s+partir\s+das?|desde\s+as?|as`,
+    am: String.raw`da\s+(?:manha|madrugada)`, pm: String.raw`da\s+(?:tarde|noite)`,
+    noon: String.raw`(?:o\s+)?meio-?\s?dia`, midnight: String.raw`(?:a\s+)?meia-?\s?noite`, at: 'ao?',
+    periodWords: { madrugada: 'dawn', manha: 'morning', tarde: 'afternoon', noite: 'night' },
+    periodPrefix: String.raw`(?:pela|de|na|a|durante\s+a)`, periodThis: 'esta|nesta',
+    today: 'hoje', tomorrow: 'amanha', dayAfter: String.raw`depois\s+de\s+amanha`,
+    inDays: String.raw`(?:daqui\s+a|em|dentro\s+de)\s+(\d{1,2})\s+dias`,
+    dayPre: 'esta|este|na|no', nextPre: 'proxima|proximo', nextPost: String.raw`que\s+vem`,
+    rangeFrom: 'de|da|do', rangeTo: String.raw`a|ate(?:\s+[ao])?`, listPre: 'as|aos|nas|nos',
+    weekend: String.raw`(?:no\s+|neste\s+)?fim\s+de\s+semana`,
+    weekdays: String.raw`dias\s+uteis|durante\s+a\s+semana`,
+    everyDay: String.raw`todos\s+os\s+dias|a\s+semana\s+toda|diariamente`,
+    nextWeek: String.raw`(?:a\s+)?(?:proxima\s+semana|semana\s+que\s+vem)`,
+    dateFrom: 'de|do', dateTo: String.raw`a|ate(?:\s+o)?|-`, until: String.raw`ate\s+o(?:\s+dia)?`,
+    tzPrefix: String.raw`(?:hora|horario)\s+(?:de\s+|do\s+|da\s+)?`,
+    purpose: 'para|pra', connectors: ['de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na', 'com', 'o', 'a', 'os', 'as', 'e', 'um', 'uma']
+  }
+}
+
+// "hora de <lugar>" / "<zona> time" → zona IANA (lo más habitual; el resto vía nombre IANA u offset)
+const PLACE_ZONES = {
+  colombia: 'America/Bogota', bogota: 'America/Bogota', medellin: 'America/Bogota', cali: 'America/Bogota',
+  mexico: 'America/Mexico_City', cdmx: 'America/Mexico_City', monterrey: 'America/Monterrey',
+  peru: 'America/Lima', lima: 'America/Lima',
+  ecuador: 'America/Guayaquil', quito: 'America/Guayaquil', guayaquil: 'America/Guayaquil',
+  chile: 'America/Santiago', santiago: 'America/Santiago',
+  argentina: 'America/Argentina/Buenos_Aires', 'buenos aires': 'America/Argentina/Buenos_Aires',
+  venezuela: 'America/Caracas', caracas: 'America/Caracas',
+  espana: 'Europe/Madrid', madrid: 'Europe/Madrid', peninsular: 'Europe/Madrid', canarias: 'Atlantic/Canary',
+  panama: 'America/Panama', 'costa rica': 'America/Costa_Rica', guatemala: 'America/Guatemala',
+  bolivia: 'America/La_Paz', 'la paz': 'America/La_Paz', uruguay: 'America/Montevideo', montevideo: 'America/Montevideo',
+  paraguay: 'America/Asuncion', asuncion: 'America/Asuncion',
+  brasil: 'America/Sao_Paulo', brasilia: 'America/Sao_Paulo', 'sao paulo': 'America/Sao_Paulo', manaus: 'America/Manaus',
+  portugal: 'Europe/Lisbon', lisboa: 'Europe/Lisbon'
+}
+const US_ZONES = {
+  eastern: 'America/New_York', est: 'America/New_York', edt: 'America/New_York',
+  central: 'America/Chicago', cst: 'America/Chicago', cdt: 'America/Chicago',
+  mountain: 'America/Denver', mst: 'America/Denver', mdt: 'America/Denver',
+  pacific: 'America/Los_Angeles', pst: 'America/Los_Angeles', pdt: 'America/Los_Angeles'
+}
+
+const fold = (s) => String(s || '').toLowerCase().normalize('NFD').replace(/\p{Diacritic}/gu, '')
+const hhmm = (h, m = 0) => `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`
+const toMinutes = (t) => Number(t.slice(0, 2)) * 60 + Number(t.slice(3, 5))
+const fromMinutes = (n) => hhmm(Math.floor((((n % 1440) + 1440) % 1440) / 60), (((n % 1440) + 1440) % 1440) % 60)
+const opt = (alt) => (alt ? `(?:${alt})` : '')
+
+// Regex compartidas de un idioma (se construyen una vez)
+const compiled = {}
+function grammar(locale) {
+  if (compiled[locale]) return compiled[locale]
+  const v = VOCAB[locale]
+  const DAY = `(${Object.keys(v.days).join('|')})${v.daySuffix}`
+  const MONTH = `(${Object.keys(v.months).join('|')})`
+  const MONTH_NC = `(?:${Object.keys(v.months).join('|')})`
+  compiled[locale] = { v, DAY, MONTH, MONTH_NC }
+  return compiled[locale]
+}
+
+// Reemplaza cada coincidencia por un marcador para que no la reinterpreten los pasos siguientes
+function consume(state, re, fn) {
+  state.text = state.text.replace(re, (...m) => (fn(...m) === false ? m[0] : ' § '))
+}
+
+// ----- zona horaria -----
+function parseTimezone(state, original, { v }) {
+  let zone = null
+  // Nombre IANA tal cual (distingue mayúsculas)
+  const iana = original.match(/\b([A-Z][A-Za-z_]+\/[A-Z][A-Za-z_]+(?:\/[A-Z][A-Za-z_]+)?)\b/)
+  if (iana && IANAZone.isValidZone(iana[1])) {
+    zone = iana[1]
+    state.text = state.text.replace(fold(iana[1]), ' § ')
+  }
+  consume(state, /\b(?:utc|gmt)\s*([-+−]\s*\d{1,2})(?::?(\d{2}))?\b|\b(?:utc|gmt)\b/g, (m, off, min) => {
+    if (zone) return
+    if (!off) { zone = 'UTC'; return }
+    const sign = off.includes('-') || off.includes('−') ? '-' : '+'
+    const h = Number(off.replace(/[^\d]/g, ''))
+    if (h > 14) return false
+    zone = min && min !== '00' ? `UTC${sign}${h}:${min}` : `UTC${sign}${h}`
+  })
+  // "eastern time", "EST", "pacific time"
+  consume(state, new RegExp(String.raw`\b(${Object.keys(US_ZONES).join('|')})(?:\s+(?:standard\s+|daylight\s+)?time)?\b`, 'g'), (m, key) => {
+    if (!['est', 'edt', 'cst', 'cdt', 'mst', 'mdt', 'pst', 'pdt'].includes(key) && !/time$/.test(m)) return false
+    zone = zone || US_ZONES[key]
+  })
+  // "hora de Bogotá", "horário de Brasília", "Lima time"
+  const places = Object.keys(PLACE_ZONES).join('|')
+  const re = v.tzPrefix
+    ? new RegExp(String.raw`\b${v.tzPrefix}(${places})\b`, 'g')
+    : new RegExp(String.raw`\b(${places})\s+time\b`, 'g')
+  consume(state, re, (m, place) => { zone = zone || PLACE_ZONES[place] })
+  return zone
+}
+
+// ----- horas -----
+// Una hora suelta: "7", "7:30", "15h", "7am", "3pm" (ya normalizados "de la tarde" → pm)
+const T = String.raw`(\d{1,2})(?:[:.](\d{2}))?\s*(?:(am|pm|h|hs|hrs)\b)?`
+
+function toTime(h, m, suffix) {
+  let hour = Number(h)
+  const min = Number(m ?? 0)
+  if (hour > 24 || min > 59) return null
+  if (suffix === 'pm' && hour < 12) hour += 12
+  if (suffix === 'am' && hour === 12) hour = 0
+  return { hour: hour % 24, min, explicit: Boolean(suffix || m != null || hour > 12) }
+}
+
+function resolveRange(a, b, endSuffix) {
+  let start = a.hour
+  let end = b.hour
+  // "de 7 a 3 de la tarde" → 07–15; "de 1 a 5 de la tarde" → 13–17
+  if (endSuffix === 'pm' && !a.explicit && start + 12 <= end) start += 12
+  // "de 7 a 3" sin marcas: se entiende por la tarde (no es un turno nocturno)
+  if (!a.explicit && !b.explicit && end < start && start < 12 && end < 12) end += 12
+  return { horaInicio: hhmm(start, a.min), horaFin: hhmm(end, b.min) }
+}
+
+function parseTimes(state, { v, MONTH_NC }) {
+  const turnos = []
+  let partialStart = null
+  let period = null
+  const art = v.art ? String.raw`(?:(?:${v.art})\s+)?` : ''
+
+  // "de la tarde", "in the afternoon", "da noite" → pm (antes de buscar días relativos)
+  state.text = state.text
+    .replace(new RegExp(String.raw`(\d)(\s*(?:h|hs|hrs|horas|hours))?\s+(?:${v.am})\b`, 'g'), '$1am')
+    .replace(new RegExp(String.raw`(\d)(\s*(?:h|hs|hrs|horas|hours))?\s+(?:${v.pm})\b`, 'g'), '$1pm')
+    .replace(new RegExp(String.raw`\b(?:${v.noon})\b`, 'g'), '12:00')
+    .replace(new RegExp(String.raw`\b(?:${v.midnight})\b`, 'g'), '00:00')
+    .replace(/\b(\d{1,2})\s*(a\.\s?m\.|p\.\s?m\.)/g, (m, h, s) => h + (s.startsWith('a') ? 'am' : 'pm'))
+
+  const range = (m, h1, m1, s1, h2, m2, s2) => {
+    const a = toTime(h1, m1, s1)
+    const b = toTime(h2, m2, s2)
+    if (!a || !b) return false
+    const t = resolveRange(a, b, s2)
+    if (t.horaInicio === t.horaFin) return false
+    if (!turnos.some(x => x.horaInicio === t.horaInicio && x.horaFin === t.horaFin)) turnos.push(t)
+  }
+  // "entre las 7 y las 15", "between 7 and 3pm"
+  consume(state, new RegExp(String.raw`\b${v.between}\s+${art}${T}\s+${v.and}\s+${art}${T}`, 'g'), range)
+  // "de 7 a 15", "desde las 22 hasta las 6", "7am-15h", "das 7h às 15h", "from 9 to 5"
+  // (no confundir con fechas: "de 15 a 20 de marzo", "15/03 a 20/03")
+  const from = new RegExp(String.raw`^(?:${v.from})\b`)
+  consume(state, new RegExp(String.raw`(?:\b(?:${v.from})\s+${art})?(?<![\d/])\b${T}\s*(?:${v.to}|-|–)\s*${art}${T}(?![\d/])(?!\s*(?:(?:${v.monthJoin})\s+)?${MONTH_NC})`, 'g'),
+    (m, h1, m1, s1, h2, m2, s2) => {
+      // Sin "de/desde", ni ":", ni sufijo, "3-5" puede no ser una hora
+      if (!from.test(m.trim()) && m1 == null && m2 == null && !s1 && !s2) return false
+      return range(m, h1, m1, s1, h2, m2, s2)
+    })
+  // "a mediodía", "al mediodía", "ao meio-dia" (ya como 12:00) fuera de un rango: hora puntual
+  consume(state, new RegExp(String.raw`\b(?:${v.at})\s+(12:00|00:00)(?![\d:])`, 'g'), (m, t) => {
+    partialStart = partialStart || t
+  })
+  // Solo inicio: "a las 9", "at 9am", "às 9h"
+  consume(state, new RegExp(String.raw`\b(?:${v.startOnly})\s+${T}`, 'g'), (m, h, min, s) => {
+    const t = toTime(h, min, s)
+    if (!t) return false
+    partialStart = partialStart || hhmm(t.hour, t.min)
+  })
+  // Franjas sin horas: "por la mañana", "this afternoon", "à tarde"
+  const words = Object.keys(v.periodWords).join('|')
+  consume(state, new RegExp(String.raw`\b(?:(${v.periodThis})|${v.periodPrefix})\s+(${words})\b`, 'g'), (m, isThis, word) => {
+    period = period || v.periodWords[word]
+    if (isThis) state.today = true
+  })
+  if (/\btonight\b/.test(state.text)) { period = period || 'night'; state.today = true }
+
+  return { turnos, partialStart, period }
+}
+
+// ----- fechas -----
+function calendarDate(day, month, year, now) {
+  let y = year ? Number(year) : now.year
+  if (year && String(year).length === 2) y += 2000
+  let dt = DateTime.fromObject({ year: y, month: Number(month), day: Number(day) }, { zone: now.zone })
+  if (!dt.isValid) return null
+  if (!year && dt < now.startOf('day')) dt = dt.plus({ years: 1 })
+  return dt
+}
+
+// Próxima ocurrencia de un día (1=lunes..7=domingo); "próximo" nunca es hoy
+function weekdayDate(now, dow, next) {
+  let delta = (dow - now.weekday + 7) % 7
+  if (next && delta === 0) delta = 7
+  return now.plus({ days: delta })
+}
+
+function dayRange(from, to) {
+  const days = []
+  for (let d = from; ; d = (d % 7) + 1) {
+    days.push(d)
+    if (d === to || days.length === 7) break
+  }
+  return days
+}
+
+function parseDates(state, now, { v, DAY, MONTH }) {
+  const dates = []
+  let fechaFin = null
+  let diasSemana = null
+  const push = (dt) => { if (dt) dates.push(dt) }
+  const month = (name) => v.months[name]
+  const year = v.yearJoin ? String.raw`(?:,?\s+(?:(?:${v.yearJoin})\s+)?(\d{4}))?` : String.raw`(?:,?\s+(\d{4}))?`
+  const join = v.monthJoin ? String.raw`(?:${v.monthJoin}\s+)?` : ''
+  // d/m (es, pt) o m/d (en)
+  const numeric = (a, b, y) => (v.monthFirst ? calendarDate(b, a, y, now) : calendarDate(a, b, y, now))
+
+  // Rangos con mes: "del 15 al 20 de marzo", "March 15-20"
+  const ranges = v.monthFirst
+    ? [new RegExp(String.raw`\b${MONTH}\s+(\d{1,2})(?:st|nd|rd|th)?\s*(?:${v.dateTo})\s*(\d{1,2})(?:st|nd|rd|th)?${year}`, 'g'), (m, mo, d1, d2, y) => [d1, d2, mo, y]]
+    : [new RegExp(String.raw`\b(?:(?:${v.dateFrom})\s+)?(\d{1,2})\s*(?:${v.dateTo})\s*(\d{1,2})\s+${join}${MONTH}${year}`, 'g'), (m, d1, d2, mo, y) => [d1, d2, mo, y]]
+  consume(state, ranges[0], (...args) => {
+    const [d1, d2, mo, y] = ranges[1](...args)
+    const a = calendarDate(d1, month(mo), y, now)
+    const b = calendarDate(d2, month(mo), y, now)
+    if (!a || !b) return false
+    push(a); fechaFin = (b < a ? b.plus({ years: 1 }) : b).toISODate()
+  })
+
+  // Fechas con mes: "15 de marzo", "March 15th", "15 March 2027"
+  const single = [
+    [String.raw`(\d{1,2})\s+${join}${MONTH}${year}`, (m, d, mo, y) => [d, mo, y]],
+    ...(v.monthFirst ? [[String.raw`${MONTH}\s+(\d{1,2})(?:st|nd|rd|th)?\b${year}`, (m, mo, d, y) => [d, mo, y]]] : [])
+  ]
+  // "hasta el 20 de marzo", "until March 20", "até o dia 20/03" → fin del rango
+  for (const [src, pick] of single) {
+    consume(state, new RegExp(String.raw`\b(?:${v.until})\s+${src}`, 'g'), (...args) => {
+      const [d, mo, y] = pick(...args)
+      const b = calendarDate(d, month(mo), y, now)
+      if (!b) return false
+      fechaFin = b.toISODate()
+    })
+  }
+  consume(state, new RegExp(String.raw`\b(?:${v.until})\s+(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b`, 'g'), (m, a, b, y) => {
+    const dt = numeric(a, b, y)
+    if (!dt) return false
+    fechaFin = dt.toISODate()
+  })
+  // Fechas sueltas
+  consume(state, /\b(\d{4})-(\d{2})-(\d{2})\b/g, (m, y, mo, d) => {
+    const dt = DateTime.fromObject({ year: +y, month: +mo, day: +d }, { zone: now.zone })
+    if (!dt.isValid) return false
+    push(dt)
+  })
+  for (const [src, pick] of single) {
+    consume(state, new RegExp(String.raw`\b${src}`, 'g'), (...args) => {
+      const [d, mo, y] = pick(...args)
+      const dt = calendarDate(d, month(mo), y, now)
+      if (!dt) return false
+      push(dt)
+    })
+  }
+  consume(state, /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/g, (m, a, b, y) => {
+    const dt = numeric(a, b, y)
+    if (!dt) return false
+    push(dt)
+  })
+
+  // Semanas y rangos de días de la semana
+  consume(state, new RegExp(String.raw`\b(?:${v.nextWeek})\b`, 'g'), () => {
+    const monday = weekdayDate(now, 1, true)
+    push(monday); fechaFin = fechaFin || monday.plus({ days: 6 }).toISODate()
+  })
+  consume(state, new RegExp(String.raw`\b(?:${v.weekend})\b`, 'g'), () => { diasSemana = [6, 7] })
+  consume(state, new RegExp(String.raw`\b(?:${v.weekdays})\b`, 'g'), () => { diasSemana = [1, 2, 3, 4, 5] })
+  consume(state, new RegExp(String.raw`\b(?:${v.everyDay})\b`, 'g'), () => { diasSemana = [1, 2, 3, 4, 5, 6, 7] })
+  consume(state, new RegExp(String.raw`\b(?:(?:${v.rangeFrom})\s+)?${DAY}\s*(?:${v.rangeTo})\s*${DAY}`, 'g'), (m, a, b) => {
+    diasSemana = dayRange(v.days[a], v.days[b])
+  })
+  // "los lunes, miércoles y viernes", "on mondays and fridays"
+  consume(state, new RegExp(String.raw`\b(?:(?:${v.listPre})\s+)?${DAY}s?(?:\s*,\s*${DAY}s?)*\s*,?\s+${v.and}\s+(?:(?:${v.listPre})\s+)?${DAY}s?`, 'g'), (m) => {
+    diasSemana = Object.entries(v.days).filter(([k]) => new RegExp(`\\b${k}`).test(m)).map(([, d]) => d)
+  })
+
+  // Relativos: "pasado mañana" antes que "mañana"
+  consume(state, new RegExp(String.raw`\b(?:${v.dayAfter})\b`, 'g'), () => push(now.plus({ days: 2 })))
+  consume(state, new RegExp(String.raw`\b(?:${v.tomorrow})\b`, 'g'), () => push(now.plus({ days: 1 })))
+  consume(state, new RegExp(String.raw`\b(?:${v.today})\b`, 'g'), () => push(now))
+  consume(state, new RegExp(String.raw`\b${v.inDays}\b`, 'g'), (m, n) => push(now.plus({ days: Number(n) })))
+  const post = v.nextPost ? String.raw`(\s+(?:${v.nextPost}))?` : '()'
+  consume(state, new RegExp(String.raw`\b(?:(${v.nextPre})|${v.dayPre})?\s*${DAY}${post}\b`, 'g'), (m, next, day, after) => {
+    push(weekdayDate(now, v.days[day], Boolean(next || after)))
+  })
+  if (state.today && !dates.length) push(now)
+
+  dates.sort((a, b) => a - b)
+  return {
+    fecha: dates[0]?.toISODate() ?? null,
+    fechaFin: fechaFin ?? (dates.length > 1 ? dates.at(-1).toISODate() : null),
+    diasSemana
+  }
+}
+
+// ----- actividad -----
+// Lo que queda sin consumir se parte por marcadores, puntuación y "para/for"; el primer
+// tramo que coincide con un perfil de riesgo (mismas palabras clave que risk.js) es la
+// actividad. Se devuelve con las tildes y mayúsculas del mensaje original.
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+function parseActivity(state, original, { v }) {
+  const folded = fold(original)
+  const chunks = state.text.split(new RegExp(String.raw`§|[,.;:!?()]|\b(?:${v.purpose})\b`))
+  for (const chunk of chunks) {
+    const words = chunk.trim().split(/\s+/).filter(w => /\p{L}/u.test(w))
+    while (words.length && v.connectors.includes(words[0])) words.shift()
+    while (words.length && v.connectors.includes(words.at(-1))) words.pop()
+    if (!words.length) continue
+    const phrase = words.join(' ')
+    if (profileForActivity(phrase).name === 'default') continue
+    const m = folded.length === original.length && new RegExp(words.map(escapeRegExp).join(String.raw`\s+`)).exec(folded)
+    return m ? original.slice(m.index, m.index + m[0].length) : phrase
+  }
+  return null
+}
+
+// Fechas/días heredados del horario previo de un hilo (turnos con fecha)
+function previousDates(previous) {
+  const fechas = [...new Set((previous?.turnos || []).map(t => t.fecha).filter(Boolean))].sort()
+  if (!fechas.length) return { fecha: previous?.fecha ?? null, fechaFin: null, diasSemana: null }
+  if (fechas.length === 1) return { fecha: fechas[0], fechaFin: null, diasSemana: null }
+  const dias = [...new Set(fechas.map(f => DateTime.fromISO(f).weekday))].sort()
+  return { fecha: fechas[0], fechaFin: fechas.at(-1), diasSemana: dias.length < 7 ? dias : null }
+}
+
+/**
+ * Interpreta fecha, turnos y zona horaria de `message`.
+ * - `tz`: zona de referencia para "hoy"/"mañana" (si el mensaje trae otra, manda esa).
+ * - `locale`: idioma del mensaje ('es' | 'en' | 'pt').
+ * - `previous`: horario del turno anterior de un hilo; lo que el mensaje no cambia se hereda.
+ * Devuelve { actividad, fecha, fechaFin, diasSemana, turnos[], zonaHoraria, confianza };
+ * actividad es null si ninguna parte del mensaje coincide con un perfil de riesgo.
+ */
+export function parseSchedule(message, { tz = 'UTC', now: nowInput, previous = null, locale = DEFAULT_LOCALE } = {}) {
+  const g = grammar(VOCAB[locale] ? locale : DEFAULT_LOCALE)
+  const original = String(message || '')
+  const state = { text: ` ${fold(original)} `, today: false }
+
+  const zonaHoraria = parseTimezone(state, original, g)
+  const now = (nowInput ? DateTime.fromISO(String(nowInput)) : DateTime.now()).setZone(zonaHoraria || tz).startOf('day')
+
+  const { turnos: ranges, partialStart, period } = parseTimes(state, g)
+  const dates = parseDates(state, now, g)
+  const actividad = parseActivity(state, original, g)
+
+  const prevTurnos = (previous?.turnos || []).map(t => ({ horaInicio: t.horaInicio, horaFin: t.horaFin }))
+  let turnos = ranges
+  let timeScore = ranges.length ? 0.5 : 0
+  if (!turnos.length && partialStart) {
+    // Solo hora de inicio: se conserva la duración del turno previo (o la del turno por defecto)
+    const ref = prevTurnos[0] || DEFAULT_SHIFT
+    const dur = (toMinutes(ref.horaFin) - toMinutes(ref.horaInicio) + 1440) % 1440 || 540
+    turnos = [{ horaInicio: partialStart, horaFin: fromMinutes(toMinutes(partialStart) + dur) }]
+    timeScore = prevTurnos.length ? 0.5 : 0.3
+  }
+  if (!turnos.length && period) { turnos = [{ ...PERIODS[period] }]; timeScore = 0.4 }
+
+  const hasDate = Boolean(dates.fecha || dates.fechaFin || dates.diasSemana)
+  let dateInfo = dates
+  const dateScore = hasDate || previous ? 0.3 : 0
+  if (previous && !hasDate) dateInfo = previousDates(previous)
+  if (previous && !turnos.length) { turnos = prevTurnos; timeScore = prevTurnos.length ? 0.5 : 0 }
+
+  // Números que ningún patrón reconoció: probablemente hay algo que el parser no entendió
+  const leftover = /\d/.test(state.text)
+  const confianza = +(timeScore + dateScore + (leftover ? 0 : 0.2)).toFixed(2)
+
+  return {
+    actividad: actividad ?? previous?.actividad ?? null,
+    fecha: dateInfo.fecha,
+    fechaFin: dateInfo.fechaFin,
+    diasSemana: dateInfo.diasSemana,
+    turnos,
+    zonaHoraria: zonaHoraria ?? previous?.zonaHoraria ?? null,
+    confianza
+  }
+}
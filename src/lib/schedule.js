@@ -0,0 +1,75 @@
+// src/lib/schedule.js
+// Modelo de horario: lista de turnos { fecha, horaInicio, horaFin, nocturno }
+// a partir de lo extraído del mensaje (rango de fechas, días de semana y turnos).
+import { DateTime } from 'luxon'
+
+const MAX_DAYS   = Number(process.env.SCHEDULE_MAX_DAYS || 14)
+const MAX_SHIFTS = Number(process.env.SCHEDULE_MAX_SHIFTS || 21)
+
+export const DEFAULT_SHIFT = { horaInicio: '08:00', horaFin: '17:00' }
+
+// "7" | "7:5" | "07:30" | "15h" → "HH:mm" (null si no es válida)
+export function normalizeTime(v) {
+  const m = String(v ?? '').trim().match(/^(\d{1,2})(?::(\d{1,2}))?\s*h?$/i)
+  if (!m) return null
+  const h = Number(m[1]), min = Number(m[2] ?? 0)
+  if (h > 24 || min > 59 || (h === 24 && min > 0)) return null
+  return `${String(h % 24).padStart(2, '0')}:${String(min).padStart(2, '0')}`
+}
+
+export const isOvernight = (horaInicio, horaFin) => horaFin <= horaInicio
+
+/**
+ * Turnos diarios pedidos: usa `turnos[]` si viene, si no el par horaInicio/horaFin
+ * heredado del extractor. Siempre devuelve al menos un turno.
+ */
+export function normalizeShiftHours(extracted = {}) {
+  const list = Array.isArray(extracted.turnos) && extracted.turnos.length
+    ? extracted.turnos
+    : [{ horaInicio: extracted.horaInicio, horaFin: extracted.horaFin }]
+  const out = []
+  for (const t of list) {
+    const horaInicio = normalizeTime(t?.horaInicio) || DEFAULT_SHIFT.horaInicio
+    const horaFin    = normalizeTime(t?.horaFin)    || DEFAULT_SHIFT.horaFin
+    if (horaInicio === horaFin) continue
+    if (!out.some(o => o.horaInicio === horaInicio && o.horaFin === horaFin)) out.push({ horaInicio, horaFin })
+  }
+  return out.length ? out : [{ ...DEFAULT_SHIFT }]
+}
+
+/**
+ * Fechas (YYYY-MM-DD) cubiertas por el horario.
+ * - `desde` (DateTime) es la fecha inicial ya resuelta.
+ * - `fechaFin` y/o `diasSemana` (1=lunes..7=domingo) convierten el horario en un rango;
+ *   con solo `diasSemana` se buscan las próximas ocurrencias dentro de 7 días.
+ * Nunca devuelve fechas anteriores a `today`.
+ */
+export function expandScheduleDates({ desde, fechaFin, diasSemana, tz, today }) {
+  const dias = Array.isArray(diasSemana)
+    ? [...new Set(diasSemana.map(Number).filter(d => d >= 1 && d <= 7))]
+    : []
+  const start = desde < today ? today : desde
+
+  let end = fechaFin ? DateTime.fromISO(fechaFin, { zone: tz }) : null
+  if (!end?.isValid) end = dias.length > 1 ? start.plus({ days: 6 }) : start
+  if (end < start) end = start
+  if (end.diff(start, 'days').days >= MAX_DAYS) end = start.plus({ days: MAX_DAYS - 1 })
+
+  const out = []
+  for (let d = start; d <= end; d = d.plus({ days: 1 })) {
+    if (!dias.length || dias.includes(d.weekday)) out.push(d.toISODate())
+  }
+  return out.length ? out : [start.toISODate()]
+}
+
+// Producto fechas × turnos, ordenado y acotado a MAX_SHIFTS
+export function buildShifts(fechas, turnos) {
+  const out = []
+  for (const fecha of fechas) {
+    for (const { horaInicio, horaFin } of turnos) {
+      out.push({ fecha, horaInicio, horaFin, nocturno: isOvernight(horaInicio, horaFin) })
+    }
+  }
+  out.sort((a, b) => (a.fecha + a.horaInicio).localeCompare(b.fecha + b.horaInicio))
+  return out.slice(0, MAX_SHIFTS)
+}
@@ -0,0 +1,140 @@
+// src/lib/sessions.js
+// Sesiones: access token JWT de vida corta (ACCESS_TOKEN_TTL, 15 min) que lleva el id de
+// sesión (`sid`), y refresh token opaco guardado como hash en `sessions`. Cada refresh
+// rota el token y extiende la sesión REFRESH_TOKEN_TTL_DAYS. Cada petición comprueba
+// que la sesión del access token siga abierta (con caché de SESSION_CHECK_TTL_MS), así
+// que logout, logout-all o un cambio de contraseña/rol lo invalidan enseguida.
+import crypto from 'node:crypto'
+import jwt from 'jsonwebtoken'
+import { query } from './db.js'
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret'
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m'
+const REFRESH_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 3600 * 1000
+const SESSION_CHECK_TTL_MS = Number(process.env.SESSION_CHECK_TTL_MS || 30 * 1000)
+
+// En producción no se arranca con el secreto de desarrollo
+export function assertJwtSecret() {
+  if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET es obligatorio con NODE_ENV=production')
+  }
+}
+
+export const signAccessToken = (user, sid) => jwt.sign({ ...user, sid }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL })
+export const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET)
+
+// ===== Sesiones activas (caché por proceso) =====
+// sid → { userId, expires }. Solo se guardan sesiones abiertas; las revocaciones de este
+// proceso las borran al momento, las de otras instancias tardan como mucho SESSION_CHECK_TTL_MS.
+const activeSessions = new Map()
+
+function forgetSessions(pred) {
+  for (const [sid, e] of activeSessions) if (pred(sid, e)) activeSessions.delete(sid)
+}
+
+async function isSessionActive(sid) {
+  const now = Date.now()
+  const hit = activeSessions.get(sid)
+  if (hit && hit.expires > now) return true
+  const [row] = await query('SELECT user_id FROM sessions WHERE id = :sid AND revoked_at IS NULL', { sid })
+  if (!row) { activeSessions.delete(sid); return false }
+  if (activeSessions.size > 10000) activeSessions.clear()
+  activeSessions.set(sid, { userId: row.user_id, expires: now + SESSION_CHECK_TTL_MS })
+  return true
+}
+
+/**
+ * Verifica firma y vencimiento del access token y que su sesión siga abierta → claims.
+ * Lanza si no es válido (token sin `sid` incluido); los errores de la base se propagan.
+ */
+export async function authenticateAccessToken(token) {
+  const claims = verifyAccessToken(token)
+  if (!claims?.sid || !(await isSessionActive(claims.sid))) {
+    throw Object.assign(new Error('SESSION_REVOKED'), { name: 'SessionRevokedError' })
+  }
+  return claims
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url')
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TTL_MS)
+
+/** Abre una sesión para el usuario → { sid, refreshToken, refreshExpiresAt }. */
+export async function createSession(userId) {
+  const refreshToken = newRefreshToken()
+  const expires = refreshExpiry()
+  const r = await query(
+    `INSERT INTO sessions (user_id, token_hash, expires_at, last_used_at)
+     VALUES (:uid, :hash, :expires, CURRENT_TIMESTAMP(3))`,
+    { uid: userId, hash: hashToken(refreshToken), expires }
+  )
+  return { sid: r.insertId, refreshToken, refreshExpiresAt: expires.toISOString() }
+}
+
+/**
+ * Canjea un refresh token por uno nuevo de la misma sesión → { sid, userId, refreshToken, refreshExpiresAt }.
+ * null si no es válido. Presentar el token ya rotado revoca la sesión entera.
+ */
+export async function rotateSession(refreshToken) {
+  if (!refreshToken) return null
+  const hash = hashToken(refreshToken)
+
+  const [reused] = await query(
+    'SELECT id FROM sessions WHERE previous_hash = :hash AND revoked_at IS NULL',
+    { hash }
+  )
+  if (reused) {
+    console.warn('REFRESH_TOKEN_REUSED: sesión', reused.id, 'revocada')
+    await revokeSession(reused.id)
+    return null
+  }
+
+  const [s] = await query(
+    `SELECT id, user_id FROM sessions
+      WHERE token_hash = :hash AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP(3)`,
+    { hash }
+  )
+  if (!s) return null
+
+  const next = newRefreshToken()
+  const expires = refreshExpiry()
+  const r = await query(
+    `UPDATE sessions
+        SET previous_hash = token_hash, token_hash = :next, expires_at = :expires, last_used_at = CURRENT_TIMESTAMP(3)
+      WHERE id = :id AND token_hash = :hash`,
+    { id: s.id, hash, next: hashToken(next), expires }
+  )
+  // Otro refresh concurrente con el mismo token ganó la carrera
+  if (!r.affectedRows) return null
+  return { sid: s.id, userId: s.user_id, refreshToken: next, refreshExpiresAt: expires.toISOString() }
+}
+
+export async function revokeSession(sid, userId = null) {
+  const r = await query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP(3)
+      WHERE id = :sid AND revoked_at IS NULL ${userId != null ? 'AND user_id = :uid' : ''}`,
+    { sid, uid: userId }
+  )
+  forgetSessions((id) => Number(id) === Number(sid))
+  return r.affectedRows
+}
+
+export async function revokeRefreshToken(refreshToken) {
+  if (!refreshToken) return 0
+  const [s] = await query(
+    'SELECT id FROM sessions WHERE token_hash = :hash AND revoked_at IS NULL',
+    { hash: hashToken(refreshToken) }
+  )
+  if (!s) return 0
+  return revokeSession(s.id)
+}
+
+/** Cierra todas las sesiones del usuario (logout global, cambio de contraseña o de rol). */
+export async function revokeUserSessions(userId) {
+  const r = await query(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP(3) WHERE user_id = :uid AND revoked_at IS NULL',
+    { uid: userId }
+  )
+  forgetSessions((sid, e) => Number(e.userId) === Number(userId))
+  return r.affectedRows
+}
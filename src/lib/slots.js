@@ -0,0 +1,92 @@
+// src/lib/slots.js
+// Buscador de ventanas seguras: recorre el forecast horario y ordena las
+// franjas de N horas dentro del horario laboral por puntuación de riesgo.
+import { DateTime } from 'luxon'
+import { getForecast, summarizeForecastWindow } from './weather.js'
+import { assessRisk } from './risk.js'
+
+export const MAX_HORIZON_HOURS = 120
+
+const minutesOf = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number)
+  return h * 60 + (m || 0)
+}
+
+// ¿La franja [start, end] (DateTime locales) cae dentro del horario laboral?
+function insideWorkHours(start, end, workStart, workEnd) {
+  const ws = minutesOf(workStart)
+  const we = minutesOf(workEnd)
+  const s = start.hour * 60 + start.minute
+  const len = end.diff(start, 'minutes').minutes
+  if (we > ws) return s >= ws && s + len <= we
+  // Horario nocturno (p. ej. 22:00–06:00): la franja debe quedar dentro del turno que empieza en ws
+  const offset = (s - ws + 1440) % 1440
+  return offset + len <= (we - ws + 1440) % 1440
+}
+
+const HOUR_MS = 3600 * 1000
+const overlaps = (a, b) => Date.parse(a.startISO) < Date.parse(b.endISO) && Date.parse(b.startISO) < Date.parse(a.endISO)
+
+/**
+ * Ordena ventanas candidatas de `durationHours` sobre `raw` (forecast horario).
+ * Devuelve hasta `limit` ventanas sin solaparse, de menor a mayor riesgo
+ * (a igual puntuación, la más temprana). `avoid` ([{ startISO, endISO }]) descarta las
+ * que se solapen con esas franjas y `excludeLevels` las de esos niveles (p. ej. ['Alto']).
+ */
+export function rankWindows(raw, { tz, activity, durationHours, workStart = '06:00', workEnd = '18:00', fromISO, toISO, limit = 3, avoid = [], excludeLevels = [] }) {
+  const hourly = raw?.timelines?.hourly || raw?.data?.timelines?.hourly || []
+  const candidates = []
+  // Se compara por instante: los proveedores no formatean igual las horas
+  const from = Math.floor(Date.parse(fromISO) / HOUR_MS) * HOUR_MS
+  const to = Date.parse(toISO)
+
+  for (const h of hourly) {
+    const t = Date.parse(h.time)
+    if (t < from || t > to) continue
+    const start = DateTime.fromMillis(t, { zone: tz })
+    const end = start.plus({ hours: durationHours })
+    if (end.toMillis() > to) continue
+    if (!insideWorkHours(start, end, workStart, workEnd)) continue
+
+    // summarizeForecastWindow es inclusivo: la última hora que cuenta es end - 1h
+    const startISO = start.toUTC().toISO()
+    const lastISO = end.minus({ hours: 1 }).toUTC().toISO()
+    const facts = summarizeForecastWindow(raw, startISO, lastISO)
+    if (facts.hours < durationHours) continue
+
+    const risk = assessRisk(facts, activity)
+    if (excludeLevels.includes(risk.nivel)) continue
+    const window = { startISO, endISO: end.toUTC().toISO() }
+    if (avoid.some(w => overlaps(window, w))) continue
+    candidates.push({
+      start: start.toISO({ suppressMilliseconds: true }),
+      end: end.toISO({ suppressMilliseconds: true }),
+      ...window,
+      riesgo: risk.nivel,
+      score: risk.score,
+      flags: risk.hazards.filter(x => x.nivel !== 'Bajo'),
+      facts
+    })
+  }
+
+  candidates.sort((a, b) => a.score - b.score || Date.parse(a.startISO) - Date.parse(b.startISO))
+  const picked = []
+  for (const c of candidates) {
+    if (picked.some(p => overlaps(c, p))) continue
+    picked.push(c)
+    if (picked.length >= limit) break
+  }
+  return picked
+}
+
+/** Descarga el forecast del horizonte y devuelve las mejores ventanas. */
+export async function findBestWindows({ lat, lon, tz, activity, durationHours, horizonHours = 72, workStart, workEnd, limit = 3, from, avoid, excludeLevels }) {
+  const start = (from || DateTime.now().setZone(tz)).startOf('hour')
+  const end = start.plus({ hours: Math.min(horizonHours, MAX_HORIZON_HOURS) })
+  const fromISO = start.toUTC().toISO()
+  const toISO = end.toUTC().toISO()
+
+  const raw = await getForecast({ lat, lon, units: 'metric', timesteps: '1h', startTime: fromISO, endTime: toISO })
+  const windows = rankWindows(raw, { tz, activity, durationHours, workStart, workEnd, fromISO, toISO, limit, avoid, excludeLevels })
+  return { provider: raw?.provider ?? null, from: start.toISO(), to: end.toISO(), windows }
+}
@@ -0,0 +1,34 @@
+// src/lib/tomorrow.js
+// Adaptador Tomorrow.io: la forma de sus respuestas es la forma canónica
+// que consumen normalizeRealtimePayload y summarizeForecastWindow.
+import axios from 'axios'
+
+const API_BASE = process.env.TOMORROW_BASE || 'https://api.tomorrow.io'
+const API_KEY  = process.env.TOMORROW_API_KEY
+
+const http = axios.create({
+  baseURL: API_BASE,
+  timeout: 10000,
+  headers: { 'accept-encoding': 'gzip, deflate, br', 'user-agent': 'skycare-backend' },
+  decompress: true
+})
+
+export const name = 'tomorrow'
+export const label = 'Tomorrow.io'
+
+async function get(path, params) {
+  if (!API_KEY) { const e = new Error('MISSING_API_KEY'); e.status = 500; throw e }
+  const { data } = await http.get(path, { params: { ...params, apikey: API_KEY } })
+  return data
+}
+
+export async function fetchRealtime({ lat, lon, units = 'metric' }) {
+  return await get('/v4/weather/realtime', { location: `${lat},${lon}`, units })
+}
+
+export async function fetchForecast({ lat, lon, units = 'metric', timesteps = '1h', startTime, endTime }) {
+  const params = { location: `${lat},${lon}`, units, timesteps }
+  if (startTime) params.startTime = startTime
+  if (endTime)   params.endTime   = endTime
+  return await get('/v4/weather/forecast', params)
+}
@@ -0,0 +1,159 @@
+// src/lib/units.js
+// Sistema de unidades de las respuestas: metric (°C, km/h, mm, km) | imperial (°F, mph, in, mi).
+// Proveedores, motor de riesgo, estrés térmico y reglas trabajan siempre en métrico;
+// la conversión se hace al responder (API, prompts del LLM y textos de reglas).
+export const UNITS = ['metric', 'imperial']
+export const DEFAULT_UNITS = 'metric'
+
+export function normalizeUnits(v) {
+  const u = String(v || '').trim().toLowerCase()
+  return UNITS.includes(u) ? u : null
+}
+
+// ?units= (o body.units), preferencia de la empresa, del usuario (viaja en el JWT) y, si no, métrico
+export function getUnits(req, company) {
+  return normalizeUnits(req.query?.units)
+    ?? normalizeUnits(req.body?.units)
+    ?? normalizeUnits(company?.units)
+    ?? normalizeUnits(req.user?.units)
+    ?? DEFAULT_UNITS
+}
+
+const round = (v, digits) => +Number(v).toFixed(digits)
+
+// Unidad métrica → [unidad imperial, conversión, decimales]
+const TO_IMPERIAL = {
+  '°C':   ['°F',   (c) => c * 9 / 5 + 32, 1],
+  'm/s':  ['mph',  (v) => v * 2.236936,   1],
+  'km/h': ['mph',  (v) => v / 1.609344,   1],
+  'mm':   ['in',   (v) => v / 25.4,       2],
+  'mm/h': ['in/h', (v) => v / 25.4,       2],
+  'km':   ['mi',   (v) => v / 1.609344,   2]
+}
+
+const TO_METRIC = {
+  '°F':   ['°C',   (f) => (f - 32) * 5 / 9],
+  'mph':  ['m/s',  (v) => v / 2.236936],
+  'in':   ['mm',   (v) => v * 25.4],
+  'in/h': ['mm/h', (v) => v * 25.4],
+  'mi':   ['km',   (v) => v * 1.609344]
+}
+
+/** Cantidad expresada en una unidad métrica → { value, unit } en `units`. */
+export function convertQuantity(value, unit, units = DEFAULT_UNITS) {
+  const conv = TO_IMPERIAL[unit]
+  if (units !== 'imperial' || !conv || value == null || !Number.isFinite(Number(value))) return { value, unit }
+  const [to, fn, digits] = conv
+  return { value: round(fn(Number(value)), digits), unit: to }
+}
+
+export const convertValue = (value, unit, units) => convertQuantity(value, unit, units).value
+export const unitLabel = (unit, units) => convertQuantity(0, unit, units).unit
+
+// Valor imperial → métrico (p. ej. la entrada de quickRules con units=imperial)
+export function toMetric(value, unit) {
+  const conv = TO_METRIC[unit]
+  if (!conv || value == null || !Number.isFinite(Number(value))) return value
+  return conv[1](Number(value))
+}
+
+// Valor expresado en `units` → la unidad métrica `unit` (inversa de convertValue; p. ej. umbrales de alertas)
+export function fromUnits(value, unit, units = DEFAULT_UNITS) {
+  const conv = TO_IMPERIAL[unit]
+  if (units !== 'imperial' || !conv || value == null || !Number.isFinite(Number(value))) return value
+  const metric = toMetric(value, conv[0])
+  // mph se pasa a m/s; las métricas en km/h lo quieren en km/h
+  return unit === 'km/h' ? metric * 3.6 : metric
+}
+
+// "37.3 mph", "95 °F", "0.2 in"
+export function formatQuantity(value, unit, units = DEFAULT_UNITS) {
+  const q = convertQuantity(value, unit, units)
+  if (q.value == null || !Number.isFinite(Number(q.value))) return null
+  return `${+Number(q.value).toFixed(1)}${q.unit ? ' ' + q.unit : ''}`
+}
+
+// Unidades de los campos de normalizeValues / normalizeDailyValues
+const VALUE_UNITS = {
+  temperatura: '°C', sensacionTermica: '°C', viento: 'm/s', vientoRafaga: 'm/s',
+  visibilidad: 'km', precipitacion: 'mm/h',
+  temperaturaMax: '°C', temperaturaMin: '°C', sensacionTermicaMax: '°C',
+  vientoMax: 'm/s', vientoRafagaMax: 'm/s', visibilidadMin: 'km', precipitacionTotal: 'mm'
+}
+
+/** Valores normalizados (realtime, forecast horario o diario) en `units`. */
+export function convertValues(values, units = DEFAULT_UNITS) {
+  if (!values || units !== 'imperial') return values
+  const out = { ...values }
+  for (const [k, unit] of Object.entries(VALUE_UNITS)) {
+    if (k in out) out[k] = convertValue(out[k], unit, units)
+  }
+  return out
+}
+
+/** Unidad de cada campo de los valores normalizados, para documentar la respuesta. */
+export function valueUnits(units = DEFAULT_UNITS) {
+  return Object.fromEntries(Object.entries(VALUE_UNITS).map(([k, unit]) => [k, unitLabel(unit, units)]))
+}
+
+/**
+ * Resumen de summarizeForecastWindow en `units`. En imperial los campos llevan
+ * el sufijo de su unidad (tempMax_f, windMax_mph, visMin_mi, precipInTotal)
+ * para que nadie (ni el LLM) los lea como métricos.
+ */
+export function convertFacts(facts, units = DEFAULT_UNITS) {
+  if (!facts || units !== 'imperial') return facts
+  const {
+    tempMin, tempMax, apparentMax, windMax_ms, gustMax_ms, windMax_kmh, gustMax_kmh,
+    visMin_km, precipMmTotal, heatStress, ...rest
+  } = facts
+  const out = {
+    ...rest,
+    tempMin_f: convertValue(tempMin, '°C', units),
+    tempMax_f: convertValue(tempMax, '°C', units),
+    apparentMax_f: convertValue(apparentMax, '°C', units),
+    windMax_mph: windMax_ms != null ? convertValue(windMax_ms, 'm/s', units) : convertValue(windMax_kmh, 'km/h', units),
+    gustMax_mph: gustMax_ms != null ? convertValue(gustMax_ms, 'm/s', units) : convertValue(gustMax_kmh, 'km/h', units),
+    visMin_mi: convertValue(visMin_km, 'km', units),
+    precipInTotal: convertValue(precipMmTotal, 'mm', units)
+  }
+  if (heatStress !== undefined) out.heatStress = convertHeatStress(heatStress, units)
+  return out
+}
+
+/** heatStressFromHours en `units` (índices de temperatura en °F). */
+export function convertHeatStress(hs, units = DEFAULT_UNITS) {
+  if (!hs || units !== 'imperial') return hs
+  const temp = (v) => convertValue(v, '°C', units)
+  return {
+    ...hs,
+    horas: (hs.horas || []).map(h => ({
+      ...h,
+      temperatura: temp(h.temperatura),
+      indiceCalor: temp(h.indiceCalor),
+      wbgt: temp(h.wbgt),
+      sensacionViento: temp(h.sensacionViento)
+    })),
+    indiceCalorMax: temp(hs.indiceCalorMax),
+    wbgtMax: temp(hs.wbgtMax),
+    sensacionVientoMin: temp(hs.sensacionVientoMin)
+  }
+}
+
+/** Resultado de assessRisk con valores y umbrales de cada peligro en `units`. */
+export function convertAssessment(assessment, units = DEFAULT_UNITS) {
+  if (!assessment || units !== 'imperial') return assessment
+  return {
+    ...assessment,
+    hazards: assessment.hazards.map(h => {
+      const { value, unit } = convertQuantity(h.value, h.unit, units)
+      return { ...h, value, unit, threshold: convertValue(h.threshold, h.unit, units) }
+    })
+  }
+}
+
+/** Ventanas de findBestWindows con sus resúmenes en `units`. */
+export function convertWindows(result, units = DEFAULT_UNITS) {
+  if (!result || units !== 'imperial') return result
+  return { ...result, windows: (result.windows || []).map(w => ({ ...w, facts: convertFacts(w.facts, units) })) }
+}
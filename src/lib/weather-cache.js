@@ -0,0 +1,63 @@
+// src/lib/weather-cache.js
+// Backends de caché para las respuestas de los proveedores meteorológicos (WEATHER_CACHE):
+//  - memory (default): Map por proceso; se pierde al reiniciar
+//  - mysql:            tabla weather_cache compartida entre instancias y reinicios
+// Interfaz común: get(key) → { data, expires } | null (incluidas entradas vencidas,
+// para servir stale-on-error), set(key, data, ttlMs), size().
+import { query } from './db.js'
+
+// Las entradas vencidas se conservan este tiempo para stale-on-error
+const STALE_MS = Number(process.env.WEATHER_CACHE_STALE_MS || 24 * 3600 * 1000)
+const PURGE_EVERY_MS = 3600 * 1000
+
+export function memoryCache() {
+  const map = new Map()
+  return {
+    name: 'memory',
+    async get(key) { return map.get(key) ?? null },
+    async set(key, data, ttlMs) {
+      const now = Date.now()
+      map.set(key, { expires: now + ttlMs, data })
+      // Poda perezosa de lo que ya no sirve ni como stale
+      for (const [k, v] of map) if (v.expires + STALE_MS < now) map.delete(k)
+    },
+    async size() { return map.size }
+  }
+}
+
+export function mysqlCache() {
+  let lastPurge = 0
+  return {
+    name: 'mysql',
+    async get(key) {
+      const [row] = await query('SELECT data, expires_at FROM weather_cache WHERE cache_key = :key', { key })
+      if (!row) return null
+      const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data
+      return { data, expires: new Date(row.expires_at).getTime() }
+    },
+    async set(key, data, ttlMs) {
+      await query(
+        `INSERT INTO weather_cache (cache_key, provider, data, expires_at)
+         VALUES (:key, :provider, :data, :expires)
+         ON DUPLICATE KEY UPDATE provider = VALUES(provider), data = VALUES(data), expires_at = VALUES(expires_at)`,
+        { key, provider: data?.provider ?? null, data: JSON.stringify(data), expires: new Date(Date.now() + ttlMs) }
+      )
+      if (Date.now() - lastPurge > PURGE_EVERY_MS) {
+        lastPurge = Date.now()
+        await query('DELETE FROM weather_cache WHERE expires_at < :before', { before: new Date(Date.now() - STALE_MS) })
+      }
+    },
+    async size() {
+      const [row] = await query('SELECT COUNT(*) AS n FROM weather_cache')
+      return Number(row?.n ?? 0)
+    }
+  }
+}
+
+const BACKENDS = { memory: memoryCache, mysql: mysqlCache }
+
+export function createWeatherCache(name = process.env.WEATHER_CACHE) {
+  const key = String(name || 'memory').trim().toLowerCase()
+  if (!BACKENDS[key]) console.warn(`WEATHER_CACHE desconocido: ${name}; se usa memory`)
+  return (BACKENDS[key] || memoryCache)()
+}
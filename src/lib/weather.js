@@ -1,56 +1,169 @@
 // src/lib/weather.js
-import axios from 'axios'
 import { DateTime } from 'luxon'
 import tzLookup from 'tz-lookup'
+import * as tomorrow from './tomorrow.js'
+import * as openmeteo from './openmeteo.js'
+import { DEFAULT_LOCALE, localized } from './i18n.js'
+import { createWeatherCache } from './weather-cache.js'
+import { takeToken, drainBudget, quotaError, quotaStatus, quotaReserves, quotaBackend } from './quota.js'
 
-const API_BASE = process.env.TOMORROW_BASE || 'https://api.tomorrow.io'
-const API_KEY  = process.env.TOMORROW_API_KEY
 const TTL_MS   = Number(process.env.WEATHER_TTL_MS || 5 * 60 * 1000)
+const FORECAST_TTL_MS = Number(process.env.FORECAST_TTL_MS || 30 * 60 * 1000)
+const FORECAST_HORIZON_HOURS = Number(process.env.FORECAST_HORIZON_HOURS || 120)
+const FORECAST_HORIZON_DAYS  = Number(process.env.FORECAST_HORIZON_DAYS || 15)
 const MAX_RETRIES = Number(process.env.WEATHER_MAX_RETRIES || 3)
 const BACKOFF_MS  = Number(process.env.WEATHER_BACKOFF_MS || 750)
 
-const http = axios.create({
-  baseURL: API_BASE,
-  timeout: 10000,
-  headers: { 'accept-encoding': 'gzip, deflate, br', 'user-agent': 'skycare-backend' },
-  decompress: true
-})
+// ===== Proveedores =====
+// Cada adaptador expone { name, label, fetchRealtime, fetchForecast } y devuelve
+// la forma de Tomorrow.io. El orden de WEATHER_PROVIDERS es el orden de failover.
+const PROVIDERS = { [tomorrow.name]: tomorrow, [openmeteo.name]: openmeteo }
+
+function providerChain() {
+  const names = (process.env.WEATHER_PROVIDERS || 'tomorrow,openmeteo')
+    .split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+  const chain = names.map(n => PROVIDERS[n]).filter(Boolean)
+  return chain.length ? chain : [tomorrow]
+}
+
+export function providerLabel(name) {
+  return PROVIDERS[name]?.label ?? name ?? null
+}
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms))
 const isNum = (v) => Number.isFinite(Number(v))
-const keyCoords = (lat, lon) => `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`
-const cache = new Map()
+export const keyCoords = (lat, lon) => `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`
 const inflight = new Map()
 
-function getCache(k){ const h = cache.get(k); return h && h.expires > Date.now() ? h.data : null }
-function setCache(k,d){ cache.set(k,{expires:Date.now()+TTL_MS,data:d}) }
+// ===== Caché (WEATHER_CACHE=memory|mysql) =====
+// Un fallo del backend no rompe la consulta: se trata como miss y se avisa.
+const cache = createWeatherCache()
+const stats = { hits: 0, misses: 0, stale: 0, degraded: 0, coarse: 0, errors: 0, since: new Date().toISOString() }
+
+async function readCache(k) {
+  try {
+    return await cache.get(k)
+  } catch (err) {
+    stats.errors++
+    console.warn(`WEATHER_CACHE_READ_FAILED (${cache.name}):`, err?.message || err)
+    return null
+  }
+}
+
+async function writeCache(k, d, ttlMs = TTL_MS) {
+  try {
+    await cache.set(k, d, ttlMs)
+  } catch (err) {
+    stats.errors++
+    console.warn(`WEATHER_CACHE_WRITE_FAILED (${cache.name}):`, err?.message || err)
+  }
+}
+
+/** Contadores de la caché desde el arranque (para admins). */
+export async function weatherCacheStats() {
+  const lookups = stats.hits + stats.misses
+  let entries = null
+  try { entries = await cache.size() } catch {}
+  return {
+    backend: cache.name,
+    ttlMs: TTL_MS,
+    forecastTtlMs: FORECAST_TTL_MS,
+    ...stats,
+    hitRate: lookups ? +(stats.hits / lookups).toFixed(3) : null,
+    entries
+  }
+}
+
+// Reintenta solo 429, 5xx y errores de red; errores propios (p. ej. MISSING_API_KEY) no
+function isRetryable(err) {
+  const st = err?.response?.status
+  return st === 429 || st >= 500 || (!st && !err?.status)
+}
+
+async function callWithRetries(fn) {
+  let lastErr
+  for (let i = 0; i < MAX_RETRIES; i++) {
+    try {
+      return await fn()
+    } catch (err) {
+      lastErr = err
+      if (!isRetryable(err) || i === MAX_RETRIES - 1) break
+      const ra = Number(err?.response?.headers?.['retry-after'])
+      await sleep(Number.isFinite(ra) ? ra * 1000 : BACKOFF_MS * Math.pow(2, i))
+    }
+  }
+  throw lastErr || new Error('WEATHER_ERROR')
+}
 
-async function getTomorrowRaw(path, params, cacheKey) {
-  const fresh = getCache(cacheKey)
-  if (fresh) return fresh
+/** Presupuesto de llamadas por proveedor de la cadena actual (para admins). */
+export async function weatherQuotaStatus() {
+  return {
+    backend: quotaBackend(),
+    reserves: quotaReserves(),
+    providers: await quotaStatus(providerChain().map(p => p.name))
+  }
+}
+
+// Cada intento (reintentos incluidos) consume presupuesto del proveedor. Un 429 vacía
+// el bucket horario antes de reintentar, así el reintento no gasta otro token y corta
+// con QUOTA_EXHAUSTED (salvo proveedores sin tope horario, que sí reintentan)
+function budgetedCall(provider, method, params, priority) {
+  return async () => {
+    if (!(await takeToken(provider.name, priority))) throw quotaError(provider.name)
+    try {
+      return await provider[method](params)
+    } catch (err) {
+      if (err?.response?.status === 429) await drainBudget(provider.name)
+      throw err
+    }
+  }
+}
+
+/**
+ * Recorre la cadena de proveedores; la respuesta lleva `provider` con quien contestó.
+ * Si el presupuesto de un proveedor no alcanza para la prioridad pedida, se prefiere
+ * el dato en caché aunque esté vencido; si no lo hay, se pasa al siguiente proveedor.
+ * Si ninguno contesta y no hay caché, se prueba `coarser()` (dato menos detallado, p. ej.
+ * el forecast diario para uno horario) antes de fallar.
+ * `refreshWithinMs` trata como vencida la entrada a la que le quede menos que eso (precargas).
+ */
+async function getWeatherRaw(method, params, cacheKey, { priority = 'interactive', ttlMs = TTL_MS, refreshWithinMs = 0, coarser } = {}) {
   if (inflight.has(cacheKey)) return inflight.get(cacheKey)
 
   const p = (async () => {
+    const cached = await readCache(cacheKey)
+    if (cached && cached.expires - refreshWithinMs > Date.now()) {
+      stats.hits++
+      return cached.data
+    }
+    stats.misses++
+
     let lastErr
-    for (let i = 0; i < MAX_RETRIES; i++) {
+    for (const provider of providerChain()) {
       try {
-        if (!API_KEY) { const e = new Error('MISSING_API_KEY'); e.status = 500; throw e }
-        const { data } = await http.get(path, { params: { ...params, apikey: API_KEY } })
-        setCache(cacheKey, data)
-        return data
+        const data = await callWithRetries(budgetedCall(provider, method, params, priority))
+        const tagged = { ...data, provider: provider.name }
+        await writeCache(cacheKey, tagged, ttlMs)
+        return tagged
       } catch (err) {
-        const st = err?.response?.status
-        if (st === 429 || st >= 500 || !st) {
-          const ra = Number(err?.response?.headers?.['retry-after'])
-          await sleep(Number.isFinite(ra) ? ra * 1000 : BACKOFF_MS * Math.pow(2, i))
-          lastErr = err
-          continue
+        console.warn(`WEATHER_PROVIDER_FAILED (${provider.name}):`, err?.response?.status || err?.message || err)
+        lastErr = err
+        if (err?.code === 'QUOTA_EXHAUSTED' && cached?.data) {
+          stats.degraded++
+          return cached.data
         }
-        throw err
       }
     }
-    const stale = cache.get(cacheKey)?.data
-    if (stale) return stale
+    // Stale-on-error: mejor un dato vencido que ninguno
+    if (cached?.data) {
+      stats.stale++
+      return cached.data
+    }
+    const coarse = await coarser?.()
+    if (coarse) {
+      stats.coarse++
+      return coarse
+    }
     throw lastErr || new Error('WEATHER_ERROR')
   })().finally(() => inflight.delete(cacheKey))
 
@@ -59,32 +172,110 @@ async function getTomorrowRaw(path, params, cacheKey) {
 }
 
 // ===== API pública =====
-export async function getRealtime({ lat, lon, units = 'metric' }) {
+// `priority`: alerts | interactive (default) | background (ver quota.js)
+export async function getRealtime({ lat, lon, units = 'metric', priority }) {
   if (!isNum(lat) || !isNum(lon)) { const e = new Error('INVALID_COORDS'); e.status = 400; throw e }
   const key = `realtime|${keyCoords(lat, lon)}|${units}`
-  return await getTomorrowRaw('/v4/weather/realtime', { location: `${lat},${lon}`, units }, key)
+  return await getWeatherRaw('fetchRealtime', { lat, lon, units }, key, { priority })
+}
+
+// ===== Forecast por horizonte =====
+// Se pide y se guarda el horizonte completo por ubicación redondeada (desde la hora
+// UTC en curso, o el día UTC en curso si es diario) y cada consumidor recorta su
+// ventana localmente (hoursInWindows / summarizeForecastWindow). Así todas las
+// consultas de un mismo punto comparten una sola entrada de caché; la clave no lleva
+// el inicio del horizonte para que lo precargado siga sirviendo al cambiar de hora.
+function forecastHorizon(timesteps = '1h', now = DateTime.utc()) {
+  const daily = timesteps === '1d'
+  const start = now.toUTC().startOf(daily ? 'day' : 'hour')
+  const end = daily ? start.plus({ days: FORECAST_HORIZON_DAYS }) : start.plus({ hours: FORECAST_HORIZON_HOURS })
+  return { startISO: start.toISO(), endISO: end.toISO() }
 }
 
-export async function getForecast({ lat, lon, units = 'metric', timesteps = '1h', startTime, endTime }) {
+/**
+ * Forecast en la forma de Tomorrow.io. `startTime`/`endTime` solo indican la ventana
+ * que interesa: si cabe en el horizonte se devuelve el horizonte completo; si empieza
+ * antes (horas ya pasadas de hoy) o termina después, se pide ese rango exacto, con su
+ * propia entrada de caché.
+ */
+export async function getForecast({ lat, lon, units = 'metric', timesteps = '1h', startTime, endTime, priority, refreshWithinMs }) {
   if (!isNum(lat) || !isNum(lon)) { const e = new Error('INVALID_COORDS'); e.status = 400; throw e }
-  const key = `forecast|${keyCoords(lat, lon)}|${units}|${timesteps}|${startTime || ''}|${endTime || ''}`
-  const params = { location: `${lat},${lon}`, units, timesteps }
-  if (startTime) params.startTime = startTime
-  if (endTime)   params.endTime   = endTime
-  return await getTomorrowRaw('/v4/weather/forecast', params, key)
+  const horizon = forecastHorizon(timesteps)
+  const options = { priority, ttlMs: FORECAST_TTL_MS, refreshWithinMs }
+
+  // Sin proveedor ni caché horaria: el forecast diario en caché, repartido en horas
+  if (timesteps === '1h') {
+    options.coarser = async () => {
+      const daily = await readCache(`forecast|${keyCoords(lat, lon)}|${units}|1d`)
+      return daily?.data ? dailyAsHourly(daily.data) : null
+    }
+  }
+
+  const inHorizon = (!startTime || Date.parse(startTime) >= Date.parse(horizon.startISO)) &&
+    (!endTime || Date.parse(endTime) <= Date.parse(horizon.endISO))
+  if (inHorizon) {
+    const key = `forecast|${keyCoords(lat, lon)}|${units}|${timesteps}`
+    const params = { lat, lon, units, timesteps, startTime: horizon.startISO, endTime: horizon.endISO }
+    return await getWeatherRaw('fetchForecast', params, key, options)
+  }
+  const key = `forecast|${keyCoords(lat, lon)}|${units}|${timesteps}|${startTime || ''}|${endTime}`
+  return await getWeatherRaw('fetchForecast', { lat, lon, units, timesteps, startTime, endTime }, key, options)
+}
+
+/**
+ * Forecast diario → serie horaria aproximada (`coarse: '1d'`). Cada hora del día UTC
+ * lleva los extremos del día (máximas de temperatura, viento, UV y prob. de lluvia,
+ * visibilidad mínima), así el motor de riesgo se queda del lado prudente; la lluvia
+ * acumulada se reparte en partes iguales.
+ */
+export function dailyAsHourly(raw) {
+  const daily = raw?.timelines?.daily || raw?.data?.timelines?.daily || []
+  const hourly = []
+  for (const d of daily) {
+    const v = d.values || {}
+    const rain = v.rainAccumulationSum ?? v.precipitationAccumulationSum
+    const values = {
+      temperature: v.temperatureMax ?? null,
+      temperatureApparent: v.temperatureApparentMax ?? null,
+      humidity: v.humidityMax ?? null,
+      windSpeed: v.windSpeedMax ?? null,
+      windGust: v.windGustMax ?? null,
+      uvIndex: v.uvIndexMax ?? null,
+      visibility: v.visibilityMin ?? null,
+      precipitationProbability: v.precipitationProbabilityMax ?? null,
+      rainAccumulation: rain != null ? rain / 24 : null,
+      weatherCode: v.weatherCodeMax ?? v.weatherCode ?? null
+    }
+    const start = DateTime.fromISO(d.time, { zone: 'utc' }).startOf('day')
+    for (let h = 0; h < 24; h++) hourly.push({ time: start.plus({ hours: h }).toISO({ suppressMilliseconds: true }), values })
+  }
+  return { timelines: { hourly }, provider: raw?.provider ?? null, coarse: '1d' }
 }
 
 export function summarizeForecastWindow(raw, startISO, endISO) {
+  return summarizeForecastWindows(raw, [{ startISO, endISO }])
+}
+
+// Horas del forecast horario que caen dentro de alguna de las ventanas (extremos inclusivos).
+// Se compara por instante y no por texto: "…T13:00:00Z" y "…T13:00:00.000Z" son la misma hora.
+export function hoursInWindows(raw, windows = []) {
   const hourly = raw?.timelines?.hourly || raw?.data?.timelines?.hourly || []
-  if (!hourly.length) return { hours: 0 }
+  const ranges = windows.map(w => [Date.parse(w.startISO), Date.parse(w.endISO)])
+  return hourly.filter(h => {
+    const t = Date.parse(h.time)
+    return ranges.some(([s, e]) => t >= s && t <= e)
+  })
+}
 
-  const sel = hourly.filter(h => h.time >= startISO && h.time <= endISO)
-                    .map(h => ({ t: h.time, v: h.values || h.value || {} }))
+// Igual que summarizeForecastWindow pero sobre la unión de varias ventanas (turnos)
+export function summarizeForecastWindows(raw, windows = []) {
+  const sel = hoursInWindows(raw, windows).map(h => ({ t: h.time, v: h.values || h.value || {} }))
   if (!sel.length) return { hours: 0 }
 
   const agg = {
     hours: sel.length,
     tempMin: +Infinity, tempMax: -Infinity,
+    apparentMax: -Infinity, humidityMax: null,
     windMax_ms: 0, gustMax_ms: 0,
     uvMax: 0, visMin_km: +Infinity,
     precipProbMax: 0, precipMmTotal: 0,
@@ -93,6 +284,8 @@ export function summarizeForecastWindow(raw, startISO, endISO) {
 
   for (const { v } of sel) {
     if (v.temperature != null) { agg.tempMin = Math.min(agg.tempMin, v.temperature); agg.tempMax = Math.max(agg.tempMax, v.temperature) }
+    if (v.temperatureApparent != null) agg.apparentMax = Math.max(agg.apparentMax, v.temperatureApparent)
+    if (v.humidity    != null) agg.humidityMax = Math.max(agg.humidityMax ?? 0, v.humidity)
     if (v.windSpeed   != null) agg.windMax_ms = Math.max(agg.windMax_ms, v.windSpeed)
     if (v.windGust    != null) agg.gustMax_ms = Math.max(agg.gustMax_ms, v.windGust)
     if (v.uvIndex     != null) agg.uvMax      = Math.max(agg.uvMax, v.uvIndex)
@@ -104,6 +297,7 @@ export function summarizeForecastWindow(raw, startISO, endISO) {
 
   if (agg.tempMin === +Infinity) agg.tempMin = null
   if (agg.tempMax === -Infinity) agg.tempMax = null
+  if (agg.apparentMax === -Infinity) agg.apparentMax = null
   if (agg.visMin_km === +Infinity) agg.visMin_km = null
 
   return {
@@ -122,37 +316,54 @@ export function resolveTimezone(lat, lon, scheduleTZ) {
 export function scheduleToUTCWindow({ fecha, horaInicio = '08:00', horaFin = '17:00', zonaHoraria }, lat, lon) {
   const tz = resolveTimezone(lat, lon, zonaHoraria)
   const startLocal = DateTime.fromISO(`${fecha}T${horaInicio}`, { zone: tz })
-  const endLocal   = DateTime.fromISO(`${fecha}T${horaFin}`,   { zone: tz })
+  let endLocal     = DateTime.fromISO(`${fecha}T${horaFin}`,   { zone: tz })
+  // Turno nocturno (p. ej. 22:00–06:00): termina al día siguiente
+  if (endLocal <= startLocal) endLocal = endLocal.plus({ days: 1 })
   return { tz, startISO: startLocal.toUTC().toISO(), endISO: endLocal.toUTC().toISO(), startLocal, endLocal }
 }
 
 export async function forecastFactsForSchedule({ lat, lon, schedule, units = 'metric' }) {
   const { tz, startISO, endISO } = scheduleToUTCWindow(schedule, lat, lon)
   const raw = await getForecast({ lat, lon, units, timesteps: '1h', startTime: startISO, endTime: endISO })
-  return { tz, ...summarizeForecastWindow(raw, startISO, endISO) }
+  return { tz, provider: raw?.provider ?? null, ...summarizeForecastWindow(raw, startISO, endISO) }
 }
 
 // ===== Normalizadores =====
-export function codeToText(code) {
-  const map = {
+const WEATHER_TEXT = {
+  es: {
     1000:'Despejado',1100:'Mayormente despejado',1101:'Parcialmente nublado',1102:'Mayormente nublado',
     1001:'Nublado',2000:'Niebla',2100:'Niebla ligera',3000:'Viento ligero',3001:'Viento',3002:'Viento fuerte',
     4000:'Llovizna',4200:'Lluvia ligera',4001:'Lluvia',4201:'Lluvia intensa',
     5000:'Nieve',5100:'Nieve ligera',5001:'Chubascos de nieve',5101:'Nieve intensa',
     6000:'Aguanieve',6200:'Aguanieve ligera',6001:'Aguanieve intensa',
     7000:'Granizo',7102:'Granizo ligero',7101:'Granizo intenso',8000:'Tormenta'
+  },
+  en: {
+    1000:'Clear',1100:'Mostly clear',1101:'Partly cloudy',1102:'Mostly cloudy',
+    1001:'Cloudy',2000:'Fog',2100:'Light fog',3000:'Light wind',3001:'Wind',3002:'Strong wind',
+    4000:'Drizzle',4200:'Light rain',4001:'Rain',4201:'Heavy rain',
+    5000:'Snow',5100:'Light snow',5001:'Flurries',5101:'Heavy snow',
+    6000:'Freezing drizzle',6200:'Light freezing rain',6001:'Freezing rain',
+    7000:'Ice pellets',7102:'Light ice pellets',7101:'Heavy ice pellets',8000:'Thunderstorm'
+  },
+  pt: {
+    1000:'Céu limpo',1100:'Predominantemente limpo',1101:'Parcialmente nublado',1102:'Predominantemente nublado',
+    1001:'Nublado',2000:'Nevoeiro',2100:'Nevoeiro leve',3000:'Vento fraco',3001:'Vento',3002:'Vento forte',
+    4000:'Garoa',4200:'Chuva fraca',4001:'Chuva',4201:'Chuva forte',
+    5000:'Neve',5100:'Neve fraca',5001:'Pancadas de neve',5101:'Neve forte',
+    6000:'Chuvisco congelante',6200:'Chuva congelante fraca',6001:'Chuva congelante',
+    7000:'Granizo',7102:'Granizo fraco',7101:'Granizo forte',8000:'Tempestade'
   }
-  return map[code] ?? '—'
 }
 
-export function normalizeRealtimePayload(apiData) {
-  const v = apiData?.data?.values || {}
-  const loc = apiData?.location || {}
+export function codeToText(code, locale = DEFAULT_LOCALE) {
+  return localized(WEATHER_TEXT, locale)[code] ?? '—'
+}
+
+// values (forma Tomorrow.io) → nombres en español; compartido por realtime y forecast horario.
+// `locale` solo afecta a weatherText.
+export function normalizeValues(v = {}, locale = DEFAULT_LOCALE) {
   return {
-    at: apiData?.data?.time || null,
-    lat: loc.lat ?? null,
-    lon: loc.lon ?? null,
-    name: loc.name ?? null,
     temperatura: v.temperature ?? null,
     sensacionTermica: v.temperatureApparent ?? null,
     humedad: v.humidity ?? null,
@@ -167,6 +378,37 @@ export function normalizeRealtimePayload(apiData) {
     probPrecipitacion: v.precipitationProbability ?? null,
     nubes: v.cloudCover ?? null,
     weatherCode: v.weatherCode ?? null,
-    weatherText: codeToText(v.weatherCode)
+    weatherText: codeToText(v.weatherCode, locale)
+  }
+}
+
+// values diarios (temperatureMax, windGustMax, ...) → nombres en español
+export function normalizeDailyValues(v = {}, locale = DEFAULT_LOCALE) {
+  const code = v.weatherCodeMax ?? v.weatherCode ?? null
+  return {
+    temperaturaMax: v.temperatureMax ?? null,
+    temperaturaMin: v.temperatureMin ?? null,
+    sensacionTermicaMax: v.temperatureApparentMax ?? null,
+    humedadMax: v.humidityMax ?? null,
+    vientoMax: v.windSpeedMax ?? null,
+    vientoRafagaMax: v.windGustMax ?? null,
+    visibilidadMin: v.visibilityMin ?? null,
+    uvMax: v.uvIndexMax ?? null,
+    precipitacionTotal: v.rainAccumulationSum ?? v.precipitationAccumulationSum ?? null,
+    probPrecipitacionMax: v.precipitationProbabilityMax ?? null,
+    weatherCode: code,
+    weatherText: codeToText(code, locale)
+  }
+}
+
+export function normalizeRealtimePayload(apiData, locale = DEFAULT_LOCALE) {
+  const v = apiData?.data?.values || {}
+  const loc = apiData?.location || {}
+  return {
+    at: apiData?.data?.time || null,
+    lat: loc.lat ?? null,
+    lon: loc.lon ?? null,
+    name: loc.name ?? null,
+    ...normalizeValues(v, locale)
   }
 }
@@ -0,0 +1,240 @@
+// src/lib/webhooks.js
+// Notificaciones salientes: firma HMAC-SHA256, reintentos con backoff y
+// registro de cada entrega en webhook_deliveries. Los reintentos se programan en
+// la propia fila (next_attempt_at) y los envía su propio scheduler (startWebhookRetries),
+// así sobreviven a reinicios y cualquier instancia puede retomarlos.
+import crypto from 'node:crypto'
+import dns from 'node:dns'
+import net from 'node:net'
+import http from 'node:http'
+import https from 'node:https'
+import axios from 'axios'
+import { query } from './db.js'
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5)
+const BACKOFF_MS   = Number(process.env.WEBHOOK_BACKOFF_MS || 2000)
+const TIMEOUT_MS   = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000)
+const RETRY_INTERVAL_MS = Number(process.env.WEBHOOK_RETRY_INTERVAL_MS || 10 * 1000)
+// Mientras hay un intento en curso la entrega queda reservada este tiempo; si el
+// proceso muere a medias, otra pasada la retoma al vencer
+const LEASE_MS = TIMEOUT_MS * 3
+const AFTER = 'DATE_ADD(CURRENT_TIMESTAMP(3), INTERVAL :delayUs MICROSECOND)'
+
+// http:// solo para desarrollo local; en producción siempre https
+const ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === 'on' && process.env.NODE_ENV !== 'production'
+
+export const WEBHOOK_EVENTS = ['recommendation.high_risk', 'alert.triggered', 'ping']
+
+// ===== Protección SSRF =====
+// Nunca se entrega a loopback, redes privadas, link-local (metadata de la nube), CGNAT, ULA ni multicast
+const BLOCKED = new net.BlockList()
+for (const [addr, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED.addSubnet(addr, prefix, 'ipv4')
+for (const [addr, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED.addSubnet(addr, prefix, 'ipv6')
+
+export function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+  if (mapped) return BLOCKED.check(mapped[1], 'ipv4')
+  const family = net.isIP(address)
+  if (!family) return true
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+const blockedError = (address) => Object.assign(new Error(`BLOCKED_ADDRESS ${address}`), { code: 'EBLOCKED' })
+
+// lookup de los sockets salientes: valida la IP con la que realmente se conecta (evita DNS rebinding)
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err)
+    const list = Array.isArray(address) ? address : [{ address, family }]
+    const bad = list.find(a => isBlockedAddress(a.address))
+    if (bad) return callback(blockedError(bad.address))
+    callback(null, address, family)
+  })
+}
+
+/**
+ * Valida que `url` sea un destino de webhook permitido: https (http solo con
+ * WEBHOOK_ALLOW_HTTP=on fuera de producción) y que todas sus IPs sean públicas.
+ * → null si es válida, o el código de error.
+ */
+export async function checkWebhookUrl(url) {
+  let u
+  try { u = new URL(url) } catch { return 'BAD_URL' }
+  if (u.protocol !== 'https:' && !(ALLOW_HTTP && u.protocol === 'http:')) return 'WEBHOOK_URL_NOT_HTTPS'
+  const host = u.hostname.replace(/^\[|\]$/g, '')
+  try {
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true })
+    if (!addresses.length || addresses.some(a => isBlockedAddress(a.address))) return 'WEBHOOK_URL_BLOCKED'
+  } catch {
+    return 'WEBHOOK_URL_UNRESOLVABLE'
+  }
+  return null
+}
+
+const client = axios.create({
+  timeout: TIMEOUT_MS,
+  headers: { 'content-type': 'application/json', 'user-agent': 'skycare-backend' },
+  // Se evalúa el status a mano para decidir reintentos
+  validateStatus: () => true,
+  // Sin redirecciones (podrían apuntar a la red interna) ni proxies del entorno
+  maxRedirects: 0,
+  proxy: false,
+  httpAgent: new http.Agent({ lookup: safeLookup }),
+  httpsAgent: new https.Agent({ lookup: safeLookup })
+})
+
+export const generateSecret = () => crypto.randomBytes(24).toString('hex')
+
+// Firma `${timestamp}.${body}`; el receptor debe recomputarla con su secreto
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+const isRetryableStatus = (st) => st === 408 || st === 429 || st >= 500
+
+async function attemptDelivery(hook, deliveryId, event, body, attempt) {
+  const ts = Math.floor(Date.now() / 1000)
+  let status = null
+  let error = null
+  let blocked = false
+  try {
+    // Se revalida en cada entrega: el DNS puede haber cambiado desde el alta
+    const urlError = await checkWebhookUrl(hook.url)
+    if (urlError) {
+      // Un fallo de DNS puede ser pasajero; una IP interna o un esquema inválido, no
+      blocked = urlError !== 'WEBHOOK_URL_UNRESOLVABLE'
+      throw Object.assign(new Error(urlError), { code: urlError })
+    }
+    const r = await client.post(hook.url, body, {
+      headers: {
+        'x-skycare-event': event,
+        'x-skycare-delivery': String(deliveryId),
+        'x-skycare-timestamp': String(ts),
+        'x-skycare-signature': signPayload(hook.secret, ts, body)
+      }
+    })
+    status = r.status
+    if (status >= 200 && status < 300) {
+      await query(
+        `UPDATE webhook_deliveries
+            SET status = 'success', attempts = :attempt, response_status = :status,
+                last_error = NULL, next_attempt_at = NULL, delivered_at = CURRENT_TIMESTAMP(3)
+          WHERE id = :id`,
+        { id: deliveryId, attempt, status }
+      )
+      return
+    }
+    error = `HTTP ${status}`
+  } catch (e) {
+    if (e?.code === 'EBLOCKED') blocked = true
+    error = e?.code || e?.message || 'NETWORK_ERROR'
+  }
+
+  const retry = !blocked && attempt < MAX_ATTEMPTS && (status == null || isRetryableStatus(status))
+  await query(
+    `UPDATE webhook_deliveries
+        SET status = :st, attempts = :attempt, response_status = :status, last_error = :error,
+            next_attempt_at = ${retry ? AFTER : 'NULL'}
+      WHERE id = :id`,
+    {
+      id: deliveryId, st: retry ? 'pending' : 'failed', attempt, status, error: String(error).slice(0, 255),
+      delayUs: BACKOFF_MS * Math.pow(2, attempt - 1) * 1000
+    }
+  )
+}
+
+/**
+ * Envía las entregas pendientes cuyo reintento ya venció (de webhooks activos).
+ * Cada una se reserva antes de enviarla para que otra instancia no la duplique.
+ */
+export async function retryDueDeliveries(limit = 50) {
+  const due = await query(
+    `SELECT d.id AS delivery_id, d.event, d.payload, d.attempts, w.*
+       FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP(3) AND w.active = 1
+      ORDER BY d.next_attempt_at
+      LIMIT ${Number(limit)}`
+  )
+  let sent = 0
+  for (const { delivery_id: id, event, payload, attempts, ...hook } of due) {
+    const claimed = await query(
+      `UPDATE webhook_deliveries SET next_attempt_at = ${AFTER}
+        WHERE id = :id AND status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP(3)`,
+      { id, delayUs: LEASE_MS * 1000 }
+    )
+    if (!claimed.affectedRows) continue
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload)
+    await attemptDelivery(hook, id, event, body, attempts + 1)
+    sent++
+  }
+  return sent
+}
+
+/**
+ * Encola `event` para todos los webhooks activos del usuario suscritos a él
+ * (o solo para `opts.webhookId`, sin filtrar por eventos, p. ej. para "ping").
+ * No bloquea: la entrega y sus reintentos corren en segundo plano.
+ */
+export async function dispatchEvent(userId, event, data, opts = {}) {
+  const hooks = await query(
+    'SELECT * FROM webhooks WHERE user_id = :uid AND active = 1',
+    { uid: userId }
+  )
+  const targets = opts.webhookId
+    ? hooks.filter(h => h.id === Number(opts.webhookId))
+    : hooks.filter(h => !h.events || h.events.split(',').includes(event))
+  const ids = []
+  for (const hook of targets) {
+    const payload = { event, createdAt: new Date().toISOString(), data }
+    const body = JSON.stringify(payload)
+    // Reservada desde el alta: si este proceso cae antes del primer intento, la retoma el poller
+    const r = await query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+       VALUES (:wid, :event, :payload, ${AFTER})`,
+      { wid: hook.id, event, payload: body, delayUs: LEASE_MS * 1000 }
+    )
+    ids.push(r.insertId)
+    attemptDelivery(hook, r.insertId, event, body, 1)
+      .catch(e => console.warn('WEBHOOK_DELIVERY_WARN:', e?.message || e))
+  }
+  return ids
+}
+
+// Variante "fire and forget" para rutas y scheduler: nunca lanza
+export function notify(userId, event, data) {
+  dispatchEvent(userId, event, data).catch(e => console.warn('WEBHOOK_DISPATCH_WARN:', e?.message || e))
+}
+
+// ===== Reintentos =====
+// Independiente del scheduler de alertas: hay entregas (recommendation.high_risk) sin alertas
+let timer = null
+let running = false
+
+export function startWebhookRetries() {
+  if (timer || RETRY_INTERVAL_MS <= 0) return
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      await retryDueDeliveries()
+    } catch (e) {
+      console.error('WEBHOOK_RETRY_ERROR:', e?.message || e)
+    } finally {
+      running = false
+    }
+  }
+  timer = setInterval(tick, RETRY_INTERVAL_MS)
+  timer.unref?.()
+  setTimeout(tick, 5000).unref?.()
+}
+
+export function stopWebhookRetries() {
+  if (timer) clearInterval(timer)
+  timer = null
+}
@@ -0,0 +1,197 @@
+// src/routes/alerts.js
+// Reglas de alerta y eventos: montado en /api/companies/:id/alerts
+import { Router } from 'express'
+import { z } from 'zod'
+import { query } from '../lib/db.js'
+import { getUserId, authorizedCompany } from '../lib/ownership.js'
+import { loadCompanySite } from './sites.js'
+import { METRICS, OPERATORS, ruleThreshold } from '../lib/alerts.js'
+import { getUnits, fromUnits, convertValue, unitLabel } from '../lib/units.js'
+
+export const router = Router({ mergeParams: true })
+
+// ----- validation -----
+const RuleSchema = z.object({
+  name: z.string().max(120).optional().nullable(),
+  siteId: z.number().int().positive().optional().nullable(),
+  metric: z.enum(Object.keys(METRICS)),
+  operator: z.enum(Object.keys(OPERATORS)),
+  threshold: z.number(),
+  horizonHours: z.number().int().min(1).max(120).default(12),
+  active: z.boolean().default(true)
+})
+
+const RulePatchSchema = RuleSchema.partial().refine(
+  d => Object.values(d).some(v => v !== undefined),
+  'EMPTY_PATCH'
+)
+
+// campo de la API → columna
+const RULE_COLUMNS = {
+  name: 'name', siteId: 'site_id', metric: 'metric', operator: 'operator',
+  threshold: 'threshold', horizonHours: 'horizon_hours', active: 'active'
+}
+
+// Los umbrales se guardan en la unidad métrica de la métrica; la API los recibe y
+// devuelve en las unidades de la petición (getUnits)
+const presentRule = (rule, units) => ({
+  ...rule,
+  threshold: ruleThreshold(rule, units),
+  unit: unitLabel(METRICS[rule.metric]?.unit, units),
+  units
+})
+
+async function loadRule(ruleId, companyId) {
+  const [row] = await query(
+    'SELECT * FROM alert_rules WHERE id = :rid AND company_id = :cid',
+    { rid: ruleId, cid: companyId }
+  )
+  return row || null
+}
+
+// ===== Eventos =====
+router.get('/', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
+
+    const limit  = Math.min(Number(req.query.limit ?? 50), 200)
+    const offset = Math.max(Number(req.query.offset ?? 0), 0)
+    const onlyOpen = req.query.active === '1' || req.query.active === 'true'
+
+    const rows = await query(
+      `SELECT e.id, e.rule_id, r.name AS rule_name, r.metric, r.operator, r.threshold, r.site_id,
+              e.triggered_at, e.last_seen_at, e.resolved_at, e.forecast_time, e.value, e.message
+         FROM alert_events e
+         JOIN alert_rules r ON r.id = e.rule_id
+        WHERE e.company_id = :cid ${onlyOpen ? 'AND e.resolved_at IS NULL' : ''}
+        ORDER BY e.triggered_at DESC
+        LIMIT ${limit} OFFSET ${offset}`,
+      { cid: company.id }
+    )
+    const units = getUnits(req, company)
+    res.json({
+      units,
+      items: rows.map(r => {
+        const unit = METRICS[r.metric]?.unit
+        return { ...r, threshold: ruleThreshold(r, units), value: convertValue(r.value, unit, units), unit: unitLabel(unit, units) }
+      })
+    })
+  } catch (e) {
+    console.error(e)
+    res.status(500).json({ error: 'ALERTS_LIST_ERROR' })
+  }
+})
+
+// ===== Reglas CRUD =====
+router.get('/rules', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
+    const rows = await query(
+      'SELECT * FROM alert_rules WHERE company_id = :cid ORDER BY id DESC',
+      { cid: company.id }
+    )
+    const units = getUnits(req, company)
+    res.json(rows.map(r => presentRule(r, units)))
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.post('/rules', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'manage')
+    if (!company) return
+
+    const parsed = RuleSchema.safeParse(req.body)
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    }
+    const { name = null, siteId = null, metric, operator, threshold, horizonHours, active } = parsed.data
+    if (siteId && !(await loadCompanySite(siteId, company.id))) {
+      return res.status(404).json({ error: 'SITE_NOT_FOUND' })
+    }
+    const units = getUnits(req, company)
+
+    const r = await query(
+      `INSERT INTO alert_rules (user_id, company_id, site_id, name, metric, operator, threshold, horizon_hours, active)
+       VALUES (:uid, :cid, :sid, :name, :metric, :operator, :threshold, :horizon, :active)`,
+      {
+        uid: getUserId(req), cid: company.id, sid: siteId, name,
+        metric, operator, threshold: fromUnits(threshold, METRICS[metric].unit, units),
+        horizon: horizonHours, active: active ? 1 : 0
+      }
+    )
+    const [rule] = await query('SELECT * FROM alert_rules WHERE id = :id', { id: r.insertId })
+    res.status(201).json(presentRule(rule, units))
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.patch('/rules/:ruleId', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'manage')
+    if (!company) return
+    const rule = await loadRule(req.params.ruleId, company.id)
+    if (!rule) return res.status(404).json({ error: 'RULE_NOT_FOUND' })
+
+    const parsed = RulePatchSchema.safeParse(req.body)
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    }
+    const data = { ...parsed.data }
+    if (data.siteId && !(await loadCompanySite(data.siteId, company.id))) {
+      return res.status(404).json({ error: 'SITE_NOT_FOUND' })
+    }
+    if (data.active !== undefined) data.active = data.active ? 1 : 0
+    const units = getUnits(req, company)
+    if (data.threshold !== undefined) data.threshold = fromUnits(data.threshold, METRICS[data.metric ?? rule.metric].unit, units)
+
+    const fields = Object.keys(RULE_COLUMNS).filter(k => data[k] !== undefined)
+    const sets = fields.map(k => `${RULE_COLUMNS[k]} = :${k}`).join(', ')
+    const params = Object.fromEntries(fields.map(k => [k, data[k]]))
+
+    await query(`UPDATE alert_rules SET ${sets} WHERE id = :rid`, { ...params, rid: rule.id })
+    // Otra condición (o medida en otro sitio u horizonte) es otro episodio: el evento abierto
+    // se cierra y el evaluador abre uno nuevo si se cumple
+    const conditionChanged =
+      (data.metric !== undefined && data.metric !== rule.metric) ||
+      (data.operator !== undefined && data.operator !== rule.operator) ||
+      (data.threshold !== undefined && +Number(data.threshold).toFixed(2) !== Number(rule.threshold)) ||
+      (data.siteId !== undefined && (data.siteId ?? null) !== (rule.site_id == null ? null : Number(rule.site_id))) ||
+      (data.horizonHours !== undefined && data.horizonHours !== Number(rule.horizon_hours))
+    if (conditionChanged) {
+      await query(
+        'UPDATE alert_events SET resolved_at = CURRENT_TIMESTAMP(3) WHERE rule_id = :rid AND resolved_at IS NULL',
+        { rid: rule.id }
+      )
+    }
+    const [updated] = await query('SELECT * FROM alert_rules WHERE id = :rid', { rid: rule.id })
+    res.json(presentRule(updated, units))
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.delete('/rules/:ruleId', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'manage')
+    if (!company) return
+    const r = await query(
+      'DELETE FROM alert_rules WHERE id = :rid AND company_id = :cid',
+      { rid: req.params.ruleId, cid: company.id }
+    )
+    if (!r.affectedRows) return res.status(404).json({ error: 'RULE_NOT_FOUND' })
+    res.status(204).end()
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+export default router
@@ -0,0 +1,78 @@
+// src/routes/api-keys.js
+// API keys del usuario autenticado: montado en /api/auth/api-keys (solo con JWT,
+// una API key no puede crear ni revocar otras)
+import { Router } from 'express'
+import { z } from 'zod'
+import { query } from '../lib/db.js'
+import { getUserId } from '../lib/ownership.js'
+import { API_KEY_SCOPES, generateApiKey } from '../lib/api-keys.js'
+
+export const router = Router()
+
+const PUBLIC_COLUMNS = 'id, name, prefix, scope, last_used_at, revoked_at, created_at'
+
+const ApiKeySchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  scope: z.enum(API_KEY_SCOPES).default('read')
+})
+
+router.get('/', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const rows = await query(
+      `SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE user_id = :uid ORDER BY id DESC`,
+      { uid }
+    )
+    res.json(rows)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.post('/', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+
+    const parsed = ApiKeySchema.safeParse(req.body)
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    }
+    const { name, scope } = parsed.data
+    const { key, prefix, hash } = generateApiKey()
+
+    const r = await query(
+      `INSERT INTO api_keys (user_id, name, prefix, key_hash, scope)
+       VALUES (:uid, :name, :prefix, :hash, :scope)`,
+      { uid, name, prefix, hash, scope }
+    )
+    const [row] = await query(`SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE id = :id`, { id: r.insertId })
+    // La clave solo se devuelve en la creación
+    res.status(201).json({ ...row, key })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+// Revocar: la fila se conserva (con revoked_at) para auditoría
+router.delete('/:id', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const r = await query(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP(3)
+        WHERE id = :id AND user_id = :uid AND revoked_at IS NULL`,
+      { id: req.params.id, uid }
+    )
+    if (!r.affectedRows) return res.status(404).json({ error: 'NOT_FOUND' })
+    res.status(204).end()
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+export default router
@@ -5,11 +5,54 @@ import { z } from 'zod'
 import bcrypt from 'bcryptjs'
 import jwt from 'jsonwebtoken'
 import { query } from '../lib/db.js'
+import { LOCALES, getLocale, localized, normalizeLocale } from '../lib/i18n.js'
+import { UNITS } from '../lib/units.js'
+import {
+  signAccessToken,
+  verifyAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeUserSessions
+} from '../lib/sessions.js'
+import { createResetToken, consumeResetToken } from '../lib/password-reset.js'
+import { sendMail } from '../lib/mailer.js'
+import { rateLimit, tooManyRequests } from '../lib/rate-limit.js'
+import { lockedFor, registerFailedLogin, resetFailedLogins, recordAuthEvent } from '../lib/lockout.js'
 
 // Export for other files
 export const router = Router()
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret'
+// ===== Límites por IP y por cuenta (email) =====
+// Cada ruta tiene su propio contador: agotar /login no bloquea /refresh ni /register.
+// /refresh lo usa cada cliente cada ACCESS_TOKEN_TTL, así que su límite por IP es
+// mucho más alto (varios usuarios detrás de la misma IP de oficina).
+const AUTH_WINDOW_MS = Number(process.env.AUTH_RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000)
+const AUTH_PER_IP = Number(process.env.AUTH_RATE_LIMIT_PER_IP || 30)
+const perIp = (name, max = AUTH_PER_IP) => rateLimit({
+  name: `auth-ip-${name}`,
+  windowMs: AUTH_WINDOW_MS,
+  max,
+  key: (req) => req.ip
+})
+const registerLimit = perIp('register')
+const loginLimit = perIp('login')
+const refreshLimit = perIp('refresh', Number(process.env.AUTH_REFRESH_RATE_LIMIT_PER_IP || 600))
+const resetLimit = perIp('password-reset')
+const resetConfirmLimit = perIp('password-reset-confirm')
+const perAccount = (name) => rateLimit({
+  name: `auth-account-${name}`,
+  windowMs: AUTH_WINDOW_MS,
+  max: Number(process.env.AUTH_RATE_LIMIT_PER_ACCOUNT || 10),
+  key: (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null)
+})
+const loginAccountLimit = perAccount('login')
+const resetAccountLimit = perAccount('password-reset')
+
+// Hash (mismo coste que los de /register) contra el que se compara si el email no existe:
+// así el login tarda lo mismo y no revela qué cuentas existen
+const DUMMY_PASSWORD_HASH = '$2a$10$lDW.Qv6i757ps6.F7Qy40O6qstDhpdyE3Z37ARWVWmBYjg.kqlZhO'
 
 const LoginSchema = z.object({
   email: z.string().email(),
@@ -20,15 +63,81 @@ const RegisterSchema = z.object({
   name: z.string().min(2),
   email: z.string().email(),
   password: z.string().min(6),
+  locale: z.enum(LOCALES).optional(),
+  units: z.enum(UNITS).optional(),
+})
+
+const ChangePasswordSchema = z.object({
+  currentPassword: z.string().min(1),
+  newPassword: z.string().min(6),
+}).refine(d => d.currentPassword !== d.newPassword, { message: 'SAME_PASSWORD', path: ['newPassword'] })
+
+const ResetRequestSchema = z.object({
+  email: z.string().email(),
+})
+
+const ResetConfirmSchema = z.object({
+  token: z.string().min(1),
+  password: z.string().min(6),
 })
 
+// Solo los campos enviados (al menos uno); null vuelve al valor negociado/por defecto
+const PREFERENCE_COLUMNS = ['locale', 'units']
+const PreferencesSchema = z.object({
+  locale: z.enum(LOCALES).nullable().optional(),
+  units: z.enum(UNITS).nullable().optional(),
+}).refine(d => PREFERENCE_COLUMNS.some(k => d[k] !== undefined), 'EMPTY_PATCH')
+
+// Payload del JWT (y de la respuesta) a partir de una fila de users + roles
+export const tokenUser = (u) => ({
+  id: u.id, name: u.name, email: u.email, role: u.role, roles: [u.role],
+  locale: u.locale ?? null, units: u.units ?? null,
+  mustChangePassword: Boolean(u.must_change_password)
+})
+
+async function loadTokenUser(id) {
+  const [u] = await query(
+    `SELECT u.id, u.name, u.email, u.locale, u.units, u.must_change_password, r.slug AS role
+       FROM users u
+       JOIN roles r ON r.id = u.role_id
+      WHERE u.id = :id`,
+    { id }
+  )
+  return u ? tokenUser(u) : null
+}
+
+// ===== Cookies httpOnly =====
+// `token` (access, toda la API) y `refresh_token` (solo /api/auth)
+const REFRESH_COOKIE = 'refresh_token'
+const cookieBase = () => ({ httpOnly: true, sameSite: 'lax', secure: process.env.NODE_ENV === 'production' })
+
+function setAccessToken(res, user, sid) {
+  const token = signAccessToken(user, sid)
+  const expires = new Date(jwt.decode(token).exp * 1000)
+  res.cookie('token', token, { ...cookieBase(), path: '/', expires })
+  return { token, expiresAt: expires.toISOString() }
+}
+
+// Access + refresh de una sesión; también van en el cuerpo para clientes sin cookies
+function issueTokens(res, user, { sid, refreshToken, refreshExpiresAt }) {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieBase(), path: '/api/auth', expires: new Date(refreshExpiresAt) })
+  return { user, ...setAccessToken(res, user, sid), refreshToken, refreshExpiresAt }
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('token', { ...cookieBase(), path: '/' })
+  res.clearCookie(REFRESH_COOKIE, { ...cookieBase(), path: '/api/auth' })
+}
+
+const refreshTokenFrom = (req) => req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE] || null
+
 // POST /api/auth/register
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimit, async (req, res) => {
   try {
     const parsed = RegisterSchema.safeParse(req.body)
     if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST' })
 
-    const { name, email, password } = parsed.data
+    const { name, email, password, locale = null, units = null } = parsed.data
 
 // Database operation
     const [exists] = await query('SELECT id FROM users WHERE email = :email', { email })
@@ -37,21 +146,20 @@ router.post('/register', async (req, res) => {
     const hash = await bcrypt.hash(password, 10)
     // role_id usa DEFAULT (2 = customer) según tu schema
     await query(
-      'INSERT INTO users (name, email, password_hash) VALUES (:name, :email, :hash)',
-      { name, email, hash }
+      'INSERT INTO users (name, email, password_hash, locale, units) VALUES (:name, :email, :hash, :locale, :units)',
+      { name, email, hash, locale, units }
     )
 
 // Database operation
     const [u] = await query(
-      `SELECT u.id, u.name, u.email, r.slug AS role
+      `SELECT u.id, u.name, u.email, u.locale, u.units, u.must_change_password, r.slug AS role
          FROM users u
          JOIN roles r ON r.id = u.role_id
         WHERE u.id = LAST_INSERT_ID()`
     )
 
-    const user = { id: u.id, name: u.name, email: u.email, role: u.role, roles: [u.role] }
-    const token = jwt.sign(user, JWT_SECRET, { expiresIn: '7d' })
-    res.status(201).json({ user, token })
+    const user = tokenUser(u)
+    res.status(201).json(issueTokens(res, user, await createSession(user.id)))
   } catch (err) {
     console.error(err)
     res.status(500).json({ error: 'AUTH_ERROR' })
@@ -59,7 +167,7 @@ router.post('/register', async (req, res) => {
 })
 
 // POST /api/auth/login
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimit, loginAccountLimit, async (req, res) => {
   try {
     const parsed = LoginSchema.safeParse(req.body)
     if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST' })
@@ -67,23 +175,209 @@ router.post('/login', async (req, res) => {
     const { email, password } = parsed.data
 // Database operation
     const [u] = await query(
-      `SELECT u.id, u.name, u.email, u.password_hash, r.slug AS role
+      `SELECT u.id, u.name, u.email, u.password_hash, u.locale, u.units, u.must_change_password,
+              u.failed_logins, u.lockout_count, u.locked_until, r.slug AS role
          FROM users u
          JOIN roles r ON r.id = u.role_id
         WHERE u.email = :email`,
       { email }
     )
-    if (!u) return res.status(401).json({ error: 'INVALID_CREDENTIALS' })
+    const audit = { userId: u?.id ?? null, email, ip: req.ip }
+    if (!u) {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH)
+      await recordAuthEvent('login_failed', audit)
+      return res.status(401).json({ error: 'INVALID_CREDENTIALS' })
+    }
+
+    // Cuenta bloqueada: ni siquiera se comprueba la contraseña
+    const locked = lockedFor(u)
+    if (locked) {
+      await recordAuthEvent('locked_attempt', audit)
+      return tooManyRequests(res, locked, 'ACCOUNT_LOCKED')
+    }
 
     const ok = await bcrypt.compare(password, u.password_hash)
+    if (!ok) {
+      await recordAuthEvent('login_failed', audit)
+      const { seconds, lockedNow } = await registerFailedLogin(u)
+      if (!seconds) return res.status(401).json({ error: 'INVALID_CREDENTIALS' })
+      if (lockedNow) await recordAuthEvent('lockout', audit)
+      return tooManyRequests(res, seconds, 'ACCOUNT_LOCKED')
+    }
+
+    await resetFailedLogins(u)
+    await recordAuthEvent('login_success', audit)
+    const user = tokenUser(u)
+    res.json(issueTokens(res, user, await createSession(user.id)))
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'AUTH_ERROR' })
+  }
+})
+
+// POST /api/auth/refresh: refresh token (cookie o body.refreshToken) → tokens nuevos de la misma sesión
+router.post('/refresh', refreshLimit, async (req, res) => {
+  try {
+    const session = await rotateSession(refreshTokenFrom(req))
+    const user = session && await loadTokenUser(session.userId)
+    if (!user) {
+      clearAuthCookies(res)
+      return res.status(401).json({ error: 'INVALID_REFRESH_TOKEN' })
+    }
+    res.json(issueTokens(res, user, session))
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'AUTH_ERROR' })
+  }
+})
+
+// POST /api/auth/logout: cierra la sesión del refresh token o, si no llega, la del access token
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = refreshTokenFrom(req)
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken)
+    } else {
+      const m = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i)
+      const token = m?.[1] || req.cookies?.token
+      let claims = null
+      try { claims = token ? verifyAccessToken(token) : null } catch {}
+      if (claims?.sid) await revokeSession(claims.sid, claims.id)
+    }
+    clearAuthCookies(res)
+    res.status(204).end()
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'AUTH_ERROR' })
+  }
+})
+
+// POST /api/auth/logout-all (montado en server.js tras `auth`): cierra todas las sesiones del usuario
+export async function logoutAll(req, res) {
+  try {
+    const revoked = await revokeUserSessions(req.user.id)
+    clearAuthCookies(res)
+    res.json({ ok: true, revoked })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'AUTH_ERROR' })
+  }
+}
+
+// ===== Contraseñas =====
+// Cambiar o recuperar la contraseña cierra todas las sesiones abiertas del usuario
+// y levanta un bloqueo por logins fallidos.
+async function setPassword(userId, password) {
+  const hash = await bcrypt.hash(password, 10)
+  await query(
+    `UPDATE users
+        SET password_hash = :hash, must_change_password = 0,
+            failed_logins = 0, lockout_count = 0, locked_until = NULL
+      WHERE id = :id`,
+    { hash, id: userId }
+  )
+  await revokeUserSessions(userId)
+}
+
+// POST /api/auth/change-password (montado en server.js tras `authToken`: es lo único,
+// junto con logout, que puede hacer un usuario con mustChangePassword).
+// Abre una sesión nueva para que quien cambió la contraseña siga conectado.
+export async function changePassword(req, res) {
+  try {
+    const parsed = ChangePasswordSchema.safeParse(req.body)
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+
+    const [u] = await query('SELECT password_hash FROM users WHERE id = :id', { id: req.user.id })
+    if (!u) return res.status(404).json({ error: 'NOT_FOUND' })
+    const ok = await bcrypt.compare(parsed.data.currentPassword, u.password_hash)
     if (!ok) return res.status(401).json({ error: 'INVALID_CREDENTIALS' })
 
-    const user = { id: u.id, name: u.name, email: u.email, role: u.role, roles: [u.role] }
-    const token = jwt.sign(user, JWT_SECRET, { expiresIn: '7d' })
+    await setPassword(req.user.id, parsed.data.newPassword)
+    const user = await loadTokenUser(req.user.id)
+    res.json(issueTokens(res, user, await createSession(user.id)))
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'AUTH_ERROR' })
+  }
+}
+
+const RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password'
+
+const RESET_MAIL = {
+  es: {
+    subject: 'Restablecer tu contraseña de SkyCare',
+    text: (name, link, expires) => `Hola ${name}:\n\nPara elegir una contraseña nueva abre este enlace:\n${link}\n\nVence el ${expires} (UTC) y solo sirve una vez. Si no lo pediste, ignora este correo.`
+  },
+  en: {
+    subject: 'Reset your SkyCare password',
+    text: (name, link, expires) => `Hi ${name},\n\nTo choose a new password open this link:\n${link}\n\nIt expires on ${expires} (UTC) and works only once. If you did not ask for it, ignore this email.`
+  },
+  pt: {
+    subject: 'Redefinir sua senha do SkyCare',
+    text: (name, link, expires) => `Olá ${name},\n\nPara escolher uma nova senha abra este link:\n${link}\n\nVence em ${expires} (UTC) e só pode ser usado uma vez. Se você não pediu, ignore este e-mail.`
+  }
+}
+
+// POST /api/auth/password-reset: siempre 202, exista o no el email (no revela cuentas).
+// Se responde antes de buscar al usuario y enviar el correo, para que el tiempo de
+// respuesta tampoco dependa de si la cuenta existe.
+router.post('/password-reset', resetLimit, resetAccountLimit, (req, res) => {
+  const parsed = ResetRequestSchema.safeParse(req.body)
+  if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+
+  res.status(202).json({ ok: true })
+  sendResetMail(parsed.data.email, getLocale(req))
+    .catch(err => console.warn('PASSWORD_RESET_MAIL_WARN:', err?.message || err))
+})
+
+async function sendResetMail(email, requestLocale) {
+  const [u] = await query('SELECT id, name, email, locale FROM users WHERE email = :email', { email })
+  if (!u) return
+  const { token, expiresAt } = await createResetToken(u.id)
+  const mail = localized(RESET_MAIL, normalizeLocale(u.locale) ?? requestLocale)
+  const link = `${RESET_URL}?token=${encodeURIComponent(token)}`
+  await sendMail({
+    to: u.email,
+    subject: mail.subject,
+    text: mail.text(u.name, link, expiresAt.slice(0, 16).replace('T', ' '))
+  })
+}
+
+// POST /api/auth/password-reset/confirm: token del correo + contraseña nueva
+router.post('/password-reset/confirm', resetConfirmLimit, async (req, res) => {
+  try {
+    const parsed = ResetConfirmSchema.safeParse(req.body)
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+
+    const userId = await consumeResetToken(parsed.data.token)
+    if (!userId) return res.status(400).json({ error: 'INVALID_RESET_TOKEN' })
 
-    res.json({ user, token })
+    await setPassword(userId, parsed.data.password)
+    clearAuthCookies(res)
+    res.json({ ok: true })
   } catch (err) {
     console.error(err)
     res.status(500).json({ error: 'AUTH_ERROR' })
   }
 })
+
+// PATCH /api/auth/me (montado en server.js tras `auth`): preferencias del usuario (locale, units).
+// Devuelve un access token nuevo (misma sesión) porque las preferencias viajan en el JWT.
+export async function updatePreferences(req, res) {
+  try {
+    const parsed = PreferencesSchema.safeParse(req.body)
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+
+    const fields = PREFERENCE_COLUMNS.filter(k => parsed.data[k] !== undefined)
+    const sets = fields.map(k => `${k} = :${k}`).join(', ')
+    const params = Object.fromEntries(fields.map(k => [k, parsed.data[k]]))
+    await query(`UPDATE users SET ${sets} WHERE id = :id`, { ...params, id: req.user.id })
+    const user = await loadTokenUser(req.user.id)
+    if (!user) return res.status(404).json({ error: 'NOT_FOUND' })
+
+    res.json({ user, ...setAccessToken(res, user, req.user.sid) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'AUTH_ERROR' })
+  }
+}
@@ -2,77 +2,85 @@
 import { Router } from 'express'
 import { z } from 'zod'
 import { DateTime } from 'luxon'
-import { query } from '../lib/db.js'
+import { query, withTransaction } from '../lib/db.js'
+import { getUserId, authorizedCompany, roleAtLeast } from '../lib/ownership.js'
+import { defaultOrganization, memberRole } from '../lib/organizations.js'
+import { router as sitesRouter, resolveWorkTarget } from './sites.js'
+import { router as alertsRouter } from './alerts.js'
+import { router as threadsRouter, loadThread, createThread, threadContext, touchThread } from './threads.js'
 import {
   getRealtime,
   getForecast,
   normalizeRealtimePayload,
   scheduleToUTCWindow,
   summarizeForecastWindow,
+  summarizeForecastWindows,
+  hoursInWindows,
+  normalizeValues,
+  normalizeDailyValues,
   resolveTimezone
 } from '../lib/weather.js'
-import { quickRules } from '../lib/recommendations.js'
+import { quickRules, riskLevelFromText } from '../lib/recommendations.js'
+import {
+  assessRisk, factsFromRealtime, factsFromDaily, reconcileRiskLevel, describeHazards, localizeAssessment, maxLevel
+} from '../lib/risk.js'
+import { notify } from '../lib/webhooks.js'
+import { heatStressFromHours, heatStressFromRealtime } from '../lib/heat.js'
+import { findBestWindows, MAX_HORIZON_HOURS } from '../lib/slots.js'
+import { buildShifts, expandScheduleDates, normalizeShiftHours } from '../lib/schedule.js'
+import { parseSchedule, MIN_CONFIDENCE as PARSER_MIN_CONFIDENCE } from '../lib/schedule-parser.js'
+import { isOfflineLLM } from '../lib/llm.js'
+import { getLocale, t } from '../lib/i18n.js'
+import { dailyQuotaCheck } from '../lib/rate-limit.js'
+import {
+  UNITS, getUnits, convertValues, convertFacts, convertHeatStress, convertAssessment, convertWindows, valueUnits
+} from '../lib/units.js'
 import {
   extractScheduleFromMessage,
-  generateCompanyRecommendations
+  generateStructuredRecommendations,
+  streamCompanyRecommendations,
+  structureRecommendationText,
+  overrideRiskLevel,
+  RecommendationSchema
 } from '../lib/openai.js'
 
 export const router = Router()
 
-// ----- helpers -----
-function getUserId(req) {
-  const v = req.user?.id ?? req.headers['x-user-id']
-  const n = Number(v)
-  return Number.isFinite(n) && n > 0 ? n : null
-}
-
-async function loadOwnedCompany(id, userId) {
-  const [row] = await query(
-    'SELECT * FROM companies WHERE id = :id AND user_id = :uid',
-    { id, uid: userId }
-  )
-  return row || null
-}
-
-// Fecha relativa en español (hoy/mañana/pasado/este|próximo <día>)
-function resolveRelativeDateES(msg, tz) {
-  const s = String(msg || '').toLowerCase().normalize('NFD').replace(/\p{Diacritic}/gu, '')
-  const now = DateTime.now().setZone(tz)
-
-  // Orden: "pasado mañana" antes que "mañana"
-  if (/\bpasado\s+manana\b/.test(s)) return now.plus({ days: 2 }).toISODate()
-  if (/\bmanana\b/.test(s)) return now.plus({ days: 1 }).toISODate()
-  if (/\bhoy\b/.test(s)) return now.toISODate()
-
-  const DOW = ['domingo','lunes','martes','miercoles','jueves','viernes','sabado']
-  const m = s.match(/\b(este|proximo|prox|pr[oó]x|el)?\s*(domingo|lunes|martes|miercoles|jueves|viernes|sabado)\b/)
-  if (m) {
-    const tgt = DOW.indexOf(m[2])                 // 0..6 (domingo..sabado)
-    const cur0 = now.weekday % 7                  // 1..7 → 1..6,0 (domingo)
-    const wantsNext = /\b(?:proximo|prox|pr[oó]x)\b/.test(m[1] || '')
-    let delta = (tgt - cur0 + 7) % 7
-    if (wantsNext && delta === 0) delta = 7       // "próximo <día>" si es hoy → +7
-    return now.plus({ days: delta }).toISODate()
-  }
-  return null
-}
-
 // ----- validation -----
 const CompanySchema = z.object({
   name: z.string().min(2),
   activity: z.string().min(2),
   address: z.string().optional().nullable(),
   lat: z.number().min(-90).max(90),
-  lon: z.number().min(-180).max(180)
+  lon: z.number().min(-180).max(180),
+  // Unidades por defecto de las respuestas de esta empresa (null = las del usuario)
+  units: z.enum(UNITS).optional().nullable()
 })
 
-// ===== Companies CRUD (scoped by user) =====
+// Alta: opcionalmente en una organización concreta (hace falta ser manager u owner)
+const CompanyCreateSchema = CompanySchema.extend({
+  organizationId: z.number().int().positive().optional()
+})
+
+// PATCH: solo los campos enviados (al menos uno)
+const CompanyPatchSchema = CompanySchema.partial().refine(
+  d => Object.values(d).some(v => v !== undefined),
+  'EMPTY_PATCH'
+)
+
+const COMPANY_COLUMNS = ['name', 'activity', 'address', 'lat', 'lon', 'units']
+
+// ===== Companies CRUD (scoped by organization membership) =====
 router.get('/', async (req, res) => {
   try {
     const uid = getUserId(req)
     if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    // Empresas de todas las organizaciones del usuario, con su rol en cada una
     const rows = await query(
-      'SELECT * FROM companies WHERE user_id = :uid ORDER BY id DESC',
+      `SELECT c.*, m.role AS member_role
+         FROM companies c
+         JOIN organization_members m ON m.organization_id = c.organization_id AND m.user_id = :uid
+        ORDER BY c.id DESC`,
       { uid }
     )
     res.json(rows)
@@ -87,16 +95,26 @@ router.post('/', async (req, res) => {
     const uid = getUserId(req)
     if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
 
-    const parsed = CompanySchema.safeParse(req.body)
+    const parsed = CompanyCreateSchema.safeParse(req.body)
     if (!parsed.success) {
       return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
     }
-    const { name, activity, address = null, lat, lon } = parsed.data
+    const { name, activity, address = null, lat, lon, units = null, organizationId } = parsed.data
+
+    // Sin organizationId va a la organización por defecto del usuario (se crea si no tiene)
+    let orgId = organizationId
+    if (orgId) {
+      const role = await memberRole(orgId, uid)
+      if (!role) return res.status(404).json({ error: 'ORGANIZATION_NOT_FOUND' })
+      if (!roleAtLeast(role, 'manager')) return res.status(403).json({ error: 'FORBIDDEN' })
+    } else {
+      orgId = await defaultOrganization(uid)
+    }
 
     await query(
-      `INSERT INTO companies (user_id, name, activity, address, lat, lon)
-       VALUES (:uid, :name, :activity, :address, :lat, :lon)`,
-      { uid, name, activity, address, lat, lon }
+      `INSERT INTO companies (user_id, organization_id, name, activity, address, lat, lon, units)
+       VALUES (:uid, :orgId, :name, :activity, :address, :lat, :lon, :units)`,
+      { uid, orgId, name, activity, address, lat, lon, units }
     )
     const [company] = await query('SELECT * FROM companies WHERE id = LAST_INSERT_ID()')
     res.status(201).json(company)
@@ -108,10 +126,8 @@ router.post('/', async (req, res) => {
 
 router.get('/:id', async (req, res) => {
   try {
-    const uid = getUserId(req)
-    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
-    const company = await loadOwnedCompany(req.params.id, uid)
-    if (!company) return res.status(404).json({ error: 'NOT_FOUND' })
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
     res.json(company)
   } catch (err) {
     console.error(err)
@@ -119,14 +135,56 @@ router.get('/:id', async (req, res) => {
   }
 })
 
+async function updateOwnedCompany(req, res, schema) {
+  try {
+    const company = await authorizedCompany(req, res, 'manage')
+    if (!company) return
+
+    const parsed = schema.safeParse(req.body)
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    }
+    const data = { ...parsed.data }
+    if (schema === CompanySchema) {
+      if (data.address === undefined) data.address = null
+      if (data.units === undefined) data.units = null
+    }
+
+    const fields = COMPANY_COLUMNS.filter(k => data[k] !== undefined)
+    const sets = fields.map(k => `${k} = :${k}`).join(', ')
+    const params = Object.fromEntries(fields.map(k => [k, data[k]]))
+
+    await query(
+      `UPDATE companies SET ${sets} WHERE id = :id`,
+      { ...params, id: company.id }
+    )
+    const [updated] = await query('SELECT * FROM companies WHERE id = :id', { id: company.id })
+    res.json(updated)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+}
+
+// PUT reemplaza el perfil completo; PATCH solo toca los campos enviados
+router.put('/:id', (req, res) => updateOwnedCompany(req, res, CompanySchema))
+router.patch('/:id', (req, res) => updateOwnedCompany(req, res, CompanyPatchSchema))
+
+// ===== Sites (sedes de trabajo por empresa) =====
+router.use('/:id/sites', sitesRouter)
+
+// ===== Alertas proactivas (reglas + eventos) =====
+router.use('/:id/alerts', alertsRouter)
+
+// ===== Hilos de conversación (listado/detalle; continuar = POST .../messages) =====
+router.use('/:id/threads', threadsRouter)
+
 router.delete('/:id', async (req, res) => {
   try {
-    const uid = getUserId(req)
-    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
-    const company = await loadOwnedCompany(req.params.id, uid)
-    if (!company) return res.status(404).json({ error: 'NOT_FOUND' })
+    const company = await authorizedCompany(req, res, 'delete')
+    if (!company) return
 
-    const r = await query('DELETE FROM companies WHERE id = :id AND user_id = :uid', { id: company.id, uid })
+    const r = await query('DELETE FROM companies WHERE id = :id', { id: company.id })
     if (!r.affectedRows) return res.status(404).json({ error: 'NOT_FOUND' })
     res.status(204).end()
   } catch (err) {
@@ -139,46 +197,193 @@ router.delete('/:id', async (req, res) => {
 // ===== Weather (scoped) =====
 router.get('/:id/weather', async (req, res) => {
   try {
-    const uid = getUserId(req)
-    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
+
+    const resolved = await resolveWorkTarget(company, req.query.siteId)
+    if (!resolved) return res.status(404).json({ error: 'SITE_NOT_FOUND' })
+    const { target, site } = resolved
+
+    // Se pide siempre en métrico (motor de riesgo y estrés térmico) y se convierte al responder
+    const units = getUnits(req, target)
+    const locale = getLocale(req)
+    const realtime = await getRealtime({ lat: target.lat, lon: target.lon, units: 'metric' })
+    const normalized = normalizeRealtimePayload(realtime, locale)
+    const weather = convertValues(normalized, units)
+    const rules = quickRules(weather, locale, units)
+    const risk = convertAssessment(localizeAssessment(assessRisk(factsFromRealtime(normalized), target.activity), locale), units)
+    const heatStress = convertHeatStress(heatStressFromRealtime(normalized), units)
+
+    res.set({ 'Cache-Control': 'public, max-age=60', Vary: 'Accept-Language' })
+    res.json({
+      company, site, locale, units, unidades: valueUnits(units),
+      weather, rules, risk, heatStress, provider: realtime?.provider ?? null
+    })
+  } catch (err) {
+    console.error(err?.response?.data || err)
+    res.set('Cache-Control', 'public, max-age=60')
+    res.status(500).json({ error: 'WEATHER_ERROR' })
+  }
+})
 
-    const company = await loadOwnedCompany(req.params.id, uid)
-    if (!company) return res.status(404).json({ error: 'NOT_FOUND' })
+// ===== Forecast timeline (scoped) =====
+const FORECAST_MAX_HOURS = 120
+const FORECAST_MAX_DAYS = 15
 
-    const units = req.query.units === 'imperial' ? 'imperial' : 'metric'
-    const realtime = await getRealtime({ lat: company.lat, lon: company.lon, units })
-    const normalized = normalizeRealtimePayload(realtime)
-    const rules = quickRules(normalized)
+// from/to: ISO (fecha u hora) interpretado en la zona horaria del punto de trabajo
+function parseLocal(v, tz) {
+  if (!v) return null
+  const dt = DateTime.fromISO(String(v), { zone: tz })
+  return dt.isValid ? dt : undefined
+}
 
-    res.set('Cache-Control', 'public, max-age=60')
-    res.json({ company, weather: normalized, rules })
+router.get('/:id/forecast', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
+
+    const resolved = await resolveWorkTarget(company, req.query.siteId)
+    if (!resolved) return res.status(404).json({ error: 'SITE_NOT_FOUND' })
+    const { target, site } = resolved
+
+    const timesteps = req.query.timesteps === '1d' ? '1d' : '1h'
+    const units = getUnits(req, target)
+    const locale = getLocale(req)
+    const tz = resolveTimezone(target.lat, target.lon, target.timezone)
+
+    const from = parseLocal(req.query.from, tz)
+    const to   = parseLocal(req.query.to, tz)
+    if (from === undefined || to === undefined) return res.status(400).json({ error: 'BAD_RANGE' })
+
+    const now = DateTime.now().setZone(tz)
+    const start = (from || now).startOf(timesteps === '1d' ? 'day' : 'hour')
+    let end = to || (timesteps === '1d' ? start.plus({ days: 5 }) : start.plus({ hours: 24 }))
+    if (end <= start) return res.status(400).json({ error: 'BAD_RANGE' })
+    const maxEnd = timesteps === '1d' ? start.plus({ days: FORECAST_MAX_DAYS }) : start.plus({ hours: FORECAST_MAX_HOURS })
+    if (end > maxEnd) end = maxEnd
+
+    const startISO = start.toUTC().toISO()
+    const endISO = end.toUTC().toISO()
+    const raw = await getForecast({
+      lat: target.lat, lon: target.lon, units: 'metric', timesteps,
+      startTime: startISO, endTime: endISO
+    })
+
+    const series = timesteps === '1d'
+      ? (raw?.timelines?.daily || raw?.data?.timelines?.daily || [])
+      : hoursInWindows(raw, [{ startISO, endISO }])
+
+    const items = series
+      .filter(p => timesteps === '1h' || (p.time >= startISO.slice(0, 10) && p.time <= endISO))
+      .map(p => {
+        const v = p.values || p.value || {}
+        const values = timesteps === '1d' ? normalizeDailyValues(v, locale) : normalizeValues(v, locale)
+        const local = DateTime.fromISO(p.time, { zone: 'utc' }).setZone(tz)
+        const risk = assessRisk(timesteps === '1d' ? factsFromDaily(values) : factsFromRealtime(values), target.activity)
+        return {
+          time: p.time,
+          local: timesteps === '1d' ? local.toISODate() : local.toISO({ suppressMilliseconds: true }),
+          ...convertValues(values, units),
+          riesgo: risk.nivel,
+          flags: convertAssessment(localizeAssessment(risk, locale), units).hazards.filter(h => h.nivel !== 'Bajo')
+        }
+      })
+
+    res.set({ 'Cache-Control': 'public, max-age=60', Vary: 'Accept-Language' })
+    res.json({
+      company, site, tz, timesteps, units, unidades: valueUnits(units), locale,
+      from: start.toISO(), to: end.toISO(),
+      provider: raw?.provider ?? null,
+      coarse: raw?.coarse ?? null,
+      items
+    })
   } catch (err) {
     console.error(err?.response?.data || err)
-    res.set('Cache-Control', 'public, max-age=60')
-    res.status(500).json({ error: 'WEATHER_ERROR' })
+    res.status(500).json({ error: 'FORECAST_ERROR' })
   }
 })
 
-// ===== Historial (scoped) =====
-router.get('/:id/historial', async (req, res) => {
+// ===== Best windows: franjas más seguras para una tarea =====
+const HHMM = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/)
+const BestWindowsSchema = z.object({
+  activity: z.string().min(2).optional(),
+  duration: z.coerce.number().int().min(1).max(24).default(4),
+  horizon: z.coerce.number().int().min(1).max(MAX_HORIZON_HOURS).default(72),
+  workStart: HHMM.default('06:00'),
+  workEnd: HHMM.default('18:00'),
+  limit: z.coerce.number().int().min(1).max(10).default(3),
+  siteId: z.coerce.number().int().positive().optional()
+})
+
+router.get('/:id/best-windows', async (req, res) => {
   try {
-    const uid = getUserId(req)
-    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
 
-    const company = await loadOwnedCompany(req.params.id, uid)
-    if (!company) return res.status(404).json({ error: 'NOT_FOUND' })
+    const parsed = BestWindowsSchema.safeParse(req.query)
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    }
+    const { activity, duration, horizon, workStart, workEnd, limit, siteId } = parsed.data
+
+    const resolved = await resolveWorkTarget(company, siteId)
+    if (!resolved) return res.status(404).json({ error: 'SITE_NOT_FOUND' })
+    const { target, site } = resolved
+
+    const tz = resolveTimezone(target.lat, target.lon, target.timezone)
+    const units = getUnits(req, target)
+    const actividad = activity || target.activity
+    const result = await findBestWindows({
+      lat: target.lat, lon: target.lon, tz, activity: actividad,
+      durationHours: duration, horizonHours: horizon, workStart, workEnd, limit
+    })
 
-    const limit  = Math.min(Number(req.query.limit ?? 50), 200)
-    const offset = Math.max(Number(req.query.offset ?? 0), 0)
+    res.json({
+      company, site, tz, units,
+      actividad, duration, workStart, workEnd,
+      ...convertWindows(result, units)
+    })
+  } catch (err) {
+    console.error(err?.response?.data || err)
+    res.status(500).json({ error: 'BEST_WINDOWS_ERROR' })
+  }
+})
 
-    const rows = await query(
-      `SELECT id, ts, prompt, schedule, response
-         FROM historial
-        WHERE user_id = :uid AND company_id = :cid
-        ORDER BY ts DESC
-        LIMIT ${limit} OFFSET ${offset}`,
-      { uid, cid: company.id }
-    )
+// ===== Historial (scoped) =====
+// Cada entrada queda a nombre de quien preguntó. Managers y owners ven las del equipo
+// (?userId= filtra por miembro); los viewers solo las suyas.
+function historialScope(req, company) {
+  const uid = getUserId(req)
+  if (!roleAtLeast(req.memberRole, 'manager')) {
+    return { where: 'h.user_id = :uid AND h.company_id = :cid', params: { uid, cid: company.id } }
+  }
+  const member = Number(req.query.userId)
+  if (Number.isInteger(member) && member > 0) {
+    return { where: 'h.user_id = :uid AND h.company_id = :cid', params: { uid: member, cid: company.id } }
+  }
+  return { where: 'h.company_id = :cid', params: { cid: company.id } }
+}
+
+async function listHistorial(req, company) {
+  const limit  = Math.min(Number(req.query.limit ?? 50), 200)
+  const offset = Math.max(Number(req.query.offset ?? 0), 0)
+  const { where, params } = historialScope(req, company)
+  return query(
+    `SELECT h.id, h.user_id, u.name AS user_name, h.site_id, h.ts, h.prompt, h.schedule, h.response, h.response_json
+       FROM historial h
+       LEFT JOIN users u ON u.id = h.user_id
+      WHERE ${where}
+      ORDER BY h.ts DESC
+      LIMIT ${limit} OFFSET ${offset}`,
+    params
+  )
+}
+
+router.get('/:id/historial', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
+    const rows = await listHistorial(req, company)
     res.json(rows)
   } catch (e) {
     console.warn('historial_LIST_ERROR:', e)
@@ -188,12 +393,11 @@ router.get('/:id/historial', async (req, res) => {
 
 router.delete('/:id/historial', async (req, res) => {
   try {
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
     const uid = getUserId(req)
-    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
-
-    const company = await loadOwnedCompany(req.params.id, uid)
-    if (!company) return res.status(404).json({ error: 'NOT_FOUND' })
 
+    // Solo borra las entradas propias, también para managers y owners
     const r = await query(
       'DELETE FROM historial WHERE user_id = :uid AND company_id = :cid',
       { uid, cid: company.id }
@@ -205,119 +409,394 @@ router.delete('/:id/historial', async (req, res) => {
   }
 })
 
-// ===== Advanced query (Tomorrow.io exact window + persist historial) =====
-router.post('/:id/advanced-query', async (req, res) => {
-  try {
-    const uid = getUserId(req)
-    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+// ===== Advanced query (ventanas exactas por turno + persist historial) =====
+// Etapas compartidas por la respuesta JSON y la variante SSE (/stream)
 
-    const company = await loadOwnedCompany(req.params.id, uid)
-    if (!company) return res.status(404).json({ error: 'NOT_FOUND' })
-
-    const message = String(req.body?.message || '').trim()
-    if (!message) return res.status(400).json({ error: 'Mensaje vacío' })
-
-    // 1) Extraer horario del mensaje
-    const extracted = await extractScheduleFromMessage(message, company)
-
-    // 2) Zona horaria
-    const tz = resolveTimezone(company.lat, company.lon, extracted.zonaHoraria)
-
-    // 3) Resolver fecha (relativos o explícita) y evitar pasado
-    const today = DateTime.now().setZone(tz).startOf('day')
-    const rel = resolveRelativeDateES(message, tz)
-    let fechaDT = rel
-      ? DateTime.fromISO(rel, { zone: tz })
-      : (extracted.fecha ? DateTime.fromISO(extracted.fecha, { zone: tz }) : null)
-    if (!fechaDT?.isValid) fechaDT = today
-    if (!rel && fechaDT < today) fechaDT = today
-
-    // 4) Schedule normalizado
-    const schedule = {
-      actividad: extracted.actividad ?? company.activity ?? null,
-      fecha: fechaDT.toISODate(),
-      horaInicio: extracted.horaInicio || '08:00',
-      horaFin:    extracted.horaFin    || '17:00',
-      zonaHoraria: extracted.zonaHoraria ?? tz
-    }
+// Valida empresa, mensaje, hilo y sede y consume el cupo diario; si algo falla responde y devuelve null
+async function loadAdvancedQueryInput(req, res) {
+  const company = await authorizedCompany(req, res, 'query')
+  if (!company) return null
+  const uid = getUserId(req)
 
-    // 5) Ventana UTC exacta
-    const { tz: tzWindow, startISO, endISO } = scheduleToUTCWindow(
-      { fecha: schedule.fecha, horaInicio: schedule.horaInicio, horaFin: schedule.horaFin, zonaHoraria: schedule.zonaHoraria },
-      company.lat, company.lon
-    )
+  const locale = getLocale(req)
+  const message = String(req.body?.message || '').trim()
+  if (!message) { res.status(400).json({ error: t(locale, 'emptyMessage') }); return null }
 
-    const units = 'metric'
-    let raw = await getForecast({
-      lat: company.lat, lon: company.lon, units, timesteps: '1h',
-      startTime: startISO, endTime: endISO
+  // Hilo: si se continúa uno, sus turnos previos dan contexto a extractor y LLM
+  const threadInput = req.params.threadId ?? req.body?.threadId
+  const thread = threadInput != null ? await loadThread(threadInput, company.id, uid) : null
+  if (threadInput != null && !thread) { res.status(404).json({ error: 'THREAD_NOT_FOUND' }); return null }
+  const history = thread ? await threadContext(thread.id) : []
+  const previousSchedule = history.at(-1)?.schedule ?? null
+
+  // Sede opcional: coordenadas, zona horaria y actividad propias (por defecto, la del hilo)
+  const resolved = await resolveWorkTarget(company, req.body?.siteId ?? req.query.siteId ?? thread?.site_id)
+  if (!resolved) { res.status(404).json({ error: 'SITE_NOT_FOUND' }); return null }
+
+  // El cupo solo se gasta en consultas válidas y autorizadas
+  if (!(await advancedQueryQuota(req, res))) return null
+
+  const units = getUnits(req, resolved.target)
+  return { uid, company, message, locale, units, thread, history, previousSchedule, ...resolved }
+}
+
+/**
+ * Pasos 1–7: horario, forecast por turno, estrés térmico y motor de reglas.
+ * `progress(event, data)` recibe cada hito (schedule, timezone, forecast).
+ */
+async function planAdvancedQuery({ message, locale, units: outputUnits, target, history, previousSchedule }, progress = () => {}) {
+  // 1) Horario: parser determinista (partiendo del horario previo del hilo);
+  //    el LLM solo interviene si la confianza del parser es baja
+  const baseTz = resolveTimezone(target.lat, target.lon, target.timezone)
+  const parsed = parseSchedule(message, { tz: baseTz, previous: previousSchedule, locale })
+  let extracted = parsed
+  let scheduleSource = { source: 'rules', confidence: parsed.confianza }
+  if (parsed.confianza < PARSER_MIN_CONFIDENCE && !isOfflineLLM()) {
+    const today = DateTime.now().setZone(parsed.zonaHoraria || baseTz).toISODate()
+    const llm = await extractScheduleFromMessage(message, target, { history, previousSchedule, today, locale })
+    // Las fechas que sí reconoció el parser mandan (relativas ya resueltas)
+    extracted = { ...llm, fecha: parsed.fecha ?? llm.fecha, zonaHoraria: llm.zonaHoraria ?? parsed.zonaHoraria }
+    scheduleSource = { source: 'llm', confidence: parsed.confianza }
+  }
+  progress('schedule', { extracted, scheduleSource })
+
+  // 2) Zona horaria
+  const tz = resolveTimezone(target.lat, target.lon, extracted.zonaHoraria || target.timezone)
+  progress('timezone', { tz })
+
+  // 3) Fecha inicial (ya resuelta por el parser o el extractor), nunca en el pasado.
+  //    Con varios días ("lunes a viernes") manda el rango extraído.
+  const today = DateTime.now().setZone(tz).startOf('day')
+  const multiDay = Boolean(extracted.fechaFin) || (extracted.diasSemana?.length ?? 0) > 1
+  let fechaDT = extracted.fecha ? DateTime.fromISO(extracted.fecha, { zone: tz }) : null
+  if (!fechaDT?.isValid || fechaDT < today) fechaDT = today
+
+  // 4) Schedule normalizado: lista de turnos (fechas × franjas), incluidos nocturnos
+  const fechas = multiDay
+    ? expandScheduleDates({ desde: fechaDT, fechaFin: extracted.fechaFin, diasSemana: extracted.diasSemana, tz, today })
+    : [fechaDT.toISODate()]
+  const turnos = buildShifts(fechas, normalizeShiftHours(extracted))
+  const zonaHoraria = extracted.zonaHoraria ?? tz
+
+  // 5) Ventanas UTC exactas por turno; un solo forecast cubre todas
+  const windows = turnos.map(t => scheduleToUTCWindow({ ...t, zonaHoraria }, target.lat, target.lon))
+  const tzWindow = windows[0].tz
+  const startISO = windows.reduce((m, w) => (w.startISO < m ? w.startISO : m), windows[0].startISO)
+  const endISO   = windows.reduce((m, w) => (w.endISO > m ? w.endISO : m), windows[0].endISO)
+
+  const units = 'metric'
+  let raw = await getForecast({
+    lat: target.lat, lon: target.lon, units, timesteps: '1h',
+    startTime: startISO, endTime: endISO
+  })
+  let weatherFacts = summarizeForecastWindows(raw, windows)
+  let provider = raw?.provider ?? null
+  let factHours = hoursInWindows(raw, windows)
+
+  const actividad = extracted.actividad ?? target.activity ?? null
+  const schedule = {
+    actividad,
+    fecha: turnos[0].fecha,
+    horaInicio: turnos[0].horaInicio,
+    horaFin: turnos[0].horaFin,
+    zonaHoraria,
+    turnos: turnos.map((t, i) => {
+      const facts = summarizeForecastWindow(raw, windows[i].startISO, windows[i].endISO)
+      return { ...t, startISO: windows[i].startISO, endISO: windows[i].endISO, riesgo: assessRisk(facts, actividad).nivel, facts }
     })
-    let weatherFacts = summarizeForecastWindow(raw, startISO, endISO)
+  }
+
+  // 6) Fallbacks (6h y realtime)
+  if (!weatherFacts?.hours) {
+    const now = new Date().toISOString()
+    const end6 = new Date(Date.now() + 6 * 3600 * 1000).toISOString()
+    raw = await getForecast({ lat: target.lat, lon: target.lon, units, timesteps: '1h', startTime: now, endTime: end6 })
+    weatherFacts = summarizeForecastWindow(raw, now, end6)
+    provider = raw?.provider ?? null
+    factHours = hoursInWindows(raw, [{ startISO: now, endISO: end6 }])
 
-    // 6) Fallbacks (6h y realtime)
     if (!weatherFacts?.hours) {
-      const now = new Date().toISOString()
-      const end6 = new Date(Date.now() + 6 * 3600 * 1000).toISOString()
-      raw = await getForecast({ lat: company.lat, lon: company.lon, units, timesteps: '1h', startTime: now, endTime: end6 })
-      weatherFacts = summarizeForecastWindow(raw, now, end6)
-
-      if (!weatherFacts?.hours) {
-        const rt = await getRealtime({ lat: company.lat, lon: company.lon, units })
-        const v = rt?.data?.values || {}
-        weatherFacts = {
-          tz: tzWindow,
-          hours: 1,
-          tempMin: v.temperature ?? null, tempMax: v.temperature ?? null,
-          windMax_ms: v.windSpeed ?? 0, gustMax_ms: v.windGust ?? 0,
-          uvMax: v.uvIndex ?? 0, visMin_km: v.visibility ?? null,
-          precipProbMax: v.precipitationProbability ?? 0,
-          precipMmTotal: v.rainIntensity ?? v.precipitationIntensity ?? 0,
-          codes: v.weatherCode != null ? [v.weatherCode] : []
-        }
+      const rt = await getRealtime({ lat: target.lat, lon: target.lon, units })
+      const v = rt?.data?.values || {}
+      provider = rt?.provider ?? null
+      factHours = [{ time: rt?.data?.time ?? now, values: v }]
+      weatherFacts = {
+        tz: tzWindow,
+        hours: 1,
+        tempMin: v.temperature ?? null, tempMax: v.temperature ?? null,
+        windMax_ms: v.windSpeed ?? 0, gustMax_ms: v.windGust ?? 0,
+        uvMax: v.uvIndex ?? 0, visMin_km: v.visibility ?? null,
+        precipProbMax: v.precipitationProbability ?? 0,
+        precipMmTotal: v.rainIntensity ?? v.precipitationIntensity ?? 0,
+        codes: v.weatherCode != null ? [v.weatherCode] : [],
+        windMax_kmh: v.windSpeed != null ? +(v.windSpeed * 3.6).toFixed(1) : null,
+        gustMax_kmh: v.windGust != null ? +(v.windGust * 3.6).toFixed(1) : null
       }
     }
+  }
+
+  // Estrés térmico hora a hora (índice de calor, WBGT estimado, wind chill) y pautas por carga
+  weatherFacts.heatStress = heatStressFromHours(factHours)
+  progress('forecast', { schedule: scheduleInUnits(schedule, outputUnits), weatherFacts: convertFacts(weatherFacts, outputUnits), provider })
 
-    // 7) Recomendaciones y persistencia
-    const recommendations = await generateCompanyRecommendations({ company, schedule, weatherFacts })
+  // 7) Nivel del motor de reglas (el del peor turno) y, si es Alto, ventanas alternativas
+  //    que no sean Alto ni se solapen con los turnos pedidos
+  const risk = assessRisk(weatherFacts, actividad)
+  const engineLevel = risk.nivel && maxLevel(risk.nivel, ...schedule.turnos.map(t => t.riesgo))
 
+  let alternatives = null
+  if (engineLevel === 'Alto') {
+    const first = windows[0]
     try {
-      await query(
-        `INSERT INTO historial (user_id, company_id, prompt, schedule, response)
-         VALUES (:uid, :cid, :prompt, :schedule, :response)`,
+      alternatives = await findBestWindows({
+        lat: target.lat, lon: target.lon, tz: tzWindow, activity: actividad,
+        durationHours: Math.max(1, Math.round(first.endLocal.diff(first.startLocal, 'hours').hours)),
+        workStart: turnos[0].horaInicio, workEnd: turnos[0].horaFin,
+        avoid: windows, excludeLevels: ['Alto']
+      })
+    } catch (e) {
+      console.warn('BEST_WINDOWS_WARN:', e?.message || e)
+    }
+  }
+
+  return { schedule, scheduleSource, weatherFacts, provider, risk, engineLevel, alternatives }
+}
+
+// Horario con el resumen de cada turno en `units`
+function scheduleInUnits(schedule, units) {
+  return { ...schedule, turnos: schedule.turnos.map(t => ({ ...t, facts: convertFacts(t.facts, units) })) }
+}
+
+// Parte del plan que se devuelve al cliente, en su idioma y unidades (internamente todo es métrico)
+function presentPlan({ schedule, weatherFacts, risk, alternatives }, { locale, units }) {
+  return {
+    schedule: scheduleInUnits(schedule, units),
+    weatherFacts: convertFacts(weatherFacts, units),
+    risk: convertAssessment(localizeAssessment(risk, locale), units),
+    alternatives: convertWindows(alternatives, units)
+  }
+}
+
+// Contraste del nivel del LLM con el del motor de reglas (y reescritura si manda el motor)
+function checkRecommendationRisk(rec, risk, engineLevel, { locale, units }) {
+  const riskCheck = reconcileRiskLevel(rec.structured?.nivelRiesgo?.nivel ?? riskLevelFromText(rec.text), engineLevel)
+  if (riskCheck.overridden) {
+    const motivo = describeHazards(convertAssessment(risk, units), riskCheck.final, locale)
+    rec = overrideRiskLevel(rec, riskCheck.final, `(${t(locale, 'engineAdjusted')}${motivo ? ': ' + motivo : ''}.)`, locale)
+  }
+  return { rec, riskCheck }
+}
+
+// Persistencia en historial (y en el hilo) + webhook si el riesgo final es Alto
+async function saveAdvancedQuery({ input, plan, recommendations, structured, riskCheck }) {
+  const { uid, company, site, thread, message } = input
+  const { schedule, weatherFacts } = plan
+
+  let historialId = null
+  let threadId = thread?.id ?? null
+  try {
+    // Hilo nuevo y su primera entrada en una transacción: sin historial no queda un hilo vacío
+    const saved = await withTransaction(async (q) => {
+      const tid = thread?.id ?? await createThread({ userId: uid, companyId: company.id, siteId: site?.id ?? null, title: message }, q)
+      if (thread) await touchThread(tid, q)
+      const r = await q(
+        `INSERT INTO historial (user_id, company_id, site_id, thread_id, prompt, schedule, response, response_json)
+         VALUES (:uid, :cid, :sid, :tid, :prompt, :schedule, :response, :responseJson)`,
         {
           uid,
           cid: company.id,
+          sid: site?.id ?? null,
+          tid,
           prompt: message,
           schedule: JSON.stringify(schedule),
-          response: recommendations
+          response: recommendations,
+          responseJson: structured ? JSON.stringify(structured) : null
         }
       )
-    } catch (e) {
-      console.warn('historial_INSERT_WARN:', e?.message || e)
-    }
+      return { historialId: r.insertId, threadId: tid }
+    })
+    historialId = saved.historialId
+    threadId = saved.threadId
+  } catch (e) {
+    console.warn('historial_INSERT_WARN:', e?.message || e)
+  }
 
-    res.json({ company, schedule, weatherFacts, recommendations })
+  // 9) Webhooks: solo si la recomendación resultó de riesgo Alto
+  if (riskCheck.final === 'Alto') {
+    notify(uid, 'recommendation.high_risk', {
+      historialId,
+      threadId,
+      company: { id: company.id, name: company.name },
+      site: site ? { id: site.id, name: site.name } : null,
+      prompt: message,
+      schedule,
+      weatherFacts,
+      recommendations,
+      structured
+    })
+  }
+
+  return { historialId, threadId }
+}
+
+async function advancedQuery(req, res) {
+  try {
+    const input = await loadAdvancedQueryInput(req, res)
+    if (!input) return
+    const { company, site, target, message, locale, units, history } = input
+
+    const plan = await planAdvancedQuery(input)
+    const { schedule, scheduleSource, weatherFacts, provider, risk, engineLevel, alternatives } = plan
+
+    // 8) Recomendaciones, contraste con el motor de reglas y persistencia
+    const generated = await generateStructuredRecommendations({
+      company: target, site, schedule, weatherFacts, provider, userQuery: message,
+      alternatives: alternatives?.windows, history, locale, units
+    })
+    const { rec, riskCheck } = checkRecommendationRisk(generated, risk, engineLevel, input)
+    const { text: recommendations, structured } = rec
+
+    const { threadId } = await saveAdvancedQuery({ input, plan, recommendations, structured, riskCheck })
+
+    res.json({
+      threadId, company, site, locale, units, ...presentPlan(plan, input), scheduleSource,
+      recommendations, structured, riskCheck, provider
+    })
   } catch (err) {
     console.error(err?.response?.data || err)
     res.status(500).json({ error: 'ADV_QUERY_ERROR' })
   }
+}
+
+// ----- SSE -----
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS || 15000)
+
+// Abre el stream y devuelve send(event, data); `signal` se aborta si el cliente se desconecta
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+
+  const controller = new AbortController()
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS)
+  heartbeat.unref?.()
+  res.on('close', () => {
+    clearInterval(heartbeat)
+    if (!res.writableEnded) controller.abort()
+  })
+
+  const send = (event, data) => {
+    if (controller.signal.aborted || res.writableEnded) return
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+  const end = () => {
+    clearInterval(heartbeat)
+    if (!res.writableEnded) res.end()
+  }
+  return { send, end, signal: controller.signal }
+}
+
+/**
+ * Variante SSE de advanced-query. Eventos: schedule, timezone, forecast, token
+ * (fragmentos de la recomendación en texto), done (respuesta final, ya persistida)
+ * y error. Si el cliente se desconecta se aborta la generación y no se guarda nada.
+ * Tras el texto se obtiene su versión estructurada (mismo RecommendationSchema que la
+ * variante JSON), así `done` y el historial tienen la misma forma en ambas rutas.
+ */
+async function advancedQueryStream(req, res) {
+  let stream = null
+  try {
+    const input = await loadAdvancedQueryInput(req, res)
+    if (!input) return
+    const { company, site, target, message, locale, units, history } = input
+
+    stream = openEventStream(res)
+    const { send, signal } = stream
+
+    const plan = await planAdvancedQuery(input, send)
+    if (signal.aborted) return
+    const { schedule, scheduleSource, weatherFacts, provider, risk, engineLevel, alternatives } = plan
+    const shown = presentPlan(plan, input)
+    send('risk', { risk: shown.risk, alternatives: shown.alternatives })
+
+    // 8) Recomendación en texto, emitida token a token
+    const text = await streamCompanyRecommendations({
+      company: target, site, schedule, weatherFacts, provider, userQuery: message,
+      alternatives: alternatives?.windows, history, locale, units
+    }, { signal, onToken: (t) => send('token', { t }) })
+    if (signal.aborted) return
+
+    // Sin JSON válido se conserva el texto (structured = null, como el fallback de la variante JSON)
+    const structured = await structureRecommendationText(text, {
+      company: target, site, schedule, weatherFacts, provider, userQuery: message, locale, units
+    }, { signal }).catch(e => {
+      if (!signal.aborted) console.warn('RECOMMENDATION_STRUCTURE_WARN:', e?.message || e)
+      return null
+    })
+    if (signal.aborted) return
+
+    const { rec, riskCheck } = checkRecommendationRisk({ text, structured }, risk, engineLevel, input)
+    const recommendations = rec.text
+
+    const { historialId, threadId } = await saveAdvancedQuery({ input, plan, recommendations, structured: rec.structured, riskCheck })
+
+    send('done', {
+      historialId, threadId, company, site, locale, units, ...shown, scheduleSource,
+      recommendations, structured: rec.structured, riskCheck, provider
+    })
+  } catch (err) {
+    if (stream?.signal.aborted) return   // desconexión del cliente: nada que responder
+    console.error(err?.response?.data || err)
+    if (!stream) return res.status(500).json({ error: 'ADV_QUERY_ERROR' })
+    stream.send('error', { error: 'ADV_QUERY_ERROR' })
+  } finally {
+    stream?.end()
+  }
+}
+
+// Cupo diario por usuario (LLM + proveedor meteorológico): ADVANCED_QUERY_DAILY_LIMIT_<ROL>,
+// 0 = sin límite. Por defecto 50 consultas para customer y sin límite para admin.
+const ADVANCED_QUERY_DEFAULT_LIMITS = { customer: 50, admin: 0 }
+const advancedQueryQuota = dailyQuotaCheck({
+  feature: 'advanced_query',
+  limitFor: (role) => {
+    const v = process.env[`ADVANCED_QUERY_DAILY_LIMIT_${role.toUpperCase()}`]
+    return v != null && v !== '' ? Number(v) : (ADVANCED_QUERY_DEFAULT_LIMITS[role] ?? ADVANCED_QUERY_DEFAULT_LIMITS.customer)
+  }
 })
 
+router.post('/:id/advanced-query', advancedQuery)
+router.post('/:id/advanced-query/stream', advancedQueryStream)
+router.post('/:id/threads/:threadId/messages', advancedQuery)
+router.post('/:id/threads/:threadId/messages/stream', advancedQueryStream)
+
 /* ===== Alias /history para compatibilidad con el front ===== */
 router.post('/:id/history', async (req, res) => {
   try {
+    const company = await authorizedCompany(req, res, 'query')
+    if (!company) return
     const uid = getUserId(req)
-    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
-    const company = await loadOwnedCompany(req.params.id, uid)
-    if (!company) return res.status(404).json({ error: 'NOT_FOUND' })
 
-    const { prompt, schedule, response } = req.body || {}
+    const { prompt, schedule, response, structured } = req.body || {}
     if (!prompt || typeof prompt !== 'string') return res.status(400).json({ error: 'prompt requerido' })
+    const validStructured = structured ? RecommendationSchema.safeParse(structured) : null
+    if (validStructured && !validStructured.success) {
+      return res.status(400).json({ error: 'BAD_STRUCTURED', details: validStructured.error.flatten() })
+    }
 
     const r = await query(
-      `INSERT INTO historial (user_id, company_id, prompt, schedule, response)
-       VALUES (:uid, :cid, :prompt, :schedule, :response)`,
-      { uid, cid: company.id, prompt, schedule: JSON.stringify(schedule || null), response: response ?? null }
+      `INSERT INTO historial (user_id, company_id, prompt, schedule, response, response_json)
+       VALUES (:uid, :cid, :prompt, :schedule, :response, :responseJson)`,
+      {
+        uid, cid: company.id, prompt,
+        schedule: JSON.stringify(schedule || null),
+        response: response ?? null,
+        responseJson: validStructured ? JSON.stringify(validStructured.data) : null
+      }
     )
     res.json({ ok: true, id: r.insertId })
   } catch (e) {
@@ -328,24 +807,13 @@ router.post('/:id/history', async (req, res) => {
 
 router.get('/:id/history', async (req, res) => {
   try {
-    const uid = getUserId(req)
-    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
-    const company = await loadOwnedCompany(req.params.id, uid)
-    if (!company) return res.status(404).json({ error: 'NOT_FOUND' })
-
-    const limit  = Math.min(Number(req.query.limit ?? 50), 200)
-    const offset = Math.max(Number(req.query.offset ?? 0), 0)
-    const rows = await query(
-      `SELECT id, ts, prompt, schedule, response
-         FROM historial
-        WHERE user_id = :uid AND company_id = :cid
-        ORDER BY ts DESC
-        LIMIT ${limit} OFFSET ${offset}`,
-      { uid, cid: company.id }
-    )
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
+    const rows = await listHistorial(req, company)
     const items = rows.map(r => ({
       ...r,
-      schedule: (() => { try { return r.schedule ? JSON.parse(r.schedule) : null } catch { return r.schedule } })()
+      schedule: (() => { try { return r.schedule ? JSON.parse(r.schedule) : null } catch { return r.schedule } })(),
+      response_json: (() => { try { return r.response_json ? JSON.parse(r.response_json) : null } catch { return r.response_json } })()
     }))
     res.json({ items })
   } catch (e) {
@@ -356,10 +824,9 @@ router.get('/:id/history', async (req, res) => {
 
 router.delete('/:id/history', async (req, res) => {
   try {
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
     const uid = getUserId(req)
-    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
-    const company = await loadOwnedCompany(req.params.id, uid)
-    if (!company) return res.status(404).json({ error: 'NOT_FOUND' })
 
     const r = await query('DELETE FROM historial WHERE user_id = :uid AND company_id = :cid', { uid, cid: company.id })
     res.json({ ok: true, deleted: r.affectedRows || 0 })
@@ -0,0 +1,312 @@
+// src/routes/organizations.js
+// Organizaciones del usuario autenticado, sus miembros e invitaciones.
+// Montado en /api/organizations. Permisos por rol dentro de cada organización:
+//   viewer  → ver la organización y sus miembros
+//   manager → además invitar/quitar viewers
+//   owner   → todo: renombrar, cambiar roles, invitar con cualquier rol
+import { Router } from 'express'
+import { z } from 'zod'
+import { query } from '../lib/db.js'
+import { getLocale, localized, normalizeLocale } from '../lib/i18n.js'
+import { sendMail } from '../lib/mailer.js'
+import { getUserId, roleAtLeast, ORG_ROLES } from '../lib/ownership.js'
+import {
+  memberRole,
+  createOrganization,
+  canManageRole,
+  isLastOwner,
+  createInvitation,
+  acceptInvitation
+} from '../lib/organizations.js'
+
+export const router = Router()
+
+const INVITATION_URL = process.env.ORG_INVITATION_URL || 'http://localhost:5173/invitations'
+
+// ----- validation -----
+const OrganizationSchema = z.object({
+  name: z.string().trim().min(2).max(200)
+})
+
+const MemberRoleSchema = z.object({
+  role: z.enum(ORG_ROLES)
+})
+
+const InvitationSchema = z.object({
+  email: z.string().email(),
+  role: z.enum(ORG_ROLES).default('viewer')
+})
+
+const AcceptSchema = z.object({
+  token: z.string().min(20)
+})
+
+const INVITATION_MAIL = {
+  es: {
+    subject: (org) => `Te invitaron a ${org} en SkyCare`,
+    text: (inviter, org, role, link, expires) => `Hola:\n\n${inviter} te invitó a unirte a ${org} como ${role}.\nPara aceptar abre este enlace con la cuenta de este email:\n${link}\n\nVence el ${expires} (UTC).`
+  },
+  en: {
+    subject: (org) => `You were invited to ${org} on SkyCare`,
+    text: (inviter, org, role, link, expires) => `Hi,\n\n${inviter} invited you to join ${org} as ${role}.\nTo accept open this link signed in with this email's account:\n${link}\n\nIt expires on ${expires} (UTC).`
+  },
+  pt: {
+    subject: (org) => `Você foi convidado para ${org} no SkyCare`,
+    text: (inviter, org, role, link, expires) => `Olá,\n\n${inviter} convidou você para entrar em ${org} como ${role}.\nPara aceitar abra este link com a conta deste e-mail:\n${link}\n\nVence em ${expires} (UTC).`
+  }
+}
+
+/**
+ * Resuelve usuario + organización (req.params.orgId) con rol mínimo `min`.
+ * Responde 401/404/403 y devuelve null si falla; si no → { uid, org, role }.
+ */
+async function orgAccess(req, res, min = 'viewer') {
+  const uid = getUserId(req)
+  if (!uid) { res.status(401).json({ error: 'UNAUTHORIZED' }); return null }
+  const role = await memberRole(req.params.orgId, uid)
+  if (!role) { res.status(404).json({ error: 'NOT_FOUND' }); return null }
+  if (!roleAtLeast(role, min)) { res.status(403).json({ error: 'FORBIDDEN' }); return null }
+  const [org] = await query('SELECT * FROM organizations WHERE id = :id', { id: req.params.orgId })
+  return { uid, org, role }
+}
+
+// ===== Invitaciones: aceptar (antes de /:orgId para que no lo capture) =====
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const parsed = AcceptSchema.safeParse(req.body)
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+
+    const [user] = await query('SELECT id, email FROM users WHERE id = :uid', { uid })
+    const result = await acceptInvitation(parsed.data.token, user)
+    if (result.error === 'INVALID_INVITATION') return res.status(400).json({ error: result.error })
+    if (result.error) return res.status(403).json({ error: result.error })
+
+    const [org] = await query('SELECT * FROM organizations WHERE id = :id', { id: result.organizationId })
+    res.json({ ...org, role: result.role })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+// ===== Organizations =====
+router.get('/', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const rows = await query(
+      `SELECT o.*, m.role,
+              (SELECT COUNT(*) FROM companies c WHERE c.organization_id = o.id) AS companies
+         FROM organizations o
+         JOIN organization_members m ON m.organization_id = o.id AND m.user_id = :uid
+        ORDER BY o.id ASC`,
+      { uid }
+    )
+    res.json(rows)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+// Quien la crea queda como owner
+router.post('/', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const parsed = OrganizationSchema.safeParse(req.body)
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+
+    const id = await createOrganization(parsed.data.name, uid)
+    const [org] = await query('SELECT * FROM organizations WHERE id = :id', { id })
+    res.status(201).json({ ...org, role: 'owner' })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.get('/:orgId', async (req, res) => {
+  try {
+    const access = await orgAccess(req, res)
+    if (!access) return
+    res.json({ ...access.org, role: access.role })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.patch('/:orgId', async (req, res) => {
+  try {
+    const access = await orgAccess(req, res, 'owner')
+    if (!access) return
+    const parsed = OrganizationSchema.safeParse(req.body)
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+
+    await query('UPDATE organizations SET name = :name WHERE id = :id', { name: parsed.data.name, id: access.org.id })
+    const [org] = await query('SELECT * FROM organizations WHERE id = :id', { id: access.org.id })
+    res.json({ ...org, role: access.role })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+// ===== Members =====
+router.get('/:orgId/members', async (req, res) => {
+  try {
+    const access = await orgAccess(req, res)
+    if (!access) return
+    const rows = await query(
+      `SELECT u.id AS user_id, u.name, u.email, m.role, m.created_at
+         FROM organization_members m
+         JOIN users u ON u.id = m.user_id
+        WHERE m.organization_id = :oid
+        ORDER BY FIELD(m.role, 'owner', 'manager', 'viewer'), u.name ASC`,
+      { oid: access.org.id }
+    )
+    res.json(rows)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+// Cambiar rol: solo owners; la organización nunca se queda sin owner
+router.patch('/:orgId/members/:userId', async (req, res) => {
+  try {
+    const access = await orgAccess(req, res, 'owner')
+    if (!access) return
+    const parsed = MemberRoleSchema.safeParse(req.body)
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    const { role } = parsed.data
+
+    const current = await memberRole(access.org.id, req.params.userId)
+    if (!current) return res.status(404).json({ error: 'MEMBER_NOT_FOUND' })
+    if (current === 'owner' && role !== 'owner' && await isLastOwner(access.org.id, req.params.userId)) {
+      return res.status(409).json({ error: 'LAST_OWNER' })
+    }
+
+    await query(
+      'UPDATE organization_members SET role = :role WHERE organization_id = :oid AND user_id = :uid',
+      { role, oid: access.org.id, uid: req.params.userId }
+    )
+    res.json({ user_id: Number(req.params.userId), role })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+// Quitar miembro: owners a cualquiera, managers a viewers; cualquiera puede salirse.
+// Sus consultas siguen en el historial de la empresa a su nombre.
+router.delete('/:orgId/members/:userId', async (req, res) => {
+  try {
+    const access = await orgAccess(req, res)
+    if (!access) return
+    const target = Number(req.params.userId)
+
+    const current = await memberRole(access.org.id, target)
+    if (!current) return res.status(404).json({ error: 'MEMBER_NOT_FOUND' })
+    if (target !== access.uid && !canManageRole(access.role, current)) {
+      return res.status(403).json({ error: 'FORBIDDEN' })
+    }
+    if (current === 'owner' && await isLastOwner(access.org.id, target)) {
+      return res.status(409).json({ error: 'LAST_OWNER' })
+    }
+
+    await query(
+      'DELETE FROM organization_members WHERE organization_id = :oid AND user_id = :uid',
+      { oid: access.org.id, uid: target }
+    )
+    res.status(204).end()
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+// ===== Invitations =====
+router.get('/:orgId/invitations', async (req, res) => {
+  try {
+    const access = await orgAccess(req, res, 'manager')
+    if (!access) return
+    const rows = await query(
+      `SELECT id, email, role, invited_by, expires_at, created_at
+         FROM organization_invitations
+        WHERE organization_id = :oid AND accepted_at IS NULL AND revoked_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP(3)
+        ORDER BY id DESC`,
+      { oid: access.org.id }
+    )
+    res.json(rows)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+// Invitar por email: owners con cualquier rol, managers solo como viewer.
+// El token va por correo y se devuelve una única vez en la respuesta.
+router.post('/:orgId/invitations', async (req, res) => {
+  try {
+    const access = await orgAccess(req, res, 'manager')
+    if (!access) return
+    const parsed = InvitationSchema.safeParse(req.body)
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    const { email, role } = parsed.data
+    if (!canManageRole(access.role, role)) return res.status(403).json({ error: 'FORBIDDEN' })
+
+    const [already] = await query(
+      `SELECT 1 FROM organization_members m JOIN users u ON u.id = m.user_id
+        WHERE m.organization_id = :oid AND u.email = :email`,
+      { oid: access.org.id, email }
+    )
+    if (already) return res.status(409).json({ error: 'ALREADY_MEMBER' })
+
+    const { id, token, expiresAt } = await createInvitation({ orgId: access.org.id, email, role, invitedBy: access.uid })
+
+    const [invitee] = await query('SELECT locale FROM users WHERE email = :email', { email })
+    const [inviter] = await query('SELECT name FROM users WHERE id = :uid', { uid: access.uid })
+    const mail = localized(INVITATION_MAIL, normalizeLocale(invitee?.locale) ?? getLocale(req))
+    const link = `${INVITATION_URL}?token=${encodeURIComponent(token)}`
+    await sendMail({
+      to: email,
+      subject: mail.subject(access.org.name),
+      text: mail.text(inviter?.name || '', access.org.name, role, link, expiresAt.slice(0, 16).replace('T', ' '))
+    })
+
+    res.status(201).json({ id, email, role, expiresAt, token })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.delete('/:orgId/invitations/:id', async (req, res) => {
+  try {
+    const access = await orgAccess(req, res, 'manager')
+    if (!access) return
+    const [inv] = await query(
+      `SELECT role FROM organization_invitations
+        WHERE id = :id AND organization_id = :oid AND accepted_at IS NULL AND revoked_at IS NULL`,
+      { id: req.params.id, oid: access.org.id }
+    )
+    if (!inv) return res.status(404).json({ error: 'NOT_FOUND' })
+    if (!canManageRole(access.role, inv.role)) return res.status(403).json({ error: 'FORBIDDEN' })
+
+    await query(
+      'UPDATE organization_invitations SET revoked_at = CURRENT_TIMESTAMP(3) WHERE id = :id',
+      { id: req.params.id }
+    )
+    res.status(204).end()
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+export default router
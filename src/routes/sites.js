@@ -0,0 +1,160 @@
+// src/routes/sites.js
+// Sedes de trabajo de una empresa: montado en /api/companies/:id/sites
+import { Router } from 'express'
+import { z } from 'zod'
+import { IANAZone } from 'luxon'
+import { query } from '../lib/db.js'
+import { authorizedCompany } from '../lib/ownership.js'
+
+export const router = Router({ mergeParams: true })
+
+// ----- helpers -----
+export async function loadCompanySite(siteId, companyId) {
+  const [row] = await query(
+    'SELECT * FROM sites WHERE id = :sid AND company_id = :cid',
+    { sid: siteId, cid: companyId }
+  )
+  return row || null
+}
+
+/**
+ * Punto de trabajo efectivo para clima/recomendaciones: la empresa con
+ * coordenadas, actividad y zona horaria de la sede (si se pidió una).
+ * Devuelve null si siteId no pertenece a la empresa.
+ */
+export async function resolveWorkTarget(company, siteId) {
+  if (siteId == null || siteId === '') return { target: company, site: null }
+  const site = await loadCompanySite(siteId, company.id)
+  if (!site) return null
+  return {
+    site,
+    target: {
+      ...company,
+      lat: site.lat,
+      lon: site.lon,
+      activity: site.activity || company.activity,
+      address: site.address ?? company.address,
+      timezone: site.timezone || null
+    }
+  }
+}
+
+// ----- validation -----
+const SiteSchema = z.object({
+  name: z.string().min(2),
+  activity: z.string().min(2).optional().nullable(),
+  address: z.string().optional().nullable(),
+  lat: z.number().min(-90).max(90),
+  lon: z.number().min(-180).max(180),
+  timezone: z.string().refine(tz => IANAZone.isValidZone(tz), 'BAD_TIMEZONE').optional().nullable()
+})
+
+const SitePatchSchema = SiteSchema.partial().refine(
+  d => Object.values(d).some(v => v !== undefined),
+  'EMPTY_PATCH'
+)
+
+const SITE_COLUMNS = ['name', 'activity', 'address', 'lat', 'lon', 'timezone']
+
+// ===== Sites CRUD (scoped by company) =====
+router.get('/', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
+    const rows = await query(
+      'SELECT * FROM sites WHERE company_id = :cid ORDER BY id DESC',
+      { cid: company.id }
+    )
+    res.json(rows)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.post('/', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'manage')
+    if (!company) return
+
+    const parsed = SiteSchema.safeParse(req.body)
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    }
+    const { name, activity = null, address = null, lat, lon, timezone = null } = parsed.data
+
+    const r = await query(
+      `INSERT INTO sites (company_id, name, activity, address, lat, lon, timezone)
+       VALUES (:cid, :name, :activity, :address, :lat, :lon, :timezone)`,
+      { cid: company.id, name, activity, address, lat, lon, timezone }
+    )
+    const [site] = await query('SELECT * FROM sites WHERE id = :id', { id: r.insertId })
+    res.status(201).json(site)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.get('/:siteId', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
+    const site = await loadCompanySite(req.params.siteId, company.id)
+    if (!site) return res.status(404).json({ error: 'SITE_NOT_FOUND' })
+    res.json(site)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+async function updateSite(req, res, schema) {
+  try {
+    const company = await authorizedCompany(req, res, 'manage')
+    if (!company) return
+    const site = await loadCompanySite(req.params.siteId, company.id)
+    if (!site) return res.status(404).json({ error: 'SITE_NOT_FOUND' })
+
+    const parsed = schema.safeParse(req.body)
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    }
+    const data = { ...parsed.data }
+    if (schema === SiteSchema) {
+      for (const k of ['activity', 'address', 'timezone']) if (data[k] === undefined) data[k] = null
+    }
+
+    const fields = SITE_COLUMNS.filter(k => data[k] !== undefined)
+    const sets = fields.map(k => `${k} = :${k}`).join(', ')
+    const params = Object.fromEntries(fields.map(k => [k, data[k]]))
+
+    await query(`UPDATE sites SET ${sets} WHERE id = :sid`, { ...params, sid: site.id })
+    const [updated] = await query('SELECT * FROM sites WHERE id = :sid', { sid: site.id })
+    res.json(updated)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+}
+
+router.put('/:siteId', (req, res) => updateSite(req, res, SiteSchema))
+router.patch('/:siteId', (req, res) => updateSite(req, res, SitePatchSchema))
+
+router.delete('/:siteId', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'manage')
+    if (!company) return
+    const r = await query(
+      'DELETE FROM sites WHERE id = :sid AND company_id = :cid',
+      { sid: req.params.siteId, cid: company.id }
+    )
+    if (!r.affectedRows) return res.status(404).json({ error: 'SITE_NOT_FOUND' })
+    res.status(204).end()
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+export default router
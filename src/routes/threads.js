@@ -0,0 +1,117 @@
+// src/routes/threads.js
+// Hilos de conversación de advanced-query: montado en /api/companies/:id/threads
+import { Router } from 'express'
+import { query } from '../lib/db.js'
+import { getUserId, authorizedCompany } from '../lib/ownership.js'
+
+export const router = Router({ mergeParams: true })
+
+const MAX_CONTEXT_TURNS = Number(process.env.THREAD_CONTEXT_TURNS || 4)
+
+// ----- helpers -----
+const parseJSON = (v) => { try { return typeof v === 'string' ? JSON.parse(v) : v ?? null } catch { return v } }
+
+export async function loadThread(threadId, companyId, userId) {
+  const [row] = await query(
+    'SELECT * FROM conversation_threads WHERE id = :tid AND company_id = :cid AND user_id = :uid',
+    { tid: threadId, cid: companyId, uid: userId }
+  )
+  return row || null
+}
+
+// `q`: query() o el runner de withTransaction para crearlo junto con su primera entrada
+export async function createThread({ userId, companyId, siteId = null, title }, q = query) {
+  const r = await q(
+    `INSERT INTO conversation_threads (user_id, company_id, site_id, title)
+     VALUES (:uid, :cid, :sid, :title)`,
+    { uid: userId, cid: companyId, sid: siteId, title: String(title || 'Consulta').slice(0, 200) }
+  )
+  return r.insertId
+}
+
+/**
+ * Últimos turnos del hilo (más antiguos primero) para dar contexto al LLM:
+ * [{ prompt, schedule, response }]
+ */
+export async function threadContext(threadId, limit = MAX_CONTEXT_TURNS) {
+  const rows = await query(
+    `SELECT prompt, schedule, response
+       FROM historial
+      WHERE thread_id = :tid
+      ORDER BY ts DESC
+      LIMIT ${Number(limit)}`,
+    { tid: threadId }
+  )
+  return rows.reverse().map(r => ({ ...r, schedule: parseJSON(r.schedule) }))
+}
+
+export async function touchThread(threadId, q = query) {
+  await q('UPDATE conversation_threads SET updated_at = CURRENT_TIMESTAMP(3) WHERE id = :tid', { tid: threadId })
+}
+
+// ===== Threads (scoped by user + company) =====
+router.get('/', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
+    const uid = getUserId(req)
+
+    const limit  = Math.min(Number(req.query.limit ?? 50), 200)
+    const offset = Math.max(Number(req.query.offset ?? 0), 0)
+    const rows = await query(
+      `SELECT t.id, t.site_id, t.title, t.created_at, t.updated_at,
+              COUNT(h.id) AS turns, MAX(h.ts) AS last_ts
+         FROM conversation_threads t
+         LEFT JOIN historial h ON h.thread_id = t.id
+        WHERE t.user_id = :uid AND t.company_id = :cid
+        GROUP BY t.id
+        ORDER BY t.updated_at DESC
+        LIMIT ${limit} OFFSET ${offset}`,
+      { uid, cid: company.id }
+    )
+    res.json({ items: rows })
+  } catch (e) {
+    console.error(e)
+    res.status(500).json({ error: 'ERROR_LISTING_THREADS' })
+  }
+})
+
+router.get('/:threadId', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
+    const thread = await loadThread(req.params.threadId, company.id, getUserId(req))
+    if (!thread) return res.status(404).json({ error: 'THREAD_NOT_FOUND' })
+
+    const rows = await query(
+      `SELECT id, ts, prompt, schedule, response, response_json
+         FROM historial
+        WHERE thread_id = :tid
+        ORDER BY ts ASC`,
+      { tid: thread.id }
+    )
+    const turns = rows.map(r => ({ ...r, schedule: parseJSON(r.schedule), response_json: parseJSON(r.response_json) }))
+    res.json({ ...thread, turns })
+  } catch (e) {
+    console.error(e)
+    res.status(500).json({ error: 'ERROR_LOADING_THREAD' })
+  }
+})
+
+router.delete('/:threadId', async (req, res) => {
+  try {
+    const company = await authorizedCompany(req, res, 'read')
+    if (!company) return
+    const r = await query(
+      'DELETE FROM conversation_threads WHERE id = :tid AND company_id = :cid AND user_id = :uid',
+      { tid: req.params.threadId, cid: company.id, uid: getUserId(req) }
+    )
+    if (!r.affectedRows) return res.status(404).json({ error: 'THREAD_NOT_FOUND' })
+    res.status(204).end()
+  } catch (e) {
+    console.error(e)
+    res.status(500).json({ error: 'ERROR_DELETING_THREAD' })
+  }
+})
+
+export default router
@@ -0,0 +1,181 @@
+// src/routes/webhooks.js
+// Webhooks salientes por usuario: montado en /api/webhooks
+import { Router } from 'express'
+import { z } from 'zod'
+import { query } from '../lib/db.js'
+import { getUserId } from '../lib/ownership.js'
+import { WEBHOOK_EVENTS, checkWebhookUrl, dispatchEvent, generateSecret } from '../lib/webhooks.js'
+
+export const router = Router()
+
+const PUBLIC_COLUMNS = 'id, url, events, active, created_at'
+
+// ----- validation -----
+const UrlSchema = z.string().url().refine(u => /^https?:\/\//i.test(u), 'BAD_URL')
+
+const WebhookSchema = z.object({
+  url: UrlSchema,
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1).optional().nullable(),
+  secret: z.string().min(16).max(128).optional(),
+  active: z.boolean().optional()
+})
+
+const WebhookPatchSchema = WebhookSchema.partial().refine(
+  d => Object.values(d).some(v => v !== undefined),
+  'EMPTY_PATCH'
+)
+
+async function loadOwnedWebhook(id, uid) {
+  const [row] = await query(
+    'SELECT * FROM webhooks WHERE id = :id AND user_id = :uid',
+    { id, uid }
+  )
+  return row || null
+}
+
+const eventsColumn = (events) => (events?.length ? [...new Set(events)].join(',') : null)
+
+// ===== Webhooks CRUD (scoped by user) =====
+router.get('/', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const rows = await query(
+      `SELECT ${PUBLIC_COLUMNS} FROM webhooks WHERE user_id = :uid ORDER BY id DESC`,
+      { uid }
+    )
+    res.json(rows)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.post('/', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+
+    const parsed = WebhookSchema.safeParse(req.body)
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    }
+    const { url, events, secret = generateSecret(), active = true } = parsed.data
+    const urlError = await checkWebhookUrl(url)
+    if (urlError) return res.status(400).json({ error: urlError })
+
+    const r = await query(
+      `INSERT INTO webhooks (user_id, url, secret, events, active)
+       VALUES (:uid, :url, :secret, :events, :active)`,
+      { uid, url, secret, events: eventsColumn(events), active: active ? 1 : 0 }
+    )
+    const [hook] = await query(`SELECT ${PUBLIC_COLUMNS} FROM webhooks WHERE id = :id`, { id: r.insertId })
+    // El secreto solo se devuelve en la creación
+    res.status(201).json({ ...hook, secret })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.get('/:id', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const hook = await loadOwnedWebhook(req.params.id, uid)
+    if (!hook) return res.status(404).json({ error: 'NOT_FOUND' })
+    const { secret, user_id, ...pub } = hook
+    res.json(pub)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const hook = await loadOwnedWebhook(req.params.id, uid)
+    if (!hook) return res.status(404).json({ error: 'NOT_FOUND' })
+
+    const parsed = WebhookPatchSchema.safeParse(req.body)
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    }
+    if (parsed.data.url !== undefined) {
+      const urlError = await checkWebhookUrl(parsed.data.url)
+      if (urlError) return res.status(400).json({ error: urlError })
+    }
+    const data = {}
+    if (parsed.data.url !== undefined) data.url = parsed.data.url
+    if (parsed.data.secret !== undefined) data.secret = parsed.data.secret
+    if (parsed.data.events !== undefined) data.events = eventsColumn(parsed.data.events)
+    if (parsed.data.active !== undefined) data.active = parsed.data.active ? 1 : 0
+
+    const sets = Object.keys(data).map(k => `${k} = :${k}`).join(', ')
+    await query(`UPDATE webhooks SET ${sets} WHERE id = :id`, { ...data, id: hook.id })
+    const [updated] = await query(`SELECT ${PUBLIC_COLUMNS} FROM webhooks WHERE id = :id`, { id: hook.id })
+    res.json(updated)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const r = await query('DELETE FROM webhooks WHERE id = :id AND user_id = :uid', { id: req.params.id, uid })
+    if (!r.affectedRows) return res.status(404).json({ error: 'NOT_FOUND' })
+    res.status(204).end()
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+// ===== Entregas =====
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const hook = await loadOwnedWebhook(req.params.id, uid)
+    if (!hook) return res.status(404).json({ error: 'NOT_FOUND' })
+
+    const limit  = Math.min(Number(req.query.limit ?? 50), 200)
+    const offset = Math.max(Number(req.query.offset ?? 0), 0)
+    const rows = await query(
+      `SELECT id, event, status, attempts, response_status, last_error, next_attempt_at, created_at, delivered_at, payload
+         FROM webhook_deliveries
+        WHERE webhook_id = :wid
+        ORDER BY id DESC
+        LIMIT ${limit} OFFSET ${offset}`,
+      { wid: hook.id }
+    )
+    res.json({ items: rows })
+  } catch (e) {
+    console.error(e)
+    res.status(500).json({ error: 'ERROR_LISTING_DELIVERIES' })
+  }
+})
+
+// Envía un evento "ping" solo a este webhook para probar la integración
+router.post('/:id/test', async (req, res) => {
+  try {
+    const uid = getUserId(req)
+    if (!uid) return res.status(401).json({ error: 'UNAUTHORIZED' })
+    const hook = await loadOwnedWebhook(req.params.id, uid)
+    if (!hook) return res.status(404).json({ error: 'NOT_FOUND' })
+    if (!hook.active) return res.status(409).json({ error: 'WEBHOOK_INACTIVE' })
+
+    const ids = await dispatchEvent(uid, 'ping', { webhookId: hook.id }, { webhookId: hook.id })
+    res.status(202).json({ ok: true, deliveries: ids })
+  } catch (e) {
+    console.error(e)
+    res.status(500).json({ error: 'WEBHOOK_TEST_ERROR' })
+  }
+})
+
+export default router
@@ -2,70 +2,177 @@ import 'dotenv/config'
 import express from 'express'
 import cors from 'cors'
 import cookieParser from 'cookie-parser'
-import jwt from 'jsonwebtoken'
 import bcrypt from 'bcryptjs'
+import crypto from 'node:crypto'
 import { z } from 'zod'
 
 import { router as companiesRouter } from './routes/companies.js'
-import { router as authRouter } from './routes/auth.js'
+import { router as authRouter, updatePreferences, changePassword, logoutAll, tokenUser } from './routes/auth.js'
+import { router as apiKeysRouter } from './routes/api-keys.js'
+import { router as webhooksRouter } from './routes/webhooks.js'
+import { router as organizationsRouter } from './routes/organizations.js'
 import { query } from './lib/db.js'
+import { findApiKey, scopeAllows, touchApiKey } from './lib/api-keys.js'
+import { assertJwtSecret, authenticateAccessToken, revokeUserSessions } from './lib/sessions.js'
+import { AUTH_EVENTS } from './lib/lockout.js'
+import { assertMailConfig } from './lib/mailer.js'
+import { assertLLMConfig } from './lib/llm.js'
+import { defaultOrganization } from './lib/organizations.js'
+import { startAlertScheduler } from './lib/alerts.js'
+import { startWebhookRetries } from './lib/webhooks.js'
+import { startForecastPrefetch } from './lib/prefetch.js'
+import { weatherCacheStats, weatherQuotaStatus } from './lib/weather.js'
+
+try {
+  assertJwtSecret()
+  assertMailConfig()
+  assertLLMConfig()
+  if (process.env.DEV_USER_HEADER === 'on' && process.env.NODE_ENV === 'production') {
+    throw new Error('DEV_USER_HEADER=on no se admite con NODE_ENV=production')
+  }
+} catch (e) {
+  console.error(`[SkyCare Backend] ${e.message}`)
+  process.exit(1)
+}
 
 const app = express()
 
+// Detrás de un proxy (nginx, balanceador): req.ip sale de X-Forwarded-For, p. ej. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY)
+  app.set('trust proxy', Number.isFinite(hops) ? hops : process.env.TRUST_PROXY)
+} else {
+  // Sin TRUST_PROXY, detrás de un proxy todos los clientes comparten la IP del proxy
+  // (y los mismos límites por IP): se avisa una vez al ver X-Forwarded-For
+  let warned = false
+  app.use((req, _res, next) => {
+    if (!warned && req.headers['x-forwarded-for']) {
+      warned = true
+      console.warn('[SkyCare Backend] X-Forwarded-For recibido sin TRUST_PROXY: los límites por IP usarán la IP del proxy')
+    }
+    next()
+  })
+}
+
 /* ===== CORS y middlewares base ===== */
 const corsCfg = {
   origin: (process.env.CORS_ORIGIN?.split(',').map(s => s.trim()).filter(Boolean)) || ['http://localhost:5173'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'x-user-id', 'X-User-Id']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'x-user-id', 'X-User-Id']
 }
 app.use(cors(corsCfg))
 app.use(express.json({ limit: '1mb' }))
 app.use(cookieParser())
 
 /* ===== Auth middlewares ===== */
-// Requiere JWT estrictamente
-function auth(req, res, next) {
+// Firma inválida, token vencido o sesión revocada → null; los errores de la base se propagan
+async function accessTokenUser(token) {
+  try {
+    return await authenticateAccessToken(token)
+  } catch (err) {
+    if (['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError', 'SessionRevokedError'].includes(err?.name)) return null
+    throw err
+  }
+}
+
+// Requiere JWT estrictamente (y que su sesión no esté revocada)
+async function authToken(req, res, next) {
   const hdr = req.get('authorization') || ''
   const m = hdr.match(/^Bearer\s+(.+)$/i)
   const token = m?.[1] || req.cookies?.token
   if (!token) return res.status(401).json({ error: 'NO_TOKEN' })
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'dev-secret')
+    const user = await accessTokenUser(token)
+    if (!user) return res.status(401).json({ error: 'INVALID_TOKEN' })
+    req.user = user
     next()
-  } catch {
-    res.status(401).json({ error: 'INVALID_TOKEN' })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'AUTH_ERROR' })
   }
 }
 
-// Acepta JWT o x-user-id (útil para dev y front existente)
-function authOrHeader(req, res, next) {
+// Usuarios con contraseña temporal (creados por un admin): hasta cambiarla solo pueden
+// usar /api/auth/change-password y logout
+function passwordChanged(req, res, next) {
+  if (req.user?.mustChangePassword) return res.status(403).json({ error: 'PASSWORD_CHANGE_REQUIRED' })
+  next()
+}
+
+const auth = [authToken, passwordChanged]
+
+// x-user-id sin credenciales: solo para desarrollo local y con DEV_USER_HEADER=on explícito
+const DEV_USER_HEADER = process.env.DEV_USER_HEADER === 'on' && process.env.NODE_ENV !== 'production'
+
+// Acepta JWT, API key (X-API-Key; scope read = solo GET) o, en modo dev, x-user-id
+async function authOrApiKey(req, res, next) {
   const hdr = req.get('authorization') || ''
   const m = hdr.match(/^Bearer\s+(.+)$/i)
   const token = m?.[1] || req.cookies?.token
   if (token) {
-    try { req.user = jwt.verify(token, process.env.JWT_SECRET || 'dev-secret'); return next() } catch {}
+    try {
+      const user = await accessTokenUser(token)
+      if (user) { req.user = user; return next() }
+    } catch (err) {
+      console.error(err)
+      return res.status(500).json({ error: 'AUTH_ERROR' })
+    }
+  }
+
+  const apiKey = req.get('x-api-key')
+  if (apiKey) {
+    try {
+      const row = await findApiKey(apiKey)
+      if (!row) return res.status(401).json({ error: 'INVALID_API_KEY' })
+      if (!scopeAllows(row.scope, req.method)) return res.status(403).json({ error: 'INSUFFICIENT_SCOPE' })
+      req.user = tokenUser(row)
+      req.apiKey = { id: row.key_id, scope: row.scope }
+      touchApiKey(row.key_id)
+      return next()
+    } catch (err) {
+      console.error(err)
+      return res.status(500).json({ error: 'AUTH_ERROR' })
+    }
+  }
+
+  if (DEV_USER_HEADER) {
+    const n = Number(req.get('x-user-id'))
+    if (Number.isFinite(n) && n > 0) { req.user = { id: n, role: 'customer' }; return next() }
   }
-  const xu = req.get('x-user-id')
-  const n = Number(xu)
-  if (Number.isFinite(n) && n > 0) { req.user = { id: n, role: 'customer' }; return next() }
-  return res.status(401).json({ error: 'NO_TOKEN' })
+  return res.status(401).json({ error: token ? 'INVALID_TOKEN' : 'NO_TOKEN' })
 }
 
-function requireAdmin(req, res, next) {
-  const role = String(req.user?.role || '').toLowerCase()
-  if (role !== 'admin') return res.status(403).json({ error: 'FORBIDDEN' })
-  next()
+// El rol se relee de la base: quien deja de ser admin pierde el acceso aunque su token diga otra cosa
+async function requireAdmin(req, res, next) {
+  if (String(req.user?.role || '').toLowerCase() !== 'admin') return res.status(403).json({ error: 'FORBIDDEN' })
+  try {
+    const [u] = await query(
+      'SELECT r.slug AS role FROM users u JOIN roles r ON r.id = u.role_id WHERE u.id = :id',
+      { id: req.user.id }
+    )
+    if (String(u?.role || '').toLowerCase() !== 'admin') return res.status(403).json({ error: 'FORBIDDEN' })
+    next()
+  } catch (e) {
+    console.error(e)
+    res.status(500).json({ error: 'AUTH_ERROR' })
+  }
 }
 
 /* ===== Health ===== */
 app.get('/api/health', (_req, res) => res.json({ ok: true, time: new Date().toISOString() }))
 
 /* ===== Rutas públicas ===== */
+app.patch('/api/auth/me', auth, updatePreferences)
+app.post('/api/auth/change-password', authToken, changePassword)
+app.post('/api/auth/logout-all', authToken, logoutAll)
+app.use('/api/auth/api-keys', auth, apiKeysRouter)
 app.use('/api/auth', authRouter)
 
 /* ===== Rutas protegidas (scoped al usuario) ===== */
-app.use('/api/companies', authOrHeader, companiesRouter)
+app.use('/api/companies', authOrApiKey, passwordChanged, companiesRouter)
+app.use('/api/webhooks', authOrApiKey, passwordChanged, webhooksRouter)
+app.use('/api/organizations', authOrApiKey, passwordChanged, organizationsRouter)
 
 /* =============================================================================
    ADMIN API
@@ -81,7 +188,8 @@ const UserUpsertSchema = z.object({
 app.get('/api/admin/users', auth, requireAdmin, async (_req, res) => {
   try {
     const rows = await query(
-      `SELECT u.id, u.name, u.email, r.slug AS role, u.created_at AS createdAt
+      `SELECT u.id, u.name, u.email, r.slug AS role, u.must_change_password AS mustChangePassword,
+              u.created_at AS createdAt
        FROM users u
        JOIN roles r ON r.id = u.role_id
        ORDER BY u.id DESC`
@@ -105,11 +213,14 @@ app.post('/api/admin/users', auth, requireAdmin, async (req, res) => {
     const [{ id: role_id } = {}] = await query('SELECT id FROM roles WHERE slug = :role', { role })
     if (!role_id) return res.status(400).json({ error: 'ROLE_NOT_FOUND' })
 
-    const password_hash = await bcrypt.hash(process.env.DEFAULT_USER_PASSWORD || 'changeme123', 12)
+    // Contraseña temporal (DEFAULT_USER_PASSWORD o aleatoria): el usuario debe cambiarla al entrar
+    const generated = !process.env.DEFAULT_USER_PASSWORD
+    const temporaryPassword = process.env.DEFAULT_USER_PASSWORD || crypto.randomBytes(9).toString('base64url')
+    const password_hash = await bcrypt.hash(temporaryPassword, 12)
 
     await query(
-      `INSERT INTO users (name, email, password_hash, role_id)
-       VALUES (:name, :email, :password_hash, :role_id)`,
+      `INSERT INTO users (name, email, password_hash, must_change_password, role_id)
+       VALUES (:name, :email, :password_hash, 1, :role_id)`,
       { name, email, password_hash, role_id }
     )
     const [u] = await query(
@@ -117,7 +228,8 @@ app.post('/api/admin/users', auth, requireAdmin, async (req, res) => {
        FROM users u JOIN roles r ON r.id = u.role_id
        WHERE u.id = LAST_INSERT_ID()`
     )
-    res.status(201).json(u)
+    // La aleatoria solo se muestra aquí
+    res.status(201).json(generated ? { ...u, temporaryPassword } : u)
   } catch (e) {
     console.error(e)
     if (e?.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'EMAIL_IN_USE' })
@@ -140,11 +252,15 @@ app.put('/api/admin/users/:id', auth, requireAdmin, async (req, res) => {
     const [{ id: role_id } = {}] = await query('SELECT id FROM roles WHERE slug = :role', { role })
     if (!role_id) return res.status(400).json({ error: 'ROLE_NOT_FOUND' })
 
-    const r = await query(
+    const [current] = await query('SELECT role_id FROM users WHERE id = :id', { id })
+    if (!current) return res.status(404).json({ error: 'NOT_FOUND' })
+
+    await query(
       `UPDATE users SET name=:name, email=:email, role_id=:role_id WHERE id=:id`,
       { id, name, email, role_id }
     )
-    if ((r?.affectedRows ?? 0) === 0) return res.status(404).json({ error: 'NOT_FOUND' })
+    // Cambio de rol: se cierran sus sesiones para que el rol nuevo entre en el próximo login
+    if (Number(current.role_id) !== Number(role_id)) await revokeUserSessions(id)
 
     const [u] = await query(
       `SELECT u.id, u.name, u.email, r.slug AS role, u.created_at AS createdAt
@@ -187,11 +303,13 @@ const CompanyUpsertSchema = z.object({
 app.get('/api/admin/companies', auth, requireAdmin, async (_req, res) => {
   try {
     const rows = await query(
-      `SELECT c.id, c.user_id AS userId, c.name, c.activity, c.address,
+      `SELECT c.id, c.user_id AS userId, c.organization_id AS organizationId, o.name AS organizationName,
+              c.name, c.activity, c.address,
               c.lat, c.lon, c.created_at AS createdAt,
               u.name AS ownerName, u.email AS ownerEmail
        FROM companies c
-       JOIN users u ON u.id = c.user_id
+       LEFT JOIN users u ON u.id = c.user_id
+       LEFT JOIN organizations o ON o.id = c.organization_id
        ORDER BY c.id DESC`
     )
     res.json(rows)
@@ -210,14 +328,16 @@ app.post('/api/admin/companies', auth, requireAdmin, async (req, res) => {
     const [owner] = await query('SELECT id FROM users WHERE id = :userId', { userId })
     if (!owner) return res.status(400).json({ error: 'OWNER_NOT_FOUND' })
 
+    // Va a la organización por defecto del usuario, que queda como owner
+    const orgId = await defaultOrganization(userId)
     await query(
-      `INSERT INTO companies (user_id, name, activity, address, lat, lon)
-       VALUES (:userId, :name, :activity, :address, :lat, :lon)`,
-      { userId, name, activity, address, lat, lon }
+      `INSERT INTO companies (user_id, organization_id, name, activity, address, lat, lon)
+       VALUES (:userId, :orgId, :name, :activity, :address, :lat, :lon)`,
+      { userId, orgId, name, activity, address, lat, lon }
     )
     const [c] = await query(
       `SELECT c.id, c.user_id AS userId, c.name, c.activity, c.address,
-              c.lat, c.lon, c.created_at AS createdAt
+              c.organization_id AS organizationId, c.lat, c.lon, c.created_at AS createdAt
        FROM companies c WHERE c.id = LAST_INSERT_ID()`
     )
     res.status(201).json(c)
@@ -236,17 +356,27 @@ app.put('/api/admin/companies/:id', auth, requireAdmin, async (req, res) => {
     if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
     const { userId, name, activity, address = null, lat, lon } = parsed.data
 
-    const r = await query(
+    const [current] = await query('SELECT user_id, organization_id FROM companies WHERE id = :id', { id })
+    if (!current) return res.status(404).json({ error: 'NOT_FOUND' })
+
+    // Cambiar de usuario la mueve a la organización por defecto del nuevo
+    let orgId = current.organization_id
+    if (Number(current.user_id) !== userId || !orgId) {
+      const [owner] = await query('SELECT id FROM users WHERE id = :userId', { userId })
+      if (!owner) return res.status(400).json({ error: 'OWNER_NOT_FOUND' })
+      orgId = await defaultOrganization(userId)
+    }
+
+    await query(
       `UPDATE companies
-       SET user_id=:userId, name=:name, activity=:activity, address=:address, lat=:lat, lon=:lon
+       SET user_id=:userId, organization_id=:orgId, name=:name, activity=:activity, address=:address, lat=:lat, lon=:lon
        WHERE id=:id`,
-      { id, userId, name, activity, address, lat, lon }
+      { id, userId, orgId, name, activity, address, lat, lon }
     )
-    if ((r?.affectedRows ?? 0) === 0) return res.status(404).json({ error: 'NOT_FOUND' })
 
     const [c] = await query(
       `SELECT c.id, c.user_id AS userId, c.name, c.activity, c.address,
-              c.lat, c.lon, c.created_at AS createdAt
+              c.organization_id AS organizationId, c.lat, c.lon, c.created_at AS createdAt
        FROM companies c WHERE c.id = :id`, { id }
     )
     res.json(c)
@@ -270,8 +400,61 @@ app.delete('/api/admin/companies/:id', auth, requireAdmin, async (req, res) => {
   }
 })
 
+/* ---- Auth audit ---- */
+const AuthEventsQuery = z.object({
+  userId: z.coerce.number().int().positive().optional(),
+  event: z.enum(AUTH_EVENTS).optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(100)
+})
+
+app.get('/api/admin/auth-events', auth, requireAdmin, async (req, res) => {
+  try {
+    const parsed = AuthEventsQuery.safeParse(req.query)
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_REQUEST', details: parsed.error.flatten() })
+    const { userId, event, limit } = parsed.data
+
+    const where = [userId ? 'user_id = :userId' : null, event ? 'event = :event' : null].filter(Boolean)
+    const rows = await query(
+      `SELECT id, user_id AS userId, email, ip, event, created_at AS createdAt
+         FROM auth_events
+        ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+        ORDER BY id DESC
+        LIMIT ${limit}`,
+      { userId, event }
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error(e)
+    res.status(500).json({ error: 'DB_ERROR' })
+  }
+})
+
+/* ---- Weather cache ---- */
+app.get('/api/admin/weather-cache', auth, requireAdmin, async (_req, res) => {
+  try {
+    res.json(await weatherCacheStats())
+  } catch (e) {
+    console.error(e)
+    res.status(500).json({ error: 'CACHE_STATS_ERROR' })
+  }
+})
+
+/* ---- Weather provider quota ---- */
+app.get('/api/admin/weather-quota', auth, requireAdmin, async (_req, res) => {
+  try {
+    res.json(await weatherQuotaStatus())
+  } catch (e) {
+    console.error(e)
+    res.status(500).json({ error: 'QUOTA_STATUS_ERROR' })
+  }
+})
+
 /* ===== Server up ===== */
 const port = process.env.PORT || 3001
 app.listen(port, () => {
   console.log(`[SkyCare Backend] listening on http://localhost:${port}`)
+  if (DEV_USER_HEADER) console.warn('[SkyCare Backend] DEV_USER_HEADER=on: x-user-id acepta cualquier usuario sin credenciales (solo desarrollo)')
+  if (process.env.ALERTS_SCHEDULER !== 'off') startAlertScheduler()
+  if (process.env.WEBHOOK_RETRIES !== 'off') startWebhookRetries()
+  if (process.env.FORECAST_PREFETCH === 'on') startForecastPrefetch()
 })
@@ -0,0 +1,67 @@
+// test/lockout.test.js
+// Bloqueo progresivo por logins fallidos (umbral 5, 60 s que se duplican hasta 1 h)
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { lockedFor, registerFailedLogin } from '../src/lib/lockout.js'
+
+// Tabla users en memoria; cada consulta cede el turno para que los intentos en paralelo se intercalen
+function fakeUsers(initial = {}) {
+  const row = { failed_logins: 0, lockout_count: 0, locked_until: null, ...initial }
+  const q = async (sql, params) => {
+    await new Promise(resolve => setImmediate(resolve))
+    if (sql.includes('failed_logins = failed_logins + 1')) {
+      row.failed_logins++
+      return { affectedRows: 1 }
+    }
+    if (sql.includes('lockout_count = lockout_count + 1')) {
+      if (row.failed_logins < params.threshold || row.lockout_count !== params.lockouts) return { affectedRows: 0 }
+      Object.assign(row, { failed_logins: 0, lockout_count: row.lockout_count + 1, locked_until: params.until })
+      return { affectedRows: 1 }
+    }
+    return [{ ...row }]
+  }
+  return { row, q }
+}
+
+const user = { id: 7 }
+
+test('lockedFor devuelve los segundos que faltan o 0', () => {
+  const now = Date.parse('2026-10-19T10:00:00Z')
+  assert.equal(lockedFor({ locked_until: new Date(now + 90 * 1000) }, now), 90)
+  assert.equal(lockedFor({ locked_until: new Date(now - 1000) }, now), 0)
+  assert.equal(lockedFor({ locked_until: null }, now), 0)
+  assert.equal(lockedFor(undefined, now), 0)
+})
+
+test('bloquea al llegar al umbral y no antes', async () => {
+  const { row, q } = fakeUsers()
+  for (let i = 1; i < 5; i++) {
+    assert.deepEqual(await registerFailedLogin(user, q), { seconds: 0, lockedNow: false })
+  }
+  assert.deepEqual(await registerFailedLogin(user, q), { seconds: 60, lockedNow: true })
+  assert.equal(row.failed_logins, 0)
+  assert.equal(row.lockout_count, 1)
+  assert.ok(lockedFor(row) > 59)
+})
+
+test('cada bloqueo seguido dura el doble, con tope de una hora', async () => {
+  const second = fakeUsers({ failed_logins: 4, lockout_count: 1 })
+  assert.deepEqual(await registerFailedLogin(user, second.q), { seconds: 120, lockedNow: true })
+  const third = fakeUsers({ failed_logins: 4, lockout_count: 2 })
+  assert.deepEqual(await registerFailedLogin(user, third.q), { seconds: 240, lockedNow: true })
+  const capped = fakeUsers({ failed_logins: 4, lockout_count: 10 })
+  assert.deepEqual(await registerFailedLogin(user, capped.q), { seconds: 3600, lockedNow: true })
+})
+
+test('los fallos en paralelo suman todos y bloquean una sola vez', async () => {
+  const { row, q } = fakeUsers()
+  const results = await Promise.all(Array.from({ length: 8 }, () => registerFailedLogin(user, q)))
+  assert.equal(results.filter(r => r.lockedNow).length, 1)
+  assert.equal(row.lockout_count, 1)
+  assert.ok(results.every(r => r.seconds > 0))
+})
+
+test('el usuario borrado entre medio no bloquea nada', async () => {
+  const q = async (sql) => (sql.startsWith('SELECT') ? [] : { affectedRows: 0 })
+  assert.deepEqual(await registerFailedLogin(user, q), { seconds: 0, lockedNow: false })
+})
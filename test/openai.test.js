@@ -0,0 +1,71 @@
+// test/openai.test.js
+// Recomendación estructurada: reparación del JSON inválido con el cliente LLM simulado
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { getLLMClient } from '../src/lib/llm.js'
+import { generateStructuredRecommendations } from '../src/lib/openai.js'
+
+process.env.LLM_PROVIDER = 'openai'
+process.env.OPENAI_API_KEY = 'test-key'
+
+const valid = {
+  respuestaDirecta: 'Mañana de 7:00 a 15:00 en [4.6, -74.1] el riesgo es moderado.',
+  riesgos: ['Rachas de hasta 50 km/h por la tarde'],
+  medidas: ['Suspender el izaje si las rachas superan el umbral'],
+  umbrales: [{ variable: 'Rachas', operador: '>', valor: 45, unidad: 'km/h', accion: 'Suspender izaje' }],
+  nivelRiesgo: { nivel: 'Medio', justificacion: 'Rachas cerca del límite.' }
+}
+
+const args = {
+  company: { name: 'Obras SA', activity: 'construcción', lat: 4.6, lon: -74.1 },
+  schedule: { fecha: '2026-10-20', horaInicio: '07:00', horaFin: '15:00', turnos: [] },
+  weatherFacts: { hours: 8, tempMax: 22, gustMax_kmh: 50 },
+  userQuery: 'izaje mañana de 7 a 15',
+  locale: 'es'
+}
+
+// Sustituye la llamada al modelo por respuestas fijas y registra cada petición
+function stubCompletions(t, contents) {
+  const calls = []
+  t.mock.method(getLLMClient().chat.completions, 'create', async (body) => {
+    calls.push({ ...body, messages: [...body.messages] })
+    return { choices: [{ message: { content: contents[calls.length - 1] } }] }
+  })
+  return calls
+}
+
+beforeEach((t) => {
+  delete process.env.LLM_TEMPERATURE
+  t.mock.method(console, 'warn', () => {})
+})
+
+test('un JSON inválido se devuelve al modelo y se acepta la reparación', async (t) => {
+  const calls = stubCompletions(t, ['{"respuestaDirecta": "incompleto"}', JSON.stringify(valid)])
+  const r = await generateStructuredRecommendations(args)
+
+  assert.deepEqual(r.structured, valid)
+  assert.match(r.text, /Rachas > 45 km\/h: Suspender izaje/)
+  assert.equal(calls.length, 2)
+  const repair = calls[1].messages
+  assert.equal(repair.length, 4)
+  assert.deepEqual(repair[2], { role: 'assistant', content: '{"respuestaDirecta": "incompleto"}' })
+  assert.match(repair[3].content, /no cumple el esquema: .*riesgos/)
+  assert.deepEqual(calls.map(c => c.temperature), [0.2, 0])
+  assert.deepEqual(calls[0].response_format, { type: 'json_object' })
+})
+
+test('LLM_TEMPERATURE también fija la temperatura de las reparaciones', async (t) => {
+  process.env.LLM_TEMPERATURE = '0.7'
+  const calls = stubCompletions(t, ['no es json', JSON.stringify(valid)])
+  const r = await generateStructuredRecommendations(args)
+  assert.deepEqual(r.structured, valid)
+  assert.deepEqual(calls.map(c => c.temperature), [0.7, 0.7])
+})
+
+test('agotadas las reparaciones cae a la recomendación en texto', async (t) => {
+  const calls = stubCompletions(t, ['{}', '{}', '{}', 'Respuesta directa:\nTexto libre'])
+  const r = await generateStructuredRecommendations(args)
+  assert.deepEqual(r, { text: 'Respuesta directa:\nTexto libre', structured: null })
+  assert.equal(calls.length, 4)
+  assert.equal(calls[3].response_format, undefined)
+})
@@ -0,0 +1,118 @@
+// test/risk.test.js
+// Motor de riesgo determinista: umbrales, perfiles por actividad, tormentas y RISK_OVERRIDE
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { assessRisk, profileForActivity, reconcileRiskLevel } from '../src/lib/risk.js'
+
+const facts = (over = {}) => ({
+  hours: 8, tempMax: 20, tempMin: 15, apparentMax: null, humidityMax: null,
+  windMax_kmh: null, gustMax_kmh: null, uvMax: null, visMin_km: null,
+  precipProbMax: null, precipMmTotal: null, codes: [], ...over
+})
+const hazard = (r, name) => r.hazards.find(h => h.hazard === name)
+
+test('los umbrales "above" se alcanzan con ≥', () => {
+  assert.equal(hazard(assessRisk(facts({ windMax_kmh: 29.9 })), 'wind').nivel, 'Bajo')
+  const atMedio = hazard(assessRisk(facts({ windMax_kmh: 30 })), 'wind')
+  assert.deepEqual([atMedio.nivel, atMedio.threshold], ['Medio', 30])
+  assert.equal(hazard(assessRisk(facts({ windMax_kmh: 44.9 })), 'wind').nivel, 'Medio')
+  assert.equal(hazard(assessRisk(facts({ windMax_kmh: 45 })), 'wind').nivel, 'Alto')
+  assert.equal(assessRisk(facts({ windMax_kmh: 45 })).nivel, 'Alto')
+})
+
+test('los umbrales "below" se alcanzan con ≤', () => {
+  assert.equal(hazard(assessRisk(facts({ tempMin: 5.1 })), 'cold').nivel, 'Bajo')
+  assert.equal(hazard(assessRisk(facts({ tempMin: 5 })), 'cold').nivel, 'Medio')
+  assert.equal(hazard(assessRisk(facts({ tempMin: 0 })), 'cold').nivel, 'Alto')
+  assert.equal(hazard(assessRisk(facts({ visMin_km: 0.5 })), 'visibility').nivel, 'Alto')
+  assert.equal(hazard(assessRisk(facts({ visMin_km: 2.1 })), 'visibility').nivel, 'Bajo')
+})
+
+test('sin datos no hay nivel', () => {
+  assert.deepEqual(assessRisk(null), { nivel: null, profile: null, hazards: [], score: null })
+  assert.equal(hazard(assessRisk(facts()), 'wind'), undefined)
+})
+
+test('el perfil de la actividad cambia los umbrales', () => {
+  assert.equal(profileForActivity('Montaje de andamios').name, 'construccion')
+  assert.equal(profileForActivity('pesca en el puerto').name, 'maritimo')
+  assert.equal(profileForActivity('Fumigación de cultivos').name, 'agricola')
+  assert.equal(profileForActivity('oficina').name, 'default')
+  assert.equal(profileForActivity(null).name, 'default')
+
+  const r = assessRisk(facts({ windMax_kmh: 26 }), 'izaje con grúa')
+  assert.equal(r.profile, 'construccion')
+  assert.equal(hazard(r, 'wind').nivel, 'Medio')
+  assert.equal(hazard(assessRisk(facts({ windMax_kmh: 26 }), 'oficina'), 'wind').nivel, 'Bajo')
+})
+
+test('las palabras clave de RISK_RULES se buscan como texto literal', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {})
+  process.env.RISK_RULES = JSON.stringify({
+    default: { gust: { medio: 40 } },
+    profiles: {
+      software: { keywords: ['c++', 'pint.ura', 'Diseño'], wind: { medio: 10, alto: 20 } },
+      construccion: { keywords: [1, 'obra'] }
+    }
+  })
+  try {
+    // Instancia aparte del módulo: la configuración se lee una sola vez por proceso
+    const risk = await import('../src/lib/risk.js?risk-rules')
+    assert.equal(risk.profileForActivity('programación en c++').name, 'software')
+    assert.equal(risk.profileForActivity('diseno grafico').name, 'software')
+    assert.equal(risk.profileForActivity('pintxura').name, 'default')
+    assert.equal(risk.profileForActivity('cc').name, 'default')
+    // Keywords inválidas: se conservan las de defecto del perfil
+    assert.equal(risk.profileForActivity('andamio').name, 'construccion')
+    assert.equal(warn.mock.callCount(), 1)
+
+    const r = risk.assessRisk(facts({ windMax_kmh: 12, gustMax_kmh: 41 }), 'c++')
+    assert.equal(hazard(r, 'wind').nivel, 'Medio')
+    assert.equal(hazard(r, 'gust').threshold, 40)
+  } finally {
+    delete process.env.RISK_RULES
+  }
+})
+
+test('códigos de tormenta', () => {
+  const storm = (codes) => hazard(assessRisk(facts({ codes })), 'storm')
+  assert.deepEqual([storm([1000, 8000]).nivel, storm([1000, 8000]).value], ['Alto', 8000])
+  assert.deepEqual([storm([4201, 7102]).nivel, storm([4201, 7102]).value], ['Medio', 4201])
+  assert.deepEqual([storm([1001]).nivel, storm([1001]).value], ['Bajo', null])
+  assert.equal(storm([]), undefined)
+  assert.equal(assessRisk(facts({ codes: [5101] })).nivel, 'Alto')
+})
+
+test('sin sensación térmica, el calor usa el índice de calor de temperatura y humedad', () => {
+  const estimated = hazard(assessRisk(facts({ tempMax: 32, humidityMax: 70 })), 'heat')
+  assert.deepEqual([estimated.nivel, estimated.value], ['Alto', 40.4])
+  const reported = hazard(assessRisk(facts({ tempMax: 32, apparentMax: 33, humidityMax: 70 })), 'heat')
+  assert.deepEqual([reported.nivel, reported.value], ['Medio', 33])
+  const dry = hazard(assessRisk(facts({ tempMax: 32 })), 'heat')
+  assert.deepEqual([dry.nivel, dry.value], ['Medio', 32])
+})
+
+test('RISK_OVERRIDE', (t) => {
+  t.after(() => { delete process.env.RISK_OVERRIDE })
+
+  delete process.env.RISK_OVERRIDE
+  assert.equal(reconcileRiskLevel('Bajo', 'Alto').final, 'Alto')
+  assert.equal(reconcileRiskLevel('Alto', 'Medio').final, 'Alto')
+
+  process.env.RISK_OVERRIDE = 'max'
+  assert.deepEqual(reconcileRiskLevel('Medio', 'Alto'),
+    { llm: 'Medio', engine: 'Alto', final: 'Alto', agree: false, overridden: true })
+
+  process.env.RISK_OVERRIDE = 'ENGINE'
+  assert.deepEqual(reconcileRiskLevel('Alto', 'Medio'),
+    { llm: 'Alto', engine: 'Medio', final: 'Medio', agree: false, overridden: true })
+
+  process.env.RISK_OVERRIDE = 'off'
+  assert.deepEqual(reconcileRiskLevel('Bajo', 'Alto'),
+    { llm: 'Bajo', engine: 'Alto', final: 'Bajo', agree: false, overridden: false })
+
+  // Sin nivel del motor manda el del LLM, y viceversa
+  assert.equal(reconcileRiskLevel('Medio', null).final, 'Medio')
+  assert.deepEqual(reconcileRiskLevel(null, 'Alto'),
+    { llm: null, engine: 'Alto', final: 'Alto', agree: true, overridden: false })
+})
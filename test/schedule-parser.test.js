@@ -0,0 +1,51 @@
+// test/schedule-parser.test.js
+// Parser determinista de horarios: actividad extraída del mensaje
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseSchedule } from '../src/lib/schedule-parser.js'
+import { profileForActivity } from '../src/lib/risk.js'
+
+const opts = { tz: 'America/Bogota', now: '2026-10-19T10:00:00', locale: 'es' }
+
+test('extrae la actividad antes del horario', () => {
+  const r = parseSchedule('soldadura en techo mañana de 7 a 15', opts)
+  assert.equal(r.actividad, 'soldadura en techo')
+  assert.equal(profileForActivity(r.actividad).name, 'construccion')
+  assert.deepEqual(r.turnos, [{ horaInicio: '07:00', horaFin: '15:00' }])
+  assert.equal(r.fecha, '2026-10-20')
+})
+
+test('extrae la actividad después de "para" y conserva las tildes', () => {
+  const r = parseSchedule('mañana de 7 a 15 para izaje con grúa', opts)
+  assert.equal(r.actividad, 'izaje con grúa')
+  assert.equal(profileForActivity(r.actividad).name, 'construccion')
+})
+
+test('descarta el texto que no es una actividad conocida', () => {
+  const r = parseSchedule('Necesito recomendaciones para soldadura en techo mañana de 7 a 15', opts)
+  assert.equal(r.actividad, 'soldadura en techo')
+})
+
+test('sin actividad reconocible hereda la del horario previo o queda en null', () => {
+  assert.equal(parseSchedule('mañana de 7 a 15', opts).actividad, null)
+  const previous = { actividad: 'pesca artesanal', turnos: [{ fecha: '2026-10-20', horaInicio: '07:00', horaFin: '15:00' }] }
+  assert.equal(parseSchedule('y el jueves de 6 a 12', { ...opts, previous }).actividad, 'pesca artesanal')
+})
+
+test('portugués', () => {
+  const r = parseSchedule('amanhã das 7h às 15h, pesca no porto', { ...opts, locale: 'pt' })
+  assert.equal(r.actividad, 'pesca no porto')
+  assert.equal(profileForActivity(r.actividad).name, 'maritimo')
+})
+
+test('"a mediodía" es una hora puntual de inicio', () => {
+  for (const msg of ['el 15 de marzo a mediodía', 'el 15 de marzo al mediodía']) {
+    const r = parseSchedule(msg, opts)
+    assert.equal(r.fecha, '2027-03-15')
+    assert.equal(r.turnos[0].horaInicio, '12:00')
+    assert.ok(r.confianza >= 0.7, `confianza ${r.confianza}`)
+  }
+  // Dentro de un rango sigue siendo el fin
+  assert.deepEqual(parseSchedule('mañana de 7 a mediodía', opts).turnos, [{ horaInicio: '07:00', horaFin: '12:00' }])
+  assert.equal(parseSchedule('amanhã ao meio-dia', { ...opts, locale: 'pt' }).turnos[0].horaInicio, '12:00')
+})
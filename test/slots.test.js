@@ -0,0 +1,67 @@
+// test/slots.test.js
+// Ventanas seguras sobre un forecast horario: turno diurno y nocturno, solapes y exclusiones
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DateTime } from 'luxon'
+import { rankWindows } from '../src/lib/slots.js'
+
+const tz = 'America/Bogota'
+const day = DateTime.fromISO('2026-10-20T00:00', { zone: tz })
+const iso = (dt) => dt.toUTC().toISO()
+
+// 48 horas en calma desde el 20/10 00:00 local; `windy(h)` (hora desde el inicio) → viento en m/s
+function forecast(windy = () => null) {
+  const hourly = Array.from({ length: 48 }, (_, i) => ({
+    time: iso(day.plus({ hours: i })),
+    values: { temperature: 20, humidity: 50, windSpeed: windy(i) ?? 2, windGust: 4, uvIndex: 3, visibility: 10 }
+  }))
+  return { timelines: { hourly } }
+}
+
+const localStarts = (windows) => windows.map(w => DateTime.fromISO(w.startISO).setZone(tz).toFormat('dd HH:mm'))
+const noOverlaps = (windows) => windows.every((a, i) => windows.slice(i + 1).every(b =>
+  Date.parse(a.endISO) <= Date.parse(b.startISO) || Date.parse(b.endISO) <= Date.parse(a.startISO)))
+
+const base = { tz, fromISO: iso(day), toISO: iso(day.plus({ hours: 24 })), limit: 10 }
+
+test('turno diurno: solo franjas dentro del horario y sin solaparse', () => {
+  const windows = rankWindows(forecast(), { ...base, durationHours: 2, workStart: '08:00', workEnd: '12:00' })
+  assert.deepEqual(localStarts(windows), ['20 08:00', '20 10:00'])
+  assert.ok(windows.every(w => w.riesgo === 'Bajo' && w.facts.hours === 2))
+})
+
+test('turno nocturno 22:00–06:00: la franja puede cruzar la medianoche', () => {
+  const windows = rankWindows(forecast(), {
+    ...base, toISO: iso(day.plus({ hours: 48 })), durationHours: 4, workStart: '22:00', workEnd: '06:00'
+  })
+  // 00:00 del 20 pertenece al turno que empezó el 19 a las 22:00
+  assert.deepEqual(localStarts(windows), ['20 00:00', '20 22:00', '21 02:00'])
+  assert.ok(noOverlaps(windows))
+})
+
+test('entre candidatas que se solapan gana la de menor riesgo y luego la más temprana', () => {
+  // 09:00 y 10:00 con viento de 10 m/s (36 km/h → Medio)
+  const windows = rankWindows(forecast(h => (h === 9 || h === 10 ? 10 : null)), {
+    ...base, durationHours: 2, workStart: '06:00', workEnd: '18:00', limit: 3
+  })
+  assert.deepEqual(localStarts(windows), ['20 06:00', '20 11:00', '20 13:00'])
+  assert.ok(noOverlaps(windows))
+
+  const all = rankWindows(forecast(h => (h === 9 || h === 10 ? 10 : null)), {
+    ...base, durationHours: 2, workStart: '06:00', workEnd: '18:00'
+  })
+  assert.deepEqual(all.map(w => w.riesgo).slice(-1), ['Medio'])
+  assert.ok(noOverlaps(all))
+})
+
+test('excludeLevels descarta las ventanas Alto y avoid las que pisan otras franjas', () => {
+  // De 06:00 a 15:59 viento de 15 m/s (54 km/h → Alto)
+  const raw = forecast(h => (h >= 6 && h < 16 ? 15 : null))
+  const opts = { ...base, durationHours: 2, workStart: '06:00', workEnd: '18:00' }
+
+  assert.ok(rankWindows(raw, opts).some(w => w.riesgo === 'Alto'))
+  assert.deepEqual(localStarts(rankWindows(raw, { ...opts, excludeLevels: ['Alto'] })), ['20 16:00'])
+
+  const avoid = [{ startISO: iso(day.plus({ hours: 17 })), endISO: iso(day.plus({ hours: 18 })) }]
+  assert.deepEqual(rankWindows(raw, { ...opts, excludeLevels: ['Alto'], avoid }), [])
+})
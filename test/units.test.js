@@ -0,0 +1,55 @@
+// test/units.test.js
+// Conversión de unidades: umbrales de alertas en imperial ida y vuelta, y resúmenes convertidos
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fromUnits, convertValue, convertQuantity, convertFacts } from '../src/lib/units.js'
+
+const close = (actual, expected, eps = 1e-4) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} ≠ ${expected}`)
+
+test('un umbral imperial se guarda en métrico', () => {
+  close(fromUnits(95, '°C', 'imperial'), 35)
+  close(fromUnits(30, 'm/s', 'imperial'), 13.4112)
+  // Las métricas de alertas en km/h no se quedan en m/s
+  close(fromUnits(30, 'km/h', 'imperial'), 48.28032)
+  close(fromUnits(0.5, 'mm/h', 'imperial'), 12.7)
+  close(fromUnits(0.5, 'mm', 'imperial'), 12.7)
+  close(fromUnits(3, 'km', 'imperial'), 4.828032)
+})
+
+test('el umbral guardado vuelve al valor introducido', () => {
+  for (const [value, unit] of [
+    [95, '°C'], [-4, '°C'], [32, '°C'],
+    [25, 'm/s'], [37.3, 'm/s'],
+    [25, 'km/h'], [37.3, 'km/h'],
+    [0.25, 'mm/h'], [1.5, 'mm'],
+    [0.5, 'km'], [6.2, 'km']
+  ]) {
+    assert.equal(convertValue(fromUnits(value, unit, 'imperial'), unit, 'imperial'), value, `${value} (${unit})`)
+  }
+})
+
+test('en métrico o sin unidad convertible el valor no cambia', () => {
+  assert.equal(fromUnits(40, 'km/h', 'metric'), 40)
+  assert.equal(fromUnits(40, 'km/h'), 40)
+  assert.equal(fromUnits(70, '%', 'imperial'), 70)
+  assert.equal(fromUnits(8, '', 'imperial'), 8)
+  assert.equal(fromUnits(null, '°C', 'imperial'), null)
+  assert.deepEqual(convertQuantity(70, '%', 'imperial'), { value: 70, unit: '%' })
+  assert.deepEqual(convertQuantity(35, '°C', 'imperial'), { value: 95, unit: '°F' })
+})
+
+test('convertFacts renombra los campos imperiales y prefiere el viento en m/s', () => {
+  const facts = {
+    hours: 8, tempMin: 10, tempMax: 35, apparentMax: null,
+    windMax_ms: 10, windMax_kmh: 36, gustMax_kmh: 72,
+    visMin_km: 1.609344, precipMmTotal: 25.4, uvMax: 7
+  }
+  assert.deepEqual(convertFacts(facts, 'imperial'), {
+    hours: 8, uvMax: 7,
+    tempMin_f: 50, tempMax_f: 95, apparentMax_f: null,
+    windMax_mph: 22.4, gustMax_mph: 44.7,
+    visMin_mi: 1, precipInTotal: 1
+  })
+  assert.equal(convertFacts(facts, 'metric'), facts)
+})
@@ -0,0 +1,55 @@
+// test/webhooks.test.js
+// Protección SSRF de los webhooks: destinos bloqueados y esquemas permitidos
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import dns from 'node:dns'
+import { isBlockedAddress, checkWebhookUrl } from '../src/lib/webhooks.js'
+
+test('bloquea loopback, redes privadas y link-local (metadata de la nube)', () => {
+  for (const ip of ['127.0.0.1', '127.10.0.1', '::1', '10.0.0.5', '172.16.3.4', '172.31.255.255',
+    '192.168.1.10', '169.254.169.254', 'fe80::1', 'fd00::1', '100.64.0.1', '0.0.0.0']) {
+    assert.equal(isBlockedAddress(ip), true, ip)
+  }
+})
+
+test('bloquea las IPv4 privadas escritas como IPv6 mapeadas', () => {
+  assert.equal(isBlockedAddress('::ffff:127.0.0.1'), true)
+  assert.equal(isBlockedAddress('::ffff:169.254.169.254'), true)
+  assert.equal(isBlockedAddress('::FFFF:10.1.2.3'), true)
+  assert.equal(isBlockedAddress('::ffff:8.8.8.8'), false)
+})
+
+test('deja pasar direcciones públicas y bloquea lo que no es una IP', () => {
+  assert.equal(isBlockedAddress('8.8.8.8'), false)
+  assert.equal(isBlockedAddress('172.32.0.1'), false)
+  assert.equal(isBlockedAddress('2606:4700:4700::1111'), false)
+  assert.equal(isBlockedAddress('no-es-ip'), true)
+})
+
+test('rechaza URLs inválidas y esquemas que no son https', async () => {
+  assert.equal(await checkWebhookUrl('no es una url'), 'BAD_URL')
+  assert.equal(await checkWebhookUrl('http://8.8.8.8/hook'), 'WEBHOOK_URL_NOT_HTTPS')
+  assert.equal(await checkWebhookUrl('ftp://8.8.8.8/hook'), 'WEBHOOK_URL_NOT_HTTPS')
+  assert.equal(await checkWebhookUrl('file:///etc/passwd'), 'WEBHOOK_URL_NOT_HTTPS')
+})
+
+test('rechaza IPs internas escritas en la URL', async () => {
+  assert.equal(await checkWebhookUrl('https://127.0.0.1/hook'), 'WEBHOOK_URL_BLOCKED')
+  assert.equal(await checkWebhookUrl('https://169.254.169.254/latest/meta-data'), 'WEBHOOK_URL_BLOCKED')
+  assert.equal(await checkWebhookUrl('https://[::ffff:192.168.0.1]/hook'), 'WEBHOOK_URL_BLOCKED')
+  assert.equal(await checkWebhookUrl('https://8.8.8.8/hook'), null)
+})
+
+test('rechaza un host que resuelve a una dirección privada', async (t) => {
+  const lookup = t.mock.method(dns.promises, 'lookup', async (host) => host === 'interno.example.com'
+    ? [{ address: '203.0.113.7', family: 4 }, { address: '10.0.0.7', family: 4 }]
+    : [{ address: '93.184.216.34', family: 4 }])
+  assert.equal(await checkWebhookUrl('https://interno.example.com/hook'), 'WEBHOOK_URL_BLOCKED')
+  assert.equal(await checkWebhookUrl('https://publico.example.com/hook'), null)
+  assert.equal(lookup.mock.callCount(), 2)
+})
+
+test('un host que no resuelve no es un destino válido', async (t) => {
+  t.mock.method(dns.promises, 'lookup', async () => { throw Object.assign(new Error('ENOTFOUND'), { code: 'ENOTFOUND' }) })
+  assert.equal(await checkWebhookUrl('https://no-existe.example.com/hook'), 'WEBHOOK_URL_UNRESOLVABLE')
+})